@@ -0,0 +1,421 @@
+/**
+ * Offline stand-in for the NoteCast backend.
+ *
+ * Serves the same routes the frontend calls (`/api/health`, `/api/uploads`, `/api/jobs`, `/api/convert`,
+ * `/api/resynthesize`, `/api/study`, `/api/download/:filename`) with canned transcripts and a generated WAV, so the UI can be developed and tested without Railway.
+ *
+ * Options (all optional):
+ *   delayMs     base duration of one pipeline step, in ms (default 800)
+ *   fail        null | 'wake' | '500' | 'malformed' | 'flaky' - failure to inject; 'flaky' drops
+ *               the connection on every third upload chunk
+ *   wakeCount   how many requests answer 503 while "waking up" when fail === 'wake' (default 2)
+ *   legacy      true to hide the upload and job APIs and only serve the blocking /convert endpoint
+ *
+ * Options can be changed at runtime with `POST /api/__mock` and a JSON body, e.g. `{ "fail": "500" }`.
+ */
+
+const SAMPLE_RATE = 8000;
+const SECONDS_PER_LINE = 3;
+// One tone per speaker, in the order they first speak
+const PITCHES = [220, 330, 262, 392];
+
+const LINE_COUNTS = { short: 6, medium: 10, long: 16 };
+
+const SCRIPT = [
+    ['HOST', 'Welcome back! Today we are digging into {title}, and I have to admit I only skimmed it.'],
+    ['EXPERT', 'That is fine, the core idea fits in one sentence: the author is arguing for a simpler model than the field usually assumes.'],
+    ['HOST', 'Simpler how? Give me the version I could explain at dinner.'],
+    ['EXPERT', 'Fewer moving parts. The first section shows that most of the complexity people add never changes the outcome.'],
+    ['HOST', 'So where does the evidence for that come from?'],
+    ['EXPERT', 'Mostly the case studies in the middle chapters. Each one strips a piece away and measures what breaks.'],
+    ['HOST', 'And what actually breaks?'],
+    ['EXPERT', 'Surprisingly little. The one exception is timing, which turns out to matter more than anything else.'],
+    ['HOST', 'Okay, that is the part I want people to remember. Why timing?'],
+    ['EXPERT', 'Because every other factor depends on it. Get the order of steps wrong and no amount of tuning saves you.'],
+    ['HOST', 'Is there a practical takeaway for someone reading this for a class?'],
+    ['EXPERT', 'Start with the summary table at the end, then read the chapter on timing. The rest is supporting detail.'],
+    ['HOST', 'Any criticism of the argument?'],
+    ['EXPERT', 'The sample is small, and the author admits it. I would treat the conclusions as a strong hypothesis.'],
+    ['HOST', 'Fair enough. Anything we skipped that listeners should look up?'],
+    ['EXPERT', 'The appendix on methods. It is dry, but it answers most of the obvious objections.']
+];
+
+const defaults = {
+    delayMs: 800,
+    fail: null,
+    wakeCount: 2,
+    legacy: false
+};
+
+export const mockOptionsFromEnv = (env) => ({
+    delayMs: env.MOCK_DELAY_MS ? Number(env.MOCK_DELAY_MS) : undefined,
+    fail: env.MOCK_FAIL || undefined,
+    wakeCount: env.MOCK_WAKE_COUNT ? Number(env.MOCK_WAKE_COUNT) : undefined,
+    legacy: env.MOCK_LEGACY === '1' || undefined
+});
+
+const definedOnly = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+// Pulls the text fields out of a multipart body; file parts only contribute their file name
+const parseMultipart = (body, contentType = '') => {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    if (!match) return { fields: {}, files: {} };
+    const boundary = `--${match[1] || match[2]}`;
+    const fields = {};
+    const files = {};
+
+    body.toString('latin1').split(boundary).forEach(part => {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd < 0) return;
+        const headers = part.slice(0, headerEnd);
+        const value = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+        const name = /name="([^"]*)"/.exec(headers)?.[1];
+        const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+        if (!name) return;
+        if (filename !== undefined) {
+            files[name] = { filename, size: value.length };
+        } else {
+            fields[name] = Buffer.from(value, 'latin1').toString('utf8');
+        }
+    });
+
+    return { fields, files };
+};
+
+const parseJson = (text, fallback) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+};
+
+// "1-3, 7" -> [1, 2, 3, 7]; the mock never sees the PDF's contents, so it cites the first pages
+const citedPages = (ranges) => {
+    const pages = (ranges || '').split(',').flatMap(part => {
+        const [from, to = from] = part.split('-').map(Number);
+        return from > 0 && to >= from ? Array.from({ length: to - from + 1 }, (_, idx) => from + idx) : [];
+    });
+    return pages.length ? pages : [1, 2, 3];
+};
+
+// The script is a host/expert dialogue; a monologue gives every line to the first
+// speaker, and a panel shares the expert's lines among the others
+// `pages` (for PDFs) gives the answering speakers' lines page citations, without excerpts
+const buildTranscript = (title, preferences = {}, pages = null) => {
+    const count = LINE_COUNTS[preferences.length] || LINE_COUNTS.medium;
+    const ids = Array.isArray(preferences.speakers) && preferences.speakers.length
+        ? preferences.speakers.map(speaker => speaker.id)
+        : ['HOST', 'EXPERT'];
+    const answering = ids.length > 1 ? ids.slice(1) : ids;
+    let answers = 0;
+    return SCRIPT.slice(0, count).map(([speaker, text], idx) => ({
+        speaker: speaker === 'HOST' ? ids[0] : answering[answers++ % answering.length],
+        text: text.replace('{title}', title),
+        start: idx * SECONDS_PER_LINE,
+        end: (idx + 1) * SECONDS_PER_LINE,
+        ...(pages && { sources: speaker === 'HOST' ? [] : [{ page: pages[(answers - 1) % pages.length] }] })
+    }));
+};
+
+// Made-up claims the quiz mixes in with real lines
+const FALSE_CLAIMS = [
+    'The author says the field should add more moving parts.',
+    'Timing turned out not to matter at all.',
+    'The sample was large enough to settle the question.',
+    'The appendix can safely be skipped.'
+];
+
+// A study guide built straight from the script: answers become takeaways and quiz questions,
+// question-and-answer pairs become flashcards
+const buildStudyGuide = (transcript) => {
+    const firstSentence = (text) => text.split(/(?<=[.!?])\s+/)[0];
+    const answers = transcript
+        .map((line, idx) => ({ text: firstSentence(line.text || ''), line: idx }))
+        .filter((item, idx) => idx > 0 && !item.text.endsWith('?'));
+    return {
+        takeaways: answers.slice(0, 5),
+        quiz: answers.slice(0, 3).map((item, idx) => {
+            const choices = FALSE_CLAIMS.filter((_, claim) => claim !== idx).slice(0, 3);
+            choices.splice(idx % 4, 0, item.text);
+            return {
+                question: 'Which of these was said in the episode?',
+                choices,
+                answer: idx % 4,
+                explanation: `It comes up when they say: "${transcript[item.line].text}"`,
+                line: item.line
+            };
+        }),
+        flashcards: transcript.flatMap((line, idx) => ((line.text || '').trim().endsWith('?') && transcript[idx + 1]
+            ? [{ front: line.text, back: transcript[idx + 1].text, line: idx + 1 }]
+            : []))
+    };
+};
+
+// Quiet sine tones, one pitch per speaker with a short gap between lines
+export const renderWav = (transcript) => {
+    const lineSamples = SECONDS_PER_LINE * SAMPLE_RATE;
+    const total = Math.max(transcript.length, 1) * lineSamples;
+    const buffer = Buffer.alloc(44 + total * 2);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + total * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(total * 2, 40);
+
+    const speakers = [...new Set(transcript.map(line => line.speaker))];
+    transcript.forEach((line, idx) => {
+        const pitch = PITCHES[speakers.indexOf(line.speaker) % PITCHES.length];
+        const voiced = lineSamples - SAMPLE_RATE / 2;
+        for (let i = 0; i < voiced; i++) {
+            const sample = Math.sin(2 * Math.PI * pitch * i / SAMPLE_RATE) * 0.1 * 32767;
+            buffer.writeInt16LE(Math.round(sample), 44 + (idx * lineSamples + i) * 2);
+        }
+    });
+
+    return buffer;
+};
+
+export const createMockApi = (initialOptions = {}) => {
+    const options = { ...defaults, ...definedOnly(initialOptions) };
+    const jobs = new Map();
+    const uploads = new Map();
+    let chunkCount = 0;
+    let wakeRequestsLeft = options.wakeCount;
+    let nextId = 1;
+
+    const send = (res, status, body, type = 'application/json') => {
+        res.statusCode = status;
+        res.setHeader('Content-Type', type);
+        res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    };
+
+    // Stage timeline of a job, in ms after submission
+    const timeline = (job) => {
+        const step = options.delayMs;
+        const chunks = job.chunks ?? job.transcript.length;
+        // Re-synthesis jobs start straight at the voices
+        const extracting = job.resynthesis ? 0 : step;
+        const scripting = job.resynthesis ? 0 : extracting + step * 2;
+        // Script-only drafts finish once the dialogue is written
+        const synthesizing = job.scriptOnly ? scripting : scripting + chunks * step / 2;
+        const finalizing = job.scriptOnly ? scripting : synthesizing + step;
+        return { extracting, scripting, synthesizing, finalizing, chunks };
+    };
+
+    const jobState = (job) => {
+        const t = timeline(job);
+        const elapsed = Date.now() - job.createdAt;
+        const eta = Math.max(t.finalizing - elapsed, 0) / 1000;
+        const base = { id: job.id, eta };
+
+        if (elapsed >= t.finalizing) {
+            const result = job.scriptOnly ? { transcript: job.transcript } : { filename: job.filename, transcript: job.transcript };
+            return { ...base, status: 'complete', stage: job.scriptOnly ? 'scripting' : 'finalizing', progress: 1, result };
+        }
+        if (elapsed < t.extracting) {
+            return { ...base, status: 'running', stage: 'extracting', progress: elapsed / t.extracting };
+        }
+        if (elapsed < t.scripting) {
+            return { ...base, status: 'running', stage: 'scripting', progress: (elapsed - t.extracting) / (t.scripting - t.extracting) };
+        }
+        if (elapsed < t.synthesizing) {
+            const done = Math.floor((elapsed - t.scripting) / (options.delayMs / 2));
+            return { ...base, status: 'running', stage: 'synthesizing', chunks: { done, total: t.chunks } };
+        }
+        return { ...base, status: 'running', stage: 'finalizing', progress: (elapsed - t.synthesizing) / (t.finalizing - t.synthesizing) };
+    };
+
+    const createJob = async (req) => {
+        const { fields, files } = parseMultipart(await readBody(req), req.headers['content-type']);
+        const preferences = parseJson(fields.preferences, {});
+        // PDFs arrive as files or as an earlier chunked upload; text and links carry their name alongside
+        const pdfName = files.pdf?.filename || uploads.get(fields.uploadId)?.name;
+        // Like the real backend, a request with nothing to convert is turned down
+        if (!pdfName && !fields.text && !fields.url) return null;
+        const title = pdfName
+            ? pdfName.replace(/\.[^.]+$/, '') + (fields.pages ? ` (pages ${fields.pages})` : '')
+            : fields.sourceName || fields.url || 'your notes';
+        const id = `mock-${nextId++}`;
+        const job = {
+            id,
+            createdAt: Date.now(),
+            filename: `${id}.wav`,
+            transcript: buildTranscript(title, preferences, pdfName ? citedPages(fields.pages) : null),
+            scriptOnly: fields.mode === 'script'
+        };
+        jobs.set(id, job);
+        return job;
+    };
+
+    // Returns true when an injected failure has already answered the request
+    const injectFailure = (res) => {
+        if (options.fail === 'wake' && wakeRequestsLeft > 0) {
+            wakeRequestsLeft--;
+            send(res, 503, { error: 'Service is waking up' });
+            return true;
+        }
+        if (options.fail === '500') {
+            send(res, 500, { error: 'Internal server error' });
+            return true;
+        }
+        if (options.fail === 'malformed') {
+            send(res, 200, '{"filename": "mock-broken.wav", "transcript": [');
+            return true;
+        }
+        return false;
+    };
+
+    const streamEvents = (req, res, job) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        const tick = () => {
+            const state = jobState(job);
+            if (state.status === 'complete') {
+                res.write(`event: complete\ndata: ${JSON.stringify(state.result)}\n\n`);
+                res.end();
+                clearInterval(timer);
+                return;
+            }
+            res.write(`event: progress\ndata: ${JSON.stringify(state)}\n\n`);
+        };
+        const timer = setInterval(tick, 300);
+        req.on('close', () => clearInterval(timer));
+        tick();
+    };
+
+    const routes = [
+        ['GET', /^\/api\/__mock$/, (req, res) => send(res, 200, options)],
+        ['POST', /^\/api\/__mock$/, async (req, res) => {
+            Object.assign(options, parseJson((await readBody(req)).toString(), {}));
+            wakeRequestsLeft = options.wakeCount;
+            send(res, 200, options);
+        }],
+        ['GET', /^\/api\/health$/, (req, res) => {
+            if (injectFailure(res)) return;
+            send(res, 200, { status: 'ok' });
+        }],
+        ['POST', /^\/api\/uploads$/, async (req, res) => {
+            if (options.legacy) return send(res, 404, { error: 'Not found' });
+            if (injectFailure(res)) return;
+            const { name = 'upload.pdf', size = 0 } = parseJson((await readBody(req)).toString(), {});
+            const id = `upload-${nextId++}`;
+            uploads.set(id, { name, size, offset: 0 });
+            send(res, 201, { uploadId: id, offset: 0 });
+        }],
+        ['GET', /^\/api\/uploads\/([^/]+)$/, (req, res, [id]) => {
+            const upload = uploads.get(id);
+            if (!upload) return send(res, 404, { error: 'Unknown upload' });
+            send(res, 200, { offset: upload.offset, size: upload.size });
+        }],
+        ['PUT', /^\/api\/uploads\/([^/]+)$/, async (req, res, [id]) => {
+            const upload = uploads.get(id);
+            if (!upload) return send(res, 404, { error: 'Unknown upload' });
+            const body = await readBody(req);
+            if (options.fail === 'flaky' && ++chunkCount % 3 === 0) {
+                req.socket.destroy();
+                return;
+            }
+            const start = Number(/bytes (\d+)-/.exec(req.headers['content-range'] || '')?.[1]);
+            if (start !== upload.offset) return send(res, 409, { error: 'Wrong offset', offset: upload.offset });
+            upload.offset += body.length;
+            send(res, 200, { offset: upload.offset });
+        }],
+        ['POST', /^\/api\/jobs$/, async (req, res) => {
+            if (options.legacy) return send(res, 404, { error: 'Not found' });
+            if (injectFailure(res)) return;
+            const job = await createJob(req);
+            if (!job) return send(res, 400, { error: 'Nothing to convert' });
+            send(res, 202, { jobId: job.id });
+        }],
+        ['POST', /^\/api\/resynthesize$/, async (req, res) => {
+            if (injectFailure(res)) return;
+            const { script = [], changed = [] } = parseJson((await readBody(req)).toString(), {});
+            const id = `mock-${nextId++}`;
+            jobs.set(id, {
+                id,
+                createdAt: Date.now(),
+                filename: `${id}.wav`,
+                resynthesis: true,
+                chunks: Math.max(changed.length, 1),
+                transcript: script.map((line, idx) => ({
+                    speaker: line.speaker,
+                    text: line.text,
+                    start: idx * SECONDS_PER_LINE,
+                    end: (idx + 1) * SECONDS_PER_LINE
+                }))
+            });
+            send(res, 202, { jobId: id });
+        }],
+        ['GET', /^\/api\/jobs\/([^/]+)\/events$/, (req, res, [id]) => {
+            const job = jobs.get(id);
+            if (!job) return send(res, 404, { error: 'Unknown job' });
+            streamEvents(req, res, job);
+        }],
+        ['GET', /^\/api\/jobs\/([^/]+)$/, (req, res, [id]) => {
+            const job = jobs.get(id);
+            if (!job) return send(res, 404, { error: 'Unknown job' });
+            if (injectFailure(res)) return;
+            send(res, 200, jobState(job));
+        }],
+        ['POST', /^\/api\/convert$/, async (req, res) => {
+            if (injectFailure(res)) return;
+            const job = await createJob(req);
+            if (!job) return send(res, 400, { error: 'Nothing to convert' });
+            setTimeout(() => send(res, 200, { filename: job.filename, transcript: job.transcript }), timeline(job).finalizing);
+        }],
+        ['POST', /^\/api\/study$/, async (req, res) => {
+            if (options.legacy) return send(res, 404, { error: 'Not found' });
+            if (injectFailure(res)) return;
+            const { transcript = [] } = parseJson((await readBody(req)).toString(), {});
+            setTimeout(() => send(res, 200, buildStudyGuide(transcript)), options.delayMs);
+        }],
+        ['GET', /^\/api\/download\/([^/]+)$/, (req, res, [filename]) => {
+            const job = [...jobs.values()].find(j => j.filename === filename);
+            send(res, 200, renderWav(job ? job.transcript : buildTranscript('your notes')), 'audio/wav');
+        }]
+    ];
+
+    return async (req, res, next) => {
+        const path = req.url.split('?')[0];
+        const route = routes.find(([method, pattern]) => method === req.method && pattern.test(path));
+        if (!route) {
+            if (path.startsWith('/api/')) return send(res, 404, { error: 'Not found' });
+            return next?.();
+        }
+        try {
+            await route[2](req, res, route[1].exec(path).slice(1));
+        } catch (error) {
+            send(res, 500, { error: error.message });
+        }
+    };
+};
+
+export const mockApiPlugin = (options) => ({
+    name: 'notecast-mock-api',
+    configureServer(server) {
+        server.middlewares.use(createMockApi(options));
+    },
+    configurePreviewServer(server) {
+        server.middlewares.use(createMockApi(options));
+    }
+});
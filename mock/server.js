@@ -0,0 +1,13 @@
+// Standalone mock backend for automated UI tests: `npm run mock:server`
+import { createServer } from 'node:http';
+import { createMockApi, mockOptionsFromEnv } from './mockApi.js';
+
+const port = Number(process.env.MOCK_PORT) || 8787;
+const handler = createMockApi(mockOptionsFromEnv(process.env));
+
+createServer((req, res) => handler(req, res, () => {
+    res.statusCode = 404;
+    res.end();
+})).listen(port, () => {
+    console.log(`NoteCast mock API listening on http://localhost:${port}/api`);
+});
@@ -1,201 +1,664 @@
-import React, { useState, useEffect, useRef } from 'react'; // Added useRef for stability
-import { Upload, Mic, Download, FileText, Users, Sparkles, Play, Pause, Moon, Sun } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo, lazy, Suspense } from 'react'; // Added useRef for stability
+import { flushSync } from 'react-dom';
+import { Upload, Mic, Download, Scissors, FileText, Users, Sparkles, Moon, Sun, Library as LibraryIcon, ClipboardPaste, Link } from 'lucide-react';
+import { API_BASE_URL } from './lib/api';
+import { JOB_STAGES, convert, draftScript, formatEta, resumeJob, resynthesize, stageIndex, synthesize } from './lib/jobs';
+import { formatBytes, formatTime } from './lib/format';
+import { formatPageRanges, parsePageRanges } from './lib/pages';
+import { activeLineIndex, withTimings } from './lib/transcript';
+import { audioExtension, clearPlayback, downloadBlob, fetchAndSaveEpisode, titleFromFileName, updateEpisode } from './lib/library';
+import { changedLineIndices } from './lib/scriptDiff';
+import { waitForBackend } from './lib/health';
+import { clearActiveJob, loadActiveJob, saveActiveJob } from './lib/activeJob';
+import { notifyJobDone, requestNotifications } from './lib/notify';
+import { isWakingError } from './lib/retry';
+import { buildChapters, chapterIndexAt, withChapterTimes } from './lib/chapters';
+import { castFor } from './lib/speakers';
+import { forgetProgress } from './lib/flashcards';
+import { clearSettingsFromUrl, loadLastUsed, normalizePreferences, readSettingsFromUrl, saveLastUsed } from './lib/preferences';
+import { ACCEPTED_EXTENSIONS, buildSourceForm, inspectFile, readSourceSections, sourceName, sourcePdf, sourceTitle, sourceType, validateFile, validatePastedText, validateUrl } from './lib/sources';
+import TranscriptPanel from './components/TranscriptPanel';
+import ExportMenu from './components/ExportMenu';
+import ScriptEditor from './components/ScriptEditor';
+import Library from './components/Library';
+import PreferencesPanel from './components/PreferencesPanel';
+import BatchQueue from './components/BatchQueue';
+import Outbox from './components/Outbox';
+import ScriptReview from './components/ScriptReview';
+import StudyPanel from './components/StudyPanel';
+import RetryNotice from './components/RetryNotice';
+import AudioPlayer from './components/AudioPlayer';
+import ChapterList from './components/ChapterList';
+import Waveform from './components/Waveform';
+import ClipTool from './components/ClipTool';
+import useAudioPlayer from './hooks/useAudioPlayer';
+import useBatchQueue from './hooks/useBatchQueue';
+import useCitations from './hooks/useCitations';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useOutbox from './hooks/useOutbox';
+import usePlaybackProgress from './hooks/usePlaybackProgress';
+import useWaveform from './hooks/useWaveform';
+import useConversionStatus, { isEditable, isRunning } from './hooks/useConversionStatus';
 
-// --- FINAL FIX: Use relative path. Vercel will redirect this to the Railway URL ---
-const API_BASE_URL = '/api'; 
-// -----------------------------------------------------------------------------------
+// pdf.js is large; only load it once someone opens the page picker
+const PdfPreview = lazy(() => import('./components/PdfPreview'));
+const SourceReader = lazy(() => import('./components/SourceReader'));
+
+// The clip tool starts with this much audio from the playhead
+const DEFAULT_CLIP_SECONDS = 45;
+
+const SOURCE_TABS = [
+    { key: 'file', label: 'file', icon: Upload },
+    { key: 'paste', label: 'paste', icon: ClipboardPaste },
+    { key: 'url', label: 'link', icon: Link }
+];
 
 export default function PodcastConverter() {
     const [file, setFile] = useState(null);
-    const [status, setStatus] = useState('idle');
+    // Where the notes come from: an uploaded file, pasted text or a link
+    const [sourceMode, setSourceMode] = useState('file');
+    const [pastedText, setPastedText] = useState('');
+    const [sourceUrl, setSourceUrl] = useState('');
+    const [status, setStatus] = useConversionStatus();
     const [progress, setProgress] = useState(0);
     const [podcastUrl, setPodcastUrl] = useState(null);
     const [transcript, setTranscript] = useState([]);
-    const [playing, setPlaying] = useState(false);
-    const [audioElement, setAudioElement] = useState(null);
-    const [currentTime, setCurrentTime] = useState(0);
-    const [duration, setDuration] = useState(0);
     const [darkMode, setDarkMode] = useState(true);
     const [showSettings, setShowSettings] = useState(false);
-    const [playbackSpeed, setPlaybackSpeed] = useState(1.0);
-    const [preferences, setPreferences] = useState({
-        tone: 'conversational',
-        length: 'medium',
-        humor: true,
-        depth: 'balanced'
-    });
+    const [showPreview, setShowPreview] = useState(false);
+    // Pages of the PDF to convert; null means the whole document
+    const [pages, setPages] = useState(null);
+    // A settings link wins over whatever was used last
+    const [preferences, setPreferences] = useState(() => readSettingsFromUrl() || loadLastUsed());
+
+    const [jobProgress, setJobProgress] = useState({ stage: null, eta: null, chunks: null, bytes: null });
+    const [dragging, setDragging] = useState(false);
+    const [checkingFiles, setCheckingFiles] = useState(false);
+    // 'checking' | 'awake' | 'waking' | 'unreachable', from the health endpoint
+    const [serverState, setServerState] = useState('checking');
+    // Pending automatic retry: { attempt, retries, until }
+    const [retry, setRetry] = useState(null);
+    const [view, setView] = useState('convert');
+    // The library record behind the current result, once it has been saved
+    const [episode, setEpisode] = useState(null);
+    // Backend name of the current audio; edits are re-synthesized against it
+    const [remoteFilename, setRemoteFilename] = useState(null);
+    const [editing, setEditing] = useState(false);
+    const [resynthProgress, setResynthProgress] = useState(null);
+    // Script-first mode drafts the dialogue for review before any audio is recorded
+    const [scriptFirst, setScriptFirst] = useState(false);
+    const [draft, setDraft] = useState(null);
+    // Details of a job picked back up after a reload, when the source itself is gone
+    const [resumed, setResumed] = useState(null);
+    // Region `{ start, end }` being cut into a clip, or null when the clip tool is closed
+    const [clip, setClip] = useState(null);
+    // Transcript line whose source is open beside it: { index, source }
+    const [citation, setCitation] = useState(null);
+    // What the transcript is searched for, kept from a library search that opened the episode
+    const [transcriptQuery, setTranscriptQuery] = useState('');
+    // Transcript line to jump to once the opened episode's audio has loaded
+    const [pendingLine, setPendingLine] = useState(null);
 
-    // Use useRef to hold the interval IDs for cleanup
-    const progressIntervalRef = useRef(null);
-    const finalIntervalRef = useRef(null);
+    const source = sourceMode === 'paste' ? { kind: 'text', text: pastedText }
+        : sourceMode === 'url' ? { kind: 'url', url: sourceUrl }
+        : file && { kind: 'file', file };
+    const hasSource = sourceMode === 'file' ? !!file : !!(sourceMode === 'paste' ? pastedText : sourceUrl).trim();
+    // Page picking only makes sense for PDFs
+    const isPdf = sourceMode === 'file' && !!file && sourceType(file)?.key === 'pdf';
+    const episodeTitle = episode?.title || (source ? sourceTitle(source) : titleFromFileName());
 
+    const player = useAudioPlayer(podcastUrl, { title: episodeTitle });
+    const { currentTime, duration } = player;
+    const listening = usePlaybackProgress(episode?.id, player);
+    const waveform = useWaveform(podcastUrl);
+
+    // Aborts the in-flight conversion on reset or unmount
+    const conversionRef = useRef(null);
+    // Object URL for locally stored audio, revoked when replaced
+    const objectUrlRef = useRef(null);
+
+    // Show what a settings link changed, then drop it from the address bar
     useEffect(() => {
-        if (podcastUrl && typeof podcastUrl === 'string') {
-            const audio = new Audio(podcastUrl);
-            audio.playbackRate = playbackSpeed;
-            
-            const updateTime = () => setCurrentTime(audio.currentTime);
-            const setDurationData = () => setDuration(audio.duration);
-            const handleEnded = () => setPlaying(false);
-
-            audio.addEventListener('timeupdate', updateTime);
-            audio.addEventListener('loadedmetadata', setDurationData);
-            audio.addEventListener('ended', handleEnded);
-            setAudioElement(audio);
-            
-            return () => {
-                audio.pause();
-                audio.removeEventListener('timeupdate', updateTime);
-                audio.removeEventListener('loadedmetadata', setDurationData);
-                audio.removeEventListener('ended', handleEnded);
-            };
-        }
-    }, [podcastUrl]);
+        if (!readSettingsFromUrl()) return;
+        setShowSettings(true);
+        clearSettingsFromUrl();
+    }, []);
 
+    useEffect(() => saveLastUsed(preferences), [preferences]);
+
+    // Clips belong to one recording
+    useEffect(() => setClip(null), [podcastUrl]);
+    useEffect(() => setCitation(null), [podcastUrl, editing]);
+
+    // Stop following the job on component unmount
     useEffect(() => {
-        if (audioElement) {
-            audioElement.playbackRate = playbackSpeed;
-        }
-    }, [playbackSpeed, audioElement]);
+        return () => conversionRef.current?.abort();
+    }, []);
 
-    // Cleanup intervals on component unmount
+    // Pick up a conversion that was still running when the page was closed
     useEffect(() => {
+        const saved = loadActiveJob();
+        if (saved) handleResume(saved);
+    }, []);
+
+    // An upload can't continue without the page, so warn before leaving mid-upload
+    useEffect(() => {
+        if (status !== 'uploading') return;
+        const warn = (e) => {
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        window.addEventListener('beforeunload', warn);
+        return () => window.removeEventListener('beforeunload', warn);
+    }, [status]);
+
+    // Free-tier backends sleep when idle; start waking it while the user picks a file
+    useEffect(() => {
+        const controller = new AbortController();
+        waitForBackend({ signal: controller.signal, onRetry: () => setServerState('waking') })
+            .then(() => setServerState('awake'))
+            .catch(error => error.name !== 'AbortError' && setServerState('unreachable'));
+        return () => controller.abort();
+    }, []);
+
+    // A file dropped just outside the dropzone would otherwise replace the app with it
+    useEffect(() => {
+        const ignore = (e) => e.preventDefault();
+        window.addEventListener('dragover', ignore);
+        window.addEventListener('drop', ignore);
         return () => {
-            clearInterval(progressIntervalRef.current);
-            clearInterval(finalIntervalRef.current);
+            window.removeEventListener('dragover', ignore);
+            window.removeEventListener('drop', ignore);
         };
     }, []);
 
-    const handleFileChange = (e) => {
-        const selectedFile = e.target.files[0];
-        if (selectedFile && selectedFile.type === 'application/pdf') {
-            setFile(selectedFile);
-            setStatus('idle');
-            setPodcastUrl(null);
-            setTranscript([]);
-        } else {
-            alert('Please select a PDF file');
-        }
+    // The duration is only known once the audio loads; backfill it on the stored episode
+    useEffect(() => {
+        if (!episode || episode.duration || !(duration > 0) || !isFinite(duration)) return;
+        updateEpisode(episode.id, { duration })
+            .then(updated => updated && setEpisode(updated))
+            .catch(error => console.error('Could not update episode:', error));
+    }, [episode, duration]);
+
+    const queue = useBatchQueue({ defaultPreferences: preferences });
+    const online = useOnlineStatus();
+    // Conversions asked for offline go out once the connection is back
+    const outbox = useOutbox({
+        online,
+        onSent: (saved, entry) => notifyJobDone({ title: 'your podcast is ready', body: saved.title, startedAt: entry.createdAt })
+    });
+
+    const playBlob = (blob) => {
+        if (objectUrlRef.current) URL.revokeObjectURL(objectUrlRef.current);
+        objectUrlRef.current = URL.createObjectURL(blob);
+        setPodcastUrl(objectUrlRef.current);
     };
 
-    const handleConvert = async () => {
-        if (!file) {
-            alert('Please select a PDF file first');
-            return;
+    const resetPlayer = () => setPodcastUrl(null);
+
+    // What a finished job gets saved with: `{ title, sourceName, preferences, pages, startedAt }`
+    const jobDetails = () => (source ? {
+        title: sourceTitle(source),
+        sourceName: sourceName(source),
+        preferences,
+        pages: isPdf && pages ? formatPageRanges(pages) : null,
+        startedAt: Date.now()
+    } : { title: titleFromFileName(), sourceName: null, pages: null, ...resumed, preferences, startedAt: Date.now() });
+
+    const saveToLibrary = async (filename, transcript, details) => {
+        try {
+            return await fetchAndSaveEpisode(`${API_BASE_URL}/download/${filename}`, {
+                filename,
+                title: details.title,
+                sourceName: details.sourceName,
+                preferences: details.preferences,
+                pages: details.pages,
+                sections: details.sections || [],
+                sourceFile: details.sourceFile || null,
+                transcript
+            });
+        } catch (error) {
+            console.error('Could not save episode to library:', error);
+            return null;
         }
-        
-        // Clear any previous intervals just in case
-        clearInterval(progressIntervalRef.current);
-        clearInterval(finalIntervalRef.current);
+    };
 
-        setStatus('uploading');
+    // Clears the results view for a new conversion
+    const startOver = () => {
+        setFile(null);
+        setPastedText('');
+        setSourceUrl('');
+        setPages(null);
+        setStatus('idle');
+        setTranscript([]);
         setProgress(0);
-        
-        // --- Progress Simulation ---
-        const startProgress = 15;
-        const waitCap = 85;
-        
-        let currentSimulatedProgress = 0;
-        progressIntervalRef.current = setInterval(() => {
-            setProgress(prev => {
-                currentSimulatedProgress = prev;
-                
-                if (currentSimulatedProgress < startProgress) {
-                    return prev + 1;
-                } else if (currentSimulatedProgress < waitCap) {
-                    return prev + 0.1;
+        setJobProgress({ stage: null, eta: null, chunks: null, bytes: null });
+        setEpisode(null);
+        setRemoteFilename(null);
+        setEditing(false);
+        setDraft(null);
+        setTranscriptQuery('');
+        resetPlayer();
+        conversionRef.current?.abort();
+    };
+
+    // The open episode was deleted. Closing it makes the player save its last position, which
+    // would bring the playback record back, so that's cleared again once the save has started.
+    const handleEpisodeDeleted = (deleted) => {
+        if (episode?.id !== deleted.id) return;
+        flushSync(startOver);
+        clearPlayback(deleted.id).catch(error => console.error('Could not clear playback:', error));
+    };
+
+    // `found` is a library search hit, `{ line, query }`, to land on
+    const openEpisode = (record, found = null) => {
+        conversionRef.current?.abort();
+        resetPlayer();
+        setFile(null);
+        setEpisode(record);
+        setRemoteFilename(record.filename || null);
+        setEditing(false);
+        setDraft(null);
+        setResumed(null);
+        setTranscript(record.transcript || []);
+        setTranscriptQuery(found?.query || '');
+        setPendingLine(found?.line ?? null);
+        playBlob(record.audio);
+        setStatus('complete');
+        setView('convert');
+    };
+
+    const handleFiles = async (selected) => {
+        setCheckingFiles(true);
+        const problems = [];
+        const accepted = [];
+        try {
+            // One at a time: PDF checks load the whole document. Offline, files only go to the
+            // outbox, and the backend checks them once they're sent.
+            for (const candidate of selected) {
+                const problem = online ? await inspectFile(candidate) : validateFile(candidate);
+                if (problem) {
+                    problems.push(problem);
                 } else {
-                    clearInterval(progressIntervalRef.current);
-                    return waitCap;
+                    accepted.push(candidate);
                 }
-            });
-        }, 200);
+            }
+        } finally {
+            setCheckingFiles(false);
+        }
+        if (problems.length) {
+            alert(problems.join('\n'));
+        }
+        if (accepted.length === 0) return;
+        setSourceMode('file');
+
+        // Several files, or a batch already started: everything goes through the queue
+        if (accepted.length > 1 || queue.items.length > 0) {
+            if (file) accepted.unshift(file);
+            queue.addFiles(accepted);
+            setFile(null);
+            return;
+        }
+
+        const selectedFile = accepted[0];
+        setFile(selectedFile);
+        setPages(null);
+        setStatus('idle');
+        setPodcastUrl(null);
+        setTranscript([]);
+        setEpisode(null);
+    };
+
+    const handleFileChange = (e) => {
+        handleFiles(Array.from(e.target.files));
+        // Allow picking the same file again after removing it from the queue
+        e.target.value = '';
+    };
+
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = isEditable(status) ? 'copy' : 'none';
+        if (isEditable(status) && !dragging) setDragging(true);
+    };
+
+    // dragleave also fires when moving onto a child element; only reset when leaving the zone
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragging(false);
+        if (!isEditable(status) || checkingFiles) return;
+        handleFiles(Array.from(e.dataTransfer.files));
+    };
 
-        const formData = new FormData();
-        formData.append('pdf', file);
-        formData.append('preferences', JSON.stringify(preferences));
-        
+    // Validation problem with the current source, as a user-facing message
+    const sourceProblem = () => {
+        if (sourceMode === 'paste') return validatePastedText(pastedText);
+        if (sourceMode === 'url') return validateUrl(sourceUrl);
+        if (!file) return 'Please select a file first';
+        if (isPdf && pages?.length === 0) return 'Please pick at least one page to convert';
+        return null;
+    };
+
+    // Replaces any in-flight job with a fresh one and resets the progress display
+    const startJob = (stage) => {
+        conversionRef.current?.abort();
+        const controller = new AbortController();
+        conversionRef.current = controller;
+
+        setStatus('queued');
+        setProgress(0);
+        setJobProgress({ stage, eta: null, chunks: null, bytes: null });
+        return controller;
+    };
+
+    // Reads and normalizes the source; null (after telling the user why) if it can't be used
+    const buildFormData = async () => {
+        const problem = sourceProblem();
+        if (problem) {
+            alert(problem);
+            return null;
+        }
         try {
-            // --- FIXED FETCH CALL USING RELATIVE PATH ---
-            const response = await fetch(`${API_BASE_URL}/convert`, {
-                method: 'POST',
-                body: formData
+            return await buildSourceForm(source, {
+                preferences,
+                pages: isPdf && pages ? formatPageRanges(pages) : null
             });
-            // --------------------------------------------
-            
-            // Stop the simulation interval once response is received
-            clearInterval(progressIntervalRef.current);
-
-            if (!response.ok) {
-                // If Railway is sleeping, this is where the timeout/error occurs.
-                throw new Error(`Conversion failed with status: ${response.status}`);
-            }
-            
-            setStatus('processing');
-            
-            const data = await response.json();
-            
-            // 2. Final progress push (Completion)
-            finalIntervalRef.current = setInterval(() => {
-                setProgress(prev => {
-                    if (prev >= 100) {
-                        clearInterval(finalIntervalRef.current);
-                        setStatus('complete');
-                        
-                        // --- FIXED DOWNLOAD URL USING RELATIVE PATH ---
-                        setPodcastUrl(`${API_BASE_URL}/download/${data.filename}`);
-                        // --------------------------------------------
-                        
-                        setTranscript(data.transcript || []);
-                        return 100;
-                    }
-                    // Fast jump to 100% after backend finishes
-                    return prev + 5;
+        } catch (error) {
+            console.error('Could not read source:', error);
+            alert(error.message);
+            return null;
+        }
+    };
+
+    const trackProgress = ({ stage, progress, eta, chunks, bytes }) => {
+        // Progress means the retry being waited for has started
+        setRetry(null);
+        // The legacy endpoint reports no stage, so it stays "uploading" until it answers
+        setStatus(stage && stage !== 'uploading' ? 'processing' : 'uploading');
+        setProgress(progress);
+        setJobProgress({ stage, eta, chunks, bytes });
+    };
+
+    const finishJob = (controller) => {
+        if (conversionRef.current !== controller) return;
+        conversionRef.current = null;
+        clearActiveJob();
+        setRetry(null);
+    };
+
+    // Once the backend has the job, a reload can pick it up from here
+    const rememberJob = (kind, details) => (jobId) => saveActiveJob({ jobId, kind, ...details });
+
+    const failJob = (error) => {
+        if (error.name === 'AbortError') return;
+        console.error('Error:', error);
+        setStatus('error');
+        alert(isWakingError(error)
+            ? 'The server didn\'t wake up in time, please try again in a minute. Details: ' + error.message
+            : 'Error converting: ' + error.message);
+    };
+
+    const showRetry = ({ attempt, retries, delay }) => {
+        setServerState('waking');
+        setRetry({ attempt, retries, until: Date.now() + delay });
+    };
+
+    // Makes sure the backend is up, then runs the request. `task` gets the `onRetry` to pass on
+    // to the job functions, which retry sending the job while the backend is still waking up.
+    const runJob = async (task, controller) => {
+        if (serverState !== 'awake') {
+            await waitForBackend({ signal: controller.signal, onRetry: showRetry });
+            setServerState('awake');
+            setRetry(null);
+        }
+        return task(showRetry);
+    };
+
+    // Stops whatever is running and goes back a step, keeping the source, options and any draft
+    const handleCancel = () => {
+        conversionRef.current?.abort();
+        conversionRef.current = null;
+        clearActiveJob();
+        setRetry(null);
+        if (!draft) setResumed(null);
+        setProgress(0);
+        setJobProgress({ stage: null, eta: null, chunks: null, bytes: null });
+        setStatus(draft ? 'review' : 'cancelled');
+    };
+
+    // Saves a finished job to the library and hands it to the player
+    const completeConversion = async (data, controller, details) => {
+        // Chapters are named after the source's own sections when it has any
+        const sections = source
+            ? await readSourceSections(source, { pages: isPdf ? pages : null }).catch(error => {
+                console.error('Could not read sections:', error);
+                return [];
+            })
+            : [];
+        const saved = await saveToLibrary(data.filename, data.transcript || [], { ...details, sections, sourceFile: sourcePdf(source) });
+        if (controller.signal.aborted) return;
+        notifyJobDone({ title: 'your podcast is ready', body: details.title, startedAt: details.startedAt });
+
+        setProgress(100);
+        setEpisode(saved);
+        setRemoteFilename(data.filename);
+        if (saved) {
+            playBlob(saved.audio);
+        } else {
+            setPodcastUrl(`${API_BASE_URL}/download/${data.filename}`);
+        }
+        setTranscript(data.transcript || []);
+        setDraft(null);
+        setResumed(null);
+        setStatus('complete');
+    };
+
+    // Offline, the conversion waits in the outbox instead and the form clears for the next one
+    const saveForLater = async () => {
+        const problem = sourceProblem();
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        const { title, sourceName, preferences: chosen, pages: pageRanges } = jobDetails();
+        try {
+            await outbox.add({ source, preferences: chosen, pages: pageRanges, selectedPages: isPdf ? pages : null, title, sourceName });
+        } catch (error) {
+            console.error('Could not save conversion for later:', error);
+            alert('Error saving for later: ' + error.message);
+            return;
+        }
+        requestNotifications();
+        setFile(null);
+        setPastedText('');
+        setSourceUrl('');
+        setPages(null);
+        setShowPreview(false);
+    };
+
+    // Waiting batch files move to the outbox one by one, leaving the queue as they go
+    const saveBatchForLater = async (items) => {
+        requestNotifications();
+        try {
+            for (const item of items) {
+                await outbox.add({
+                    source: { kind: 'file', file: item.file },
+                    preferences: item.preferences || preferences,
+                    pages: null,
+                    selectedPages: null,
+                    title: titleFromFileName(item.file.name),
+                    sourceName: item.file.name
                 });
-            }, 50);
-            
+                queue.remove(item.id);
+            }
+        } catch (error) {
+            console.error('Could not save conversions for later:', error);
+            alert('Error saving for later: ' + error.message);
+        }
+    };
+
+    const handleConvert = async () => {
+        const formData = await buildFormData();
+        if (!formData) return;
+        const details = jobDetails();
+        const controller = startJob('uploading');
+        requestNotifications();
+
+        try {
+            const data = await runJob(onRetry => convert(formData, {
+                signal: controller.signal,
+                onRetry,
+                onProgress: trackProgress,
+                onJobCreated: rememberJob('convert', details)
+            }), controller);
+            await completeConversion(data, controller, details);
+        } catch (error) {
+            failJob(error);
+        } finally {
+            finishJob(controller);
+        }
+    };
+
+    // Script-first mode: stop after the dialogue so it can be read before anything is recorded
+    const handleDraftScript = async () => {
+        const formData = await buildFormData();
+        if (!formData) return;
+        const details = jobDetails();
+        const controller = startJob('uploading');
+        setDraft(null);
+        requestNotifications();
+
+        try {
+            const data = await runJob(onRetry => draftScript(formData, {
+                signal: controller.signal,
+                onRetry,
+                onProgress: trackProgress,
+                onJobCreated: rememberJob('draft', details)
+            }), controller);
+            if (controller.signal.aborted) return;
+            setDraft(data.transcript || []);
+            notifyJobDone({ title: 'your script is ready', body: details.title, startedAt: details.startedAt });
+            setStatus('review');
+        } catch (error) {
+            failJob(error);
+        } finally {
+            finishJob(controller);
+        }
+    };
+
+    const handleApproveScript = async (script) => {
+        const details = jobDetails();
+        const controller = startJob('synthesizing');
+
+        try {
+            const data = await runJob(onRetry => synthesize(script, preferences, {
+                signal: controller.signal,
+                onRetry,
+                onProgress: trackProgress,
+                onJobCreated: rememberJob('synthesize', details)
+            }), controller);
+            await completeConversion({ ...data, transcript: data.transcript || script }, controller, details);
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Error:', error);
-            clearInterval(progressIntervalRef.current);
-            clearInterval(finalIntervalRef.current);
-            setStatus('error');
-            alert('Error converting PDF: The service may be sleeping, please try again in 30 seconds. Details: ' + error.message);
+            // Keep the approved draft around so a retry doesn't redo the script
+            setStatus('review');
+            alert('Error recording the script: ' + error.message);
+        } finally {
+            finishJob(controller);
         }
     };
 
-    const togglePlayback = () => {
-        if (audioElement) {
-            if (playing) {
-                audioElement.pause();
+    // Follows a job that was still running when the page was last closed
+    const handleResume = async (saved) => {
+        conversionRef.current?.abort();
+        const controller = new AbortController();
+        conversionRef.current = controller;
+        setResumed(saved);
+        setPreferences(normalizePreferences(saved.preferences));
+        setStatus('processing');
+        setJobProgress({ stage: null, eta: null, chunks: null, bytes: null });
+
+        try {
+            const data = await resumeJob(saved.jobId, { signal: controller.signal, onProgress: trackProgress });
+            if (saved.kind === 'draft') {
+                if (controller.signal.aborted) return;
+                setDraft(data.transcript || []);
+                notifyJobDone({ title: 'your script is ready', body: saved.title, startedAt: saved.startedAt });
+                setStatus('review');
             } else {
-                audioElement.play();
+                await completeConversion(data, controller, saved);
+            }
+        } catch (error) {
+            if (error.status === 404) {
+                error.message = 'The server no longer has this conversion; it may have restarted';
             }
-            setPlaying(!playing);
+            failJob(error);
+        } finally {
+            finishJob(controller);
         }
     };
 
-    const formatTime = (seconds) => {
-        if (!seconds || isNaN(seconds)) return '0:00';
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    };
+    // Re-records only the lines that differ from the current audio, then swaps the new audio in
+    const handleResynthesize = async (script) => {
+        const controller = new AbortController();
+        conversionRef.current?.abort();
+        conversionRef.current = controller;
+        setResynthProgress({ stage: 'synthesizing', progress: 0 });
+
+        try {
+            const data = await resynthesize({
+                filename: remoteFilename,
+                script,
+                changed: changedLineIndices(transcript, script),
+                preferences: episode?.preferences || preferences
+            }, { signal: controller.signal, onProgress: setResynthProgress });
+
+            const response = await fetch(`${API_BASE_URL}/download/${data.filename}`, { signal: controller.signal });
+            if (!response.ok) throw new Error(`Download failed with status: ${response.status}`);
+            const audio = await response.blob();
+            const newTranscript = data.transcript || script;
 
-    const handleSeek = (e) => {
-        if (!audioElement || !duration) return;
-        const rect = e.currentTarget.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const percentage = x / rect.width;
-        const newTime = percentage * duration;
-        audioElement.currentTime = newTime;
-        setCurrentTime(newTime);
+            let updated = null;
+            if (episode) {
+                updated = await updateEpisode(episode.id, {
+                    audio,
+                    transcript: newTranscript,
+                    filename: data.filename,
+                    originalTranscript: episode.originalTranscript || transcript,
+                    duration: 0,
+                    // Study guides point at lines of the old script
+                    study: null
+                });
+                forgetProgress(episode.id);
+            }
+
+            resetPlayer();
+            setEpisode(updated);
+            setRemoteFilename(data.filename);
+            setTranscript(newTranscript);
+            playBlob(audio);
+            setEditing(false);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error:', error);
+            alert('Error regenerating audio: ' + error.message);
+        } finally {
+            if (conversionRef.current === controller) conversionRef.current = null;
+            setResynthProgress(null);
+        }
     };
 
     const handleDownload = () => {
-        if (podcastUrl) {
+        if (episode) {
+            downloadBlob(episode.audio, `${episode.title}.${audioExtension(episode.audio)}`);
+        } else if (podcastUrl) {
             const a = document.createElement('a');
             a.href = podcastUrl;
-            a.download = file?.name.replace('.pdf', '.mp3') || 'podcast.mp3';
+            a.download = `${episodeTitle}.mp3`;
             a.click();
         }
     };
@@ -208,12 +671,50 @@ export default function PodcastConverter() {
 
     // --- FIX 2: Rounding the progress display ---
     const displayedProgress = Math.round(progress);
+    const currentStage = JOB_STAGES[stageIndex(jobProgress.stage)];
+    const etaLabel = formatEta(jobProgress.eta);
+
+    // Citations open the PDF the episode was made from, limited to the pages it was made from
+    const citedFile = episode?.sourceFile || sourcePdf(source);
+    const citedPages = useMemo(() => {
+        if (!episode) return isPdf ? pages : null;
+        try {
+            return episode.pages ? parsePageRanges(episode.pages, Number.MAX_SAFE_INTEGER) : null;
+        } catch {
+            return null;
+        }
+    }, [episode, isPdf, pages]);
+    const citedTranscript = useCitations(transcript, citedFile, citedPages);
+    const timedTranscript = useMemo(() => withTimings(citedTranscript, duration), [citedTranscript, duration]);
+    // Names and colors for whoever speaks, as set up when the episode was made
+    const speakers = (episode?.preferences || preferences).speakers;
+    const cast = useMemo(() => castFor(speakers, transcript), [speakers, transcript]);
+    const activeLine = activeLineIndex(timedTranscript, currentTime);
+
+    // Line timings are estimated from the duration, so a search hit can only be sought to once it's known
+    useEffect(() => {
+        if (pendingLine === null || !(duration > 0) || !timedTranscript[pendingLine]) return;
+        player.seek(timedTranscript[pendingLine].start);
+        setPendingLine(null);
+    }, [pendingLine, duration, timedTranscript]);
+    const chapters = useMemo(
+        () => withChapterTimes(buildChapters(transcript, episode?.sections), timedTranscript),
+        [transcript, episode?.sections, timedTranscript]
+    );
 
     return (
         <div className={`min-h-screen ${bgClass} transition-colors duration-500`} style={{ fontFamily: '"Inter", -apple-system, BlinkMacSystemFont, sans-serif' }}>
-            <div className="max-w-4xl mx-auto px-6 py-16">
+            {/* With a source open beside it, the app keeps to the left half on wide screens */}
+            <div className={`max-w-4xl mx-auto px-6 py-16 ${citation ? 'lg:w-1/2 lg:mx-0' : ''}`}>
                 
-                <div className="absolute top-8 right-8">
+                <div className="absolute top-8 right-8 flex items-center gap-3">
+                    <button
+                        onClick={() => setView(view === 'library' ? 'convert' : 'library')}
+                        title={view === 'library' ? 'back to converter' : 'your library'}
+                        className={`p-3 rounded-full ${cardClass} border transition-all duration-300 hover:scale-110`}
+                    >
+                        <LibraryIcon className={`w-5 h-5 ${view === 'library' ? textPrimary : textSecondary}`} />
+                    </button>
                     <button
                         onClick={() => setDarkMode(!darkMode)}
                         className={`p-3 rounded-full ${cardClass} border transition-all duration-300 hover:scale-110`}
@@ -244,7 +745,7 @@ export default function PodcastConverter() {
                         </div>
                         <div className={`${darkMode ? 'bg-zinc-900/50' : 'bg-stone-100'} ${darkMode ? 'border-zinc-800' : 'border-stone-200'} border backdrop-blur-sm px-4 py-2 rounded-full text-xs ${textSecondary} font-light flex items-center gap-2`}>
                             <Users className="w-3 h-3" strokeWidth={2} />
-                            dual speakers
+                            {preferences.format} · {preferences.speakers.length} {preferences.speakers.length === 1 ? 'voice' : 'voices'}
                         </div>
                         <div className={`${darkMode ? 'bg-zinc-900/50' : 'bg-stone-100'} ${darkMode ? 'border-zinc-800' : 'border-stone-200'} border backdrop-blur-sm px-4 py-2 rounded-full text-xs ${textSecondary} font-light flex items-center gap-2`}>
                             <FileText className="w-3 h-3" strokeWidth={2} />
@@ -253,43 +754,73 @@ export default function PodcastConverter() {
                     </div>
                 </div>
 
+                {!online ? (
+                    <p className={`text-center ${textSecondary} text-xs font-light mb-4`}>
+                        you're offline · saved episodes still play, and new ones go out when you reconnect
+                    </p>
+                ) : (serverState === 'waking' || serverState === 'unreachable') && isEditable(status) && (
+                    <p className={`text-center ${textSecondary} text-xs font-light mb-4 ${serverState === 'waking' ? 'animate-pulse' : ''}`}>
+                        {serverState === 'waking'
+                            ? 'waking up the server · your first podcast may take a minute longer'
+                            : 'can\'t reach the server right now · we\'ll try again when you hit go'}
+                    </p>
+                )}
+
+                {view === 'library' ? (
+                    <div className={`${cardClass} border rounded-3xl overflow-hidden shadow-sm transition-all duration-500 animate-fadeIn`}>
+                        <div className={`${darkMode ? 'bg-zinc-900/30' : 'bg-stone-100/50'} px-6 py-3 border-b ${darkMode ? 'border-zinc-800' : 'border-stone-200'} flex items-center justify-between text-xs`}>
+                            <span className={`${textSecondary} uppercase tracking-wider`}>your library</span>
+                            <button onClick={() => setView('convert')} className={`${textSecondary} hover:underline`}>
+                                back
+                            </button>
+                        </div>
+                        <div className="p-8">
+                            <Library
+                                darkMode={darkMode}
+                                onOpen={openEpisode}
+                                onChange={updated => episode?.id === updated.id && setEpisode(updated)}
+                                onDelete={handleEpisodeDeleted}
+                            />
+                        </div>
+                    </div>
+                ) : (
                 <div className={`${cardClass} border rounded-3xl overflow-hidden shadow-sm transition-all duration-500`}>
                     {/* Progress indicator for stages - Always visible */}
                     <div className={`${darkMode ? 'bg-zinc-900/30' : 'bg-stone-100/50'} px-6 py-3 border-b ${darkMode ? 'border-zinc-800' : 'border-stone-200'}`}>
                         <div className="flex items-center justify-between text-xs">
                             <div className={`flex items-center gap-2 transition-opacity duration-300 ${
-                                status === 'idle' && !file ? 'opacity-100' : 'opacity-40'
+                                isEditable(status) && !hasSource ? 'opacity-100' : 'opacity-40'
                             }`}>
                                 <div className={`w-6 h-6 rounded-full flex items-center justify-center font-medium transition-colors ${
-                                    status === 'idle' && !file 
+                                    isEditable(status) && !hasSource 
                                         ? darkMode ? 'bg-zinc-800 text-zinc-100' : 'bg-stone-200 text-stone-900'
-                                        : file || status !== 'idle'
+                                        : hasSource || !isEditable(status)
                                         ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
                                         : darkMode ? 'bg-zinc-800 text-zinc-400' : 'bg-stone-200 text-stone-600'
                                 }`}>
-                                    {file || status !== 'idle' ? '✓' : '1'}
+                                    {hasSource || !isEditable(status) ? '✓' : '1'}
                                 </div>
                                 <span className={textSecondary}>upload</span>
                             </div>
                             <div className={`flex items-center gap-2 transition-opacity duration-300 ${
-                                file && status === 'idle' ? 'opacity-100' : 'opacity-40'
+                                hasSource && (isEditable(status) || status === 'review') ? 'opacity-100' : 'opacity-40'
                             }`}>
                                 <div className={`w-6 h-6 rounded-full flex items-center justify-center font-medium transition-colors ${
-                                    file && status === 'idle'
+                                    hasSource && (isEditable(status) || status === 'review')
                                         ? darkMode ? 'bg-zinc-800 text-zinc-100' : 'bg-stone-200 text-stone-900'
-                                        : status === 'uploading' || status === 'processing' || status === 'complete'
+                                        : isRunning(status) || status === 'complete'
                                         ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
                                         : darkMode ? 'bg-zinc-800 text-zinc-400' : 'bg-stone-200 text-stone-600'
                                 }`}>
-                                    {status === 'uploading' || status === 'processing' || status === 'complete' ? '✓' : '2'}
+                                    {isRunning(status) || status === 'complete' ? '✓' : '2'}
                                 </div>
-                                <span className={textSecondary}>customize</span>
+                                <span className={textSecondary}>{status === 'review' ? 'review' : 'customize'}</span>
                             </div>
                             <div className={`flex items-center gap-2 transition-opacity duration-300 ${
-                                status === 'uploading' || status === 'processing' ? 'opacity-100' : status === 'complete' ? 'opacity-100' : 'opacity-40'
+                                isRunning(status) || status === 'complete' ? 'opacity-100' : 'opacity-40'
                             }`}>
                                 <div className={`w-6 h-6 rounded-full flex items-center justify-center font-medium transition-colors ${
-                                    status === 'uploading' || status === 'processing'
+                                    isRunning(status)
                                         ? darkMode ? 'bg-zinc-800 text-zinc-100' : 'bg-stone-200 text-stone-900'
                                         : status === 'complete'
                                         ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
@@ -297,43 +828,151 @@ export default function PodcastConverter() {
                                 }`}>
                                     {status === 'complete' ? '✓' : '3'}
                                 </div>
-                                <span className={textSecondary}>generate</span>
+                                <span className={textSecondary}>
+                                    {isRunning(status) && currentStage ? currentStage.label : 'generate'}
+                                </span>
                             </div>
                         </div>
                     </div>
                     
                     <div className="p-8">
-                    {status === 'idle' || status === 'uploading' || status === 'processing' ? (
+                    {isEditable(status) || isRunning(status) ? (
                         <div className="space-y-6">
                             
-                            <div className={`relative border-2 border-dashed ${darkMode ? 'border-zinc-700 hover:border-zinc-600' : 'border-stone-300 hover:border-stone-400'} rounded-2xl p-12 text-center transition-all duration-300 group`}>
-                                {/* Subtle ambient glow */}
-                                <div className={`absolute inset-0 ${darkMode ? 'bg-zinc-400' : 'bg-stone-400'} opacity-0 group-hover:opacity-5 rounded-2xl blur-2xl transition-opacity duration-500`} />
-                                
-                                <input
-                                    type="file"
-                                    accept=".pdf"
-                                    onChange={handleFileChange}
-                                    className="hidden"
-                                    id="pdf-upload"
-                                    disabled={status !== 'idle'}
-                                />
-                                <label htmlFor="pdf-upload" className={`${status !== 'idle' ? 'cursor-not-allowed opacity-50' : 'cursor-pointer'} block relative z-10`}>
-                                    <Upload className={`w-12 h-12 ${textSecondary} mx-auto mb-4 transition-all duration-300 group-hover:scale-110 group-hover:-translate-y-1`} strokeWidth={1.5} />
-                                    <p className={`text-lg ${textPrimary} mb-1 font-light transition-colors duration-200`}>
-                                        {file ? file.name : 'drop your pdf'}
+                            {status === 'cancelled' && (
+                                <p className={`text-center ${textSecondary} text-sm font-light`}>
+                                    cancelled · your source and options are still here
+                                </p>
+                            )}
+
+                            {isEditable(status) && !resumed && (
+                                <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-xl p-1 grid grid-cols-3 gap-1`}>
+                                    {SOURCE_TABS.map(({ key, label, icon: Icon }) => (
+                                        <button
+                                            key={key}
+                                            onClick={() => setSourceMode(key)}
+                                            className={`py-2 rounded-lg text-sm font-light flex items-center justify-center gap-2 transition-all duration-300 ${
+                                                sourceMode === key
+                                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                                    : `${textSecondary} ${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'}`
+                                            }`}
+                                        >
+                                            <Icon className="w-4 h-4" strokeWidth={1.5} />
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {resumed ? (
+                                <p className={`text-center ${textPrimary} text-lg font-light`}>
+                                    picking up where you left off · {resumed.title}
+                                </p>
+                            ) : sourceMode === 'paste' ? (
+                                <div>
+                                    <textarea
+                                        value={pastedText}
+                                        onChange={e => setPastedText(e.target.value)}
+                                        disabled={!isEditable(status)}
+                                        rows={10}
+                                        placeholder="paste your notes, an article or a chapter here"
+                                        className={`w-full ${darkMode ? 'bg-zinc-800 placeholder-zinc-500' : 'bg-stone-100 placeholder-stone-500'} ${textPrimary} text-sm font-light leading-relaxed px-4 py-3 rounded-2xl outline-none resize-y disabled:opacity-50`}
+                                    />
+                                    <p className={`text-xs ${pastedText.trim() && validatePastedText(pastedText) ? 'text-rose-400' : textSecondary} font-light mt-2`}>
+                                        {pastedText.trim() ? validatePastedText(pastedText) || `${pastedText.trim().length.toLocaleString()} characters` : 'plain text or markdown, at least a few paragraphs'}
+                                    </p>
+                                </div>
+                            ) : sourceMode === 'url' ? (
+                                <div>
+                                    <input
+                                        type="url"
+                                        value={sourceUrl}
+                                        onChange={e => setSourceUrl(e.target.value)}
+                                        onKeyDown={e => e.key === 'Enter' && !validateUrl(sourceUrl) && (!online ? saveForLater() : scriptFirst ? handleDraftScript() : handleConvert())}
+                                        disabled={!isEditable(status)}
+                                        placeholder="https://example.com/an-article-worth-hearing"
+                                        className={`w-full ${darkMode ? 'bg-zinc-800 placeholder-zinc-500' : 'bg-stone-100 placeholder-stone-500'} ${textPrimary} text-sm font-light px-4 py-3 rounded-xl outline-none disabled:opacity-50`}
+                                    />
+                                    <p className={`text-xs ${sourceUrl.trim() && validateUrl(sourceUrl) ? 'text-rose-400' : textSecondary} font-light mt-2`}>
+                                        {(sourceUrl.trim() && validateUrl(sourceUrl)) || 'we\'ll fetch the page and pull out the article text'}
                                     </p>
-                                    <p className={`text-sm ${textSecondary} font-light`}>or click to browse</p>
-                                    {file && (
-                                        <p className={`text-xs ${textSecondary} mt-2 font-mono`}>
-                                            {(file.size / 1024 / 1024).toFixed(2)} MB
+                                </div>
+                            ) : (
+                                <div
+                                    onDragEnter={handleDragOver}
+                                    onDragOver={handleDragOver}
+                                    onDragLeave={handleDragLeave}
+                                    onDrop={handleDrop}
+                                    className={`relative border-2 border-dashed ${
+                                        dragging
+                                            ? darkMode ? 'border-zinc-300 bg-zinc-800/60 scale-[1.01]' : 'border-stone-600 bg-stone-100 scale-[1.01]'
+                                            : darkMode ? 'border-zinc-700 hover:border-zinc-600' : 'border-stone-300 hover:border-stone-400'
+                                    } rounded-2xl p-12 text-center transition-all duration-300 group`}>
+                                    {/* Subtle ambient glow */}
+                                    <div className={`absolute inset-0 ${darkMode ? 'bg-zinc-400' : 'bg-stone-400'} opacity-0 group-hover:opacity-5 rounded-2xl blur-2xl transition-opacity duration-500`} />
+                                
+                                    <input
+                                        type="file"
+                                        accept={ACCEPTED_EXTENSIONS}
+                                        onChange={handleFileChange}
+                                        className="hidden"
+                                        id="pdf-upload"
+                                        multiple
+                                        disabled={!isEditable(status) || checkingFiles}
+                                    />
+                                    <label htmlFor="pdf-upload" className={`${!isEditable(status) || checkingFiles ? 'cursor-not-allowed opacity-50' : 'cursor-pointer'} block relative z-10`}>
+                                        <Upload className={`w-12 h-12 ${textSecondary} mx-auto mb-4 transition-all duration-300 group-hover:scale-110 group-hover:-translate-y-1 ${dragging ? 'scale-110 -translate-y-1' : ''}`} strokeWidth={1.5} />
+                                        <p className={`text-lg ${textPrimary} mb-1 font-light transition-colors duration-200`}>
+                                            {dragging ? 'let go to add' : checkingFiles ? 'checking...' : file ? file.name : 'drop your notes'}
                                         </p>
-                                    )}
-                                </label>
-                            </div>
+                                        <p className={`text-sm ${textSecondary} font-light`}>pdf, word, markdown or text · pick several to batch them</p>
+                                        {file && (
+                                            <p className={`text-xs ${textSecondary} mt-2 font-mono`}>
+                                                {formatBytes(file.size)}
+                                            </p>
+                                        )}
+                                    </label>
+                                </div>
+                            )}
+
+                            {queue.items.length > 0 && isEditable(status) && (
+                                <BatchQueue
+                                    queue={queue}
+                                    defaultPreferences={preferences}
+                                    onDefaultPreferencesChange={setPreferences}
+                                    onOpenEpisode={openEpisode}
+                                    online={online}
+                                    onSaveForLater={saveBatchForLater}
+                                    darkMode={darkMode}
+                                />
+                            )}
+
+                            {outbox.entries.length > 0 && isEditable(status) && (
+                                <Outbox outbox={outbox} online={online} darkMode={darkMode} />
+                            )}
 
-                            {file && status === 'idle' && (
+                            {hasSource && isEditable(status) && (sourceMode !== 'file' || queue.items.length === 0) && (
                                 <>
+                                    {isPdf && (
+                                        <>
+                                            <button
+                                                onClick={() => setShowPreview(!showPreview)}
+                                                className={`w-full ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} text-sm font-light py-3 rounded-xl transition-all duration-300 flex items-center justify-center gap-2 group`}
+                                            >
+                                                <FileText className="w-4 h-4" />
+                                                <span>
+                                                    {showPreview ? 'hide pages' : pages ? `pages ${formatPageRanges(pages)}` : 'preview & pick pages'}
+                                                </span>
+                                            </button>
+
+                                            {showPreview && (
+                                                <Suspense fallback={<p className={`${textSecondary} text-sm font-light text-center animate-pulse`}>loading preview...</p>}>
+                                                    <PdfPreview file={file} pages={pages} onPagesChange={setPages} darkMode={darkMode} />
+                                                </Suspense>
+                                            )}
+                                        </>
+                                    )}
+
                                     <button
                                         onClick={() => setShowSettings(!showSettings)}
                                         className={`w-full ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} text-sm font-light py-3 rounded-xl transition-all duration-300 flex items-center justify-center gap-2 group`}
@@ -343,101 +982,24 @@ export default function PodcastConverter() {
                                     </button>
 
                                     {showSettings && (
-                                        <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-6 space-y-5 animate-slideDown overflow-hidden`}>
-                                            
-                                            <div>
-                                                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>tone</label>
-                                                <div className="flex gap-2">
-                                                    {['casual', 'conversational', 'professional'].map((tone) => (
-                                                        <button
-                                                            key={tone}
-                                                            onClick={() => setPreferences({...preferences, tone})}
-                                                            className={`flex-1 py-2.5 px-4 rounded-xl text-sm transition-all duration-200 ${
-                                                                preferences.tone === tone
-                                                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
-                                                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'
-                                                            }`}
-                                                        >
-                                                            {tone}
-                                                        </button>
-                                                    ))}
-                                                </div>
-                                            </div>
-
-                                            <div>
-                                                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>length</label>
-                                                <div className="flex gap-2">
-                                                    {['short', 'medium', 'long'].map((length) => (
-                                                        <button
-                                                            key={length}
-                                                            onClick={() => setPreferences({...preferences, length})}
-                                                            className={`flex-1 py-2.5 px-4 rounded-xl text-sm transition-all duration-200 ${
-                                                                preferences.length === length
-                                                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
-                                                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'
-                                                            }`}
-                                                        >
-                                                            {length}
-                                                        </button>
-                                                    ))}
-                                                </div>
-                                            </div>
-
-                                            <div>
-                                                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>depth</label>
-                                                <div className="flex gap-2">
-                                                    {[
-                                                        { key: 'overview', label: 'quick' },
-                                                        { key: 'balanced', label: 'balanced' },
-                                                        { key: 'deep-dive', label: 'deep' }
-                                                    ].map((item) => (
-                                                        <button
-                                                            key={item.key}
-                                                            onClick={() => setPreferences({...preferences, depth: item.key})}
-                                                            className={`flex-1 py-2.5 px-4 rounded-xl text-sm transition-all duration-200 ${
-                                                                preferences.depth === item.key
-                                                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
-                                                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'
-                                                            }`}
-                                                        >
-                                                            {item.label}
-                                                        </button>
-                                                    ))}
-                                                </div>
-                                            </div>
-
-                                            <div className="flex items-center justify-between pt-2 border-t" style={{ borderColor: darkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }}>
-                                                <label className={`text-sm ${textPrimary} font-light`}>add some humor?</label>
-                                                <button
-                                                    onClick={() => setPreferences({...preferences, humor: !preferences.humor})}
-                                                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-all duration-300 ${
-                                                        preferences.humor 
-                                                            ? darkMode ? 'bg-zinc-100' : 'bg-stone-900'
-                                                            : darkMode ? 'bg-zinc-700' : 'bg-stone-300'
-                                                    }`}
-                                                >
-                                                    <span
-                                                        className={`inline-block h-4 w-4 transform rounded-full transition-all duration-300 shadow-sm ${
-                                                            preferences.humor 
-                                                                ? darkMode ? 'translate-x-6 bg-zinc-900' : 'translate-x-6 bg-stone-50'
-                                                                : 'translate-x-1 bg-white'
-                                                        }`}
-                                                    />
-                                                </button>
-                                            </div>
-                                        </div>
+                                        <PreferencesPanel preferences={preferences} onChange={setPreferences} darkMode={darkMode} />
                                     )}
 
+                                    <label className={`flex items-center justify-between ${textSecondary} text-sm font-light cursor-pointer px-1`}>
+                                        <span>review the script before recording</span>
+                                        <input type="checkbox" checked={scriptFirst} onChange={e => setScriptFirst(e.target.checked)} />
+                                    </label>
+
                                     <button
-                                        onClick={handleConvert}
+                                        onClick={!online ? saveForLater : scriptFirst ? handleDraftScript : handleConvert}
                                         className={`w-full ${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} text-base font-normal py-4 rounded-xl transition-all duration-300 hover:shadow-lg transform hover:scale-[1.02] active:scale-[0.98]`}
                                     >
-                                        let's go
+                                        {!online ? 'convert when back online' : scriptFirst ? 'write the script' : 'let\'s go'}
                                     </button>
                                 </>
                             )}
 
-                            {(status === 'uploading' || status === 'processing') && (
+                            {isRunning(status) && (
                                 <div className="space-y-4">
                                     <div className="flex items-center justify-center gap-3">
                                         <div className={`w-2 h-2 rounded-full ${darkMode ? 'bg-zinc-400' : 'bg-stone-600'} animate-bounce`} style={{ animationDelay: '0ms' }} />
@@ -445,8 +1007,12 @@ export default function PodcastConverter() {
                                         <div className={`w-2 h-2 rounded-full ${darkMode ? 'bg-zinc-400' : 'bg-stone-600'} animate-bounce`} style={{ animationDelay: '300ms' }} />
                                     </div>
                                     <p className={`text-center ${textSecondary} text-sm font-light`}>
-                                        {status === 'uploading' ? 'uploading...' : 'cooking your podcast...'}
+                                        {retry ? 'waking up the server...'
+                                            : status === 'queued' ? 'getting ready...'
+                                            : status === 'uploading' ? 'uploading...'
+                                            : 'cooking your podcast...'}
                                     </p>
+                                    {retry && <RetryNotice retry={retry} darkMode={darkMode} />}
                                     <div className={`relative w-full ${darkMode ? 'bg-zinc-800' : 'bg-stone-200'} rounded-full h-1 overflow-hidden`}>
                                         <div
                                             className={`${darkMode ? 'bg-zinc-100' : 'bg-stone-900'} h-full transition-all duration-700 ease-out relative`}
@@ -455,10 +1021,59 @@ export default function PodcastConverter() {
                                             <div className={`absolute inset-0 ${darkMode ? 'bg-zinc-300' : 'bg-stone-700'} opacity-50 animate-shimmer`} />
                                         </div>
                                     </div>
-                                    <p className={`text-center ${textSecondary} text-xs font-light font-mono`}>{displayedProgress}%</p>
+                                    <p className={`text-center ${textSecondary} text-xs font-light font-mono`}>
+                                        {displayedProgress}%
+                                        {status === 'uploading' && jobProgress.bytes && ` · ${formatBytes(jobProgress.bytes.sent)} of ${formatBytes(jobProgress.bytes.total)}`}
+                                        {etaLabel && ` · ${etaLabel}`}
+                                    </p>
+
+                                    {currentStage && (
+                                        <div className="space-y-2 pt-2">
+                                            {JOB_STAGES.map((stage, idx) => {
+                                                const current = stageIndex(jobProgress.stage);
+                                                const state = idx < current ? 'done' : idx === current ? 'active' : 'pending';
+                                                return (
+                                                    <div key={stage.key} className={`flex items-center justify-between text-xs font-light transition-opacity duration-300 ${state === 'pending' ? 'opacity-40' : 'opacity-100'}`}>
+                                                        <div className="flex items-center gap-2">
+                                                            <span className={`w-4 text-center ${state === 'active' ? textPrimary : textSecondary}`}>
+                                                                {state === 'done' ? '✓' : state === 'active' ? '•' : '·'}
+                                                            </span>
+                                                            <span className={state === 'active' ? textPrimary : textSecondary}>{stage.label}</span>
+                                                        </div>
+                                                        {state === 'active' && jobProgress.chunks?.total > 0 && (
+                                                            <span className={`${textSecondary} font-mono`}>
+                                                                {jobProgress.chunks.done}/{jobProgress.chunks.total}
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    )}
+
+                                    <button
+                                        onClick={handleCancel}
+                                        className={`w-full ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} py-3 rounded-xl transition-all duration-300 text-sm font-light`}
+                                    >
+                                        cancel
+                                    </button>
                                 </div>
                             )}
                         </div>
+                    ) : status === 'review' && draft ? (
+                        <ScriptReview
+                            lines={draft}
+                            preferences={preferences}
+                            onPreferencesChange={setPreferences}
+                            onApprove={handleApproveScript}
+                            onRegenerate={handleDraftScript}
+                            onBack={() => {
+                                setDraft(null);
+                                setResumed(null);
+                                setStatus('idle');
+                            }}
+                            darkMode={darkMode}
+                        />
                     ) : status === 'complete' ? (
                         <div className="space-y-6 animate-fadeIn">
                             
@@ -470,107 +1085,148 @@ export default function PodcastConverter() {
                                 <p className={`text-sm ${textSecondary} font-light`}>ready to listen</p>
                             </div>
 
-                            <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-6 transition-all duration-300`}>
-                                <div className="flex items-center justify-between mb-4">
-                                    <div className="flex items-center gap-4">
+                            {listening.resumeAt !== null && (
+                                <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-xl px-4 py-3 flex items-center justify-between gap-3 animate-fadeIn`}>
+                                    <p className={`text-sm ${textSecondary} font-light`}>you stopped partway through last time</p>
+                                    <div className="flex items-center gap-2 shrink-0">
                                         <button
-                                            onClick={togglePlayback}
-                                            className={`w-12 h-12 ${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} rounded-full flex items-center justify-center transition-all duration-300 hover:scale-110`}
+                                            onClick={listening.dismiss}
+                                            className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} px-3 py-1.5 rounded-lg text-xs font-light transition-all duration-300`}
                                         >
-                                            {playing ? (
-                                                <Pause className="w-5 h-5" strokeWidth={2} />
-                                            ) : (
-                                                <Play className="w-5 h-5 ml-0.5" strokeWidth={2} />
-                                            )}
+                                            start over
+                                        </button>
+                                        <button
+                                            onClick={listening.resume}
+                                            className={`${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} px-3 py-1.5 rounded-lg text-xs transition-all duration-300`}
+                                        >
+                                            resume from {formatTime(listening.resumeAt)}
                                         </button>
-                                        <div>
-                                            <p className={`${textPrimary} font-normal text-sm`}>{file?.name.replace('.pdf', '')}</p>
-                                            <p className={`${textSecondary} text-xs font-light`}>your podcast</p>
-                                        </div>
-                                    </div>
-                                    <button 
-                                        onClick={handleDownload}
-                                        className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} px-4 py-2 rounded-lg flex items-center gap-2 transition-all duration-300`}
-                                    >
-                                        <Download className="w-4 h-4" strokeWidth={1.5} />
-                                    </button>
-                                </div>
-                                
-                                <div 
-                                    className={`w-full ${darkMode ? 'bg-zinc-700' : 'bg-stone-200'} rounded-full h-1 cursor-pointer`}
-                                    onClick={handleSeek}
-                                >
-                                    <div 
-                                        className={`${darkMode ? 'bg-zinc-100' : 'bg-stone-900'} h-full rounded-full transition-all duration-300 relative`} 
-                                        style={{ width: duration > 0 ? `${(currentTime / duration) * 100}%` : '0%' }} 
-                                    >
-                                        <div className={`absolute right-0 top-1/2 -translate-y-1/2 w-3 h-3 rounded-full ${darkMode ? 'bg-zinc-100' : 'bg-stone-900'} shadow-md`} />
                                     </div>
                                 </div>
-                                
-                                {duration > 0 && (
-                                    <div className={`flex justify-between text-xs ${textSecondary} mt-2`}>
-                                        <span>{formatTime(currentTime)}</span>
-                                        <span>{formatTime(duration)}</span>
-                                    </div>
+                            )}
+
+                            <AudioPlayer
+                                player={player}
+                                title={episodeTitle}
+                                chapters={chapters}
+                                darkMode={darkMode}
+                                actions={(
+                                    <>
+                                        <ExportMenu
+                                            lines={timedTranscript}
+                                            title={episodeTitle}
+                                            cast={cast}
+                                            chapters={chapters}
+                                            audio={episode?.audio}
+                                            darkMode={darkMode}
+                                        />
+                                        <button
+                                            onClick={() => setClip(clip ? null : { start: currentTime, end: Math.min(currentTime + DEFAULT_CLIP_SECONDS, duration) })}
+                                            disabled={!(duration > 0)}
+                                            title="make a clip"
+                                            className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${clip ? textPrimary : textSecondary} px-4 py-2 rounded-lg flex items-center gap-2 transition-all duration-300 disabled:opacity-40`}
+                                        >
+                                            <Scissors className="w-4 h-4" strokeWidth={1.5} />
+                                        </button>
+                                        <button
+                                            onClick={handleDownload}
+                                            title="download audio"
+                                            className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} px-4 py-2 rounded-lg flex items-center gap-2 transition-all duration-300`}
+                                        >
+                                            <Download className="w-4 h-4" strokeWidth={1.5} />
+                                        </button>
+                                    </>
                                 )}
-                                
-                                <div className={`flex items-center justify-between mt-4 pt-4 border-t ${darkMode ? 'border-zinc-700' : 'border-stone-300'}`}>
-                                    <span className={`text-xs ${textSecondary} font-light`}>speed</span>
-                                    <div className="flex gap-2">
-                                        {[0.75, 1.0, 1.25, 1.5, 2.0].map((speed) => (
-                                            <button
-                                                key={speed}
-                                                onClick={() => setPlaybackSpeed(speed)}
-                                                className={`px-3 py-1 rounded-lg text-xs transition-all ${
-                                                    playbackSpeed === speed
-                                                        ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
-                                                        : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-600 hover:bg-stone-300'
-                                                }`}
-                                            >
-                                                {speed}x
-                                            </button>
-                                        ))}
-                                    </div>
-                                </div>
-                            </div>
+                            >
+                                {(waveform.loading || waveform.waveform) && (
+                                    <Waveform
+                                        {...waveform}
+                                        lines={timedTranscript}
+                                        cast={cast}
+                                        currentTime={currentTime}
+                                        onSeek={player.seek}
+                                        selection={clip}
+                                        onSelect={clip ? setClip : null}
+                                        darkMode={darkMode}
+                                    />
+                                )}
+                            </AudioPlayer>
 
-                            <div className={`${darkMode ? 'bg-zinc-800/50' : 'bg-stone-50'} rounded-2xl p-6 border ${darkMode ? 'border-zinc-800' : 'border-stone-200'}`}>
-                                <h3 className={`text-xs font-normal ${textSecondary} mb-4 uppercase tracking-wider`}>
-                                    what they said
-                                </h3>
-                                <div className="space-y-4 max-h-64 overflow-y-auto">
-                                    {transcript.length > 0 ? transcript.map((line, idx) => (
-                                        <div key={idx} className="flex gap-3 animate-fadeIn" style={{ animationDelay: `${idx * 100}ms` }}>
-                                            <span className={`font-medium text-xs ${line.speaker === 'HOST' ? (darkMode ? 'text-blue-400' : 'text-blue-600') : (darkMode ? 'text-emerald-400' : 'text-emerald-600')} uppercase tracking-wider flex-shrink-0`}>
-                                                {line.speaker === 'HOST' ? 'host' : 'expert'}
-                                            </span>
-                                            <span className={`${textSecondary} text-sm font-light leading-relaxed`}>{line.text}</span>
-                                        </div>
-                                    )) : (
-                                        <p className={`${textSecondary} text-sm font-light italic`}>transcript loading...</p>
-                                    )}
-                                </div>
-                            </div>
+                            {clip && (
+                                <ClipTool
+                                    selection={clip}
+                                    onSelectionChange={setClip}
+                                    lines={timedTranscript}
+                                    cast={cast}
+                                    player={player}
+                                    audioUrl={podcastUrl}
+                                    title={episodeTitle}
+                                    onClose={() => setClip(null)}
+                                    darkMode={darkMode}
+                                />
+                            )}
+
+                            {chapters.length > 1 && !editing && (
+                                <ChapterList
+                                    chapters={chapters}
+                                    activeIndex={chapterIndexAt(chapters, currentTime)}
+                                    onSeek={player.seek}
+                                    darkMode={darkMode}
+                                />
+                            )}
+
+                            {editing ? (
+                                <ScriptEditor
+                                    lines={transcript}
+                                    original={episode?.originalTranscript || transcript}
+                                    cast={cast}
+                                    progress={resynthProgress}
+                                    onSubmit={handleResynthesize}
+                                    onCancel={() => setEditing(false)}
+                                    darkMode={darkMode}
+                                />
+                            ) : (
+                                <TranscriptPanel
+                                    lines={timedTranscript}
+                                    cast={cast}
+                                    activeIndex={player.playing || currentTime > 0 ? activeLine : -1}
+                                    onSeek={player.seek}
+                                    onEdit={transcript.length > 0 ? () => setEditing(true) : null}
+                                    onCite={(index, source) => setCitation({ index, source })}
+                                    citedIndex={citation ? citation.index : -1}
+                                    query={transcriptQuery}
+                                    onQueryChange={setTranscriptQuery}
+                                    darkMode={darkMode}
+                                />
+                            )}
+
+                            {citation && timedTranscript[citation.index] && (
+                                <Suspense fallback={null}>
+                                    <SourceReader
+                                        file={citedFile}
+                                        line={timedTranscript[citation.index]}
+                                        source={citation.source}
+                                        cast={cast}
+                                        onClose={() => setCitation(null)}
+                                        darkMode={darkMode}
+                                    />
+                                </Suspense>
+                            )}
+
+                            {episode && !editing && transcript.length > 0 && (
+                                <StudyPanel
+                                    key={episode.id}
+                                    episode={episode}
+                                    lines={timedTranscript}
+                                    sourceFile={citedFile}
+                                    onSeek={player.seek}
+                                    onEpisodeChange={setEpisode}
+                                    darkMode={darkMode}
+                                />
+                            )}
 
                             <button
-                                onClick={() => {
-                                    // Clean up state for new conversion
-                                    setFile(null);
-                                    setStatus('idle');
-                                    setPodcastUrl(null);
-                                    setTranscript([]);
-                                    setProgress(0);
-                                    setPlaying(false);
-                                    setCurrentTime(0);
-                                    setDuration(0);
-                                    if (audioElement) {
-                                        audioElement.pause();
-                                        setAudioElement(null);
-                                    }
-                                    clearInterval(progressIntervalRef.current);
-                                    clearInterval(finalIntervalRef.current);
-                                }}
+                                onClick={startOver}
                                 className={`w-full ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} py-3 rounded-xl transition-all duration-300 text-sm font-light`}
                             >
                                 do another one
@@ -581,7 +1237,8 @@ export default function PodcastConverter() {
                             <p className={`${textPrimary} font-light`}>something went wrong :/</p>
                             <button
                                 onClick={() => {
-                                    setFile(null);
+                                    // Back to the customize step with the same source and options
+                                    setResumed(null);
                                     setStatus('idle');
                                     setProgress(0);
                                 }}
@@ -593,6 +1250,7 @@ export default function PodcastConverter() {
                     ) : null}
                     </div>
                 </div>
+                )}
 
                 <div className={`text-center mt-12 ${textSecondary} text-xs font-light`}>
                     ai-powered podcast generation
@@ -600,8 +1258,6 @@ export default function PodcastConverter() {
             </div>
 
             <style>{`
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600&family=Cormorant+Garamond:wght@300;400;500&display=swap');
-                
                 @keyframes fadeIn {
                     from { opacity: 0; transform: translateY(10px); }
                     to { opacity: 1; transform: translateY(0); }
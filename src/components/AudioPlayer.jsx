@@ -0,0 +1,297 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Keyboard, Minus, Pause, Play, Plus, SkipBack, SkipForward, StepBack, StepForward, Volume1, Volume2, VolumeX } from 'lucide-react';
+import { formatTime } from '../lib/format';
+import { chapterIndexAt } from '../lib/chapters';
+import { SPEED_STEP } from '../hooks/useAudioPlayer';
+
+const SKIP_BACK = 15;
+const SKIP_FORWARD = 30;
+const ARROW_SKIP = 5;
+const VOLUME_STEP = 0.1;
+const KEY_SPEED_STEP = 0.25;
+const PRESET_SPEEDS = [0.75, 1.0, 1.25, 1.5, 2.0];
+// Further into a chapter than this, "previous" restarts it instead
+const CHAPTER_RESTART_SECONDS = 3;
+
+const SHORTCUTS = [
+    ['space / k', 'play or pause'],
+    ['j / l', `back ${SKIP_BACK}s / forward ${SKIP_FORWARD}s`],
+    ['← / →', `back / forward ${ARROW_SKIP}s`],
+    ['↑ / ↓', 'volume up / down'],
+    ['< / >', 'slower / faster'],
+    ['p / n', 'previous / next chapter'],
+    ['m', 'mute']
+];
+
+// Keys typed into a form field belong to the field, and space on a button presses it
+const ownsKey = (target, key) => {
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return true;
+    return key === ' ' && ['BUTTON', 'A'].includes(target.tagName);
+};
+
+const clampRatio = (ratio) => Math.min(Math.max(ratio, 0), 1);
+
+// Where previous/next chapter goes from `time`, or null when there's nowhere to go
+const chapterTarget = (chapters, time, direction) => {
+    const current = chapterIndexAt(chapters, time);
+    if (direction > 0) return chapters[current + 1]?.start ?? null;
+    if (current >= 0 && time - chapters[current].start > CHAPTER_RESTART_SECONDS) return chapters[current].start;
+    return chapters[Math.max(current - 1, 0)]?.start ?? null;
+};
+
+function SeekBar({ currentTime, duration, chapters, onSeek, darkMode }) {
+    // Pointer position over the bar as a 0–1 ratio, for the time tooltip
+    const [hover, setHover] = useState(null);
+    // Where the thumb is while being dragged; the audio only seeks on release
+    const [dragTime, setDragTime] = useState(null);
+    const barRef = useRef(null);
+
+    const ratioAt = (e) => {
+        const rect = barRef.current.getBoundingClientRect();
+        return clampRatio((e.clientX - rect.left) / rect.width);
+    };
+
+    const handlePointerDown = (e) => {
+        if (!duration) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDragTime(ratioAt(e) * duration);
+    };
+
+    const handlePointerMove = (e) => {
+        if (!duration) return;
+        const ratio = ratioAt(e);
+        setHover(ratio);
+        if (dragTime !== null) setDragTime(ratio * duration);
+    };
+
+    const handlePointerUp = (e) => {
+        if (dragTime === null) return;
+        onSeek(ratioAt(e) * duration);
+        setDragTime(null);
+    };
+
+    const shownTime = dragTime ?? currentTime;
+    const filled = duration > 0 ? clampRatio(shownTime / duration) * 100 : 0;
+    const tooltipRatio = dragTime !== null ? filled / 100 : hover;
+    const tooltipChapter = tooltipRatio !== null ? chapters[chapterIndexAt(chapters, tooltipRatio * duration)] : null;
+
+    return (
+        <div
+            ref={barRef}
+            role="slider"
+            aria-label="seek"
+            aria-valuemin={0}
+            aria-valuemax={Math.round(duration) || 0}
+            aria-valuenow={Math.round(shownTime)}
+            aria-valuetext={formatTime(shownTime)}
+            className="relative py-2 cursor-pointer touch-none group"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDragTime(null)}
+            onPointerLeave={() => setHover(null)}
+        >
+            <div className={`w-full ${darkMode ? 'bg-zinc-700' : 'bg-stone-200'} rounded-full h-1 group-hover:h-1.5 transition-all duration-200`}>
+                <div
+                    className={`${darkMode ? 'bg-zinc-100' : 'bg-stone-900'} h-full rounded-full relative ${dragTime === null ? 'transition-all duration-300' : ''}`}
+                    style={{ width: `${filled}%` }}
+                >
+                    <div className={`absolute right-0 top-1/2 -translate-y-1/2 translate-x-1/2 w-3 h-3 rounded-full ${darkMode ? 'bg-zinc-100' : 'bg-stone-900'} shadow-md`} />
+                </div>
+            </div>
+            {duration > 0 && chapters.slice(1).map(chapter => (
+                <div
+                    key={chapter.lineIndex}
+                    className={`absolute top-1/2 -translate-y-1/2 w-0.5 h-2.5 rounded-full pointer-events-none ${darkMode ? 'bg-zinc-500' : 'bg-stone-400'}`}
+                    style={{ left: `${clampRatio(chapter.start / duration) * 100}%` }}
+                />
+            ))}
+            {tooltipRatio !== null && duration > 0 && (
+                <div
+                    className={`absolute bottom-full mb-1 -translate-x-1/2 px-2 py-0.5 rounded text-xs whitespace-nowrap max-w-xs truncate pointer-events-none ${darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'}`}
+                    style={{ left: `${tooltipRatio * 100}%` }}
+                >
+                    <span className="font-mono">{formatTime(tooltipRatio * duration)}</span>
+                    {tooltipChapter && <span className="font-light"> · {tooltipChapter.title}</span>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Player controls for a `useAudioPlayer` instance: skip buttons, a draggable seek bar,
+ * volume, speed and keyboard shortcuts. `actions` render next to the title and `children`
+ * under the seek bar; timed `chapters` (see withChapterTimes) add seek bar markers and
+ * chapter skipping.
+ */
+export default function AudioPlayer({ player, title, subtitle = 'your podcast', chapters = [], actions, children, darkMode }) {
+    const [showShortcuts, setShowShortcuts] = useState(false);
+    const { playing, currentTime, duration, speed, volume, muted } = player;
+    const currentChapter = chapters[chapterIndexAt(chapters, currentTime)];
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-2 rounded-lg transition-all duration-300`;
+
+    // Read through a ref so the listener is attached once, not on every timeupdate
+    const playerRef = useRef(player);
+    playerRef.current = player;
+    const chaptersRef = useRef(chapters);
+    chaptersRef.current = chapters;
+
+    const jumpChapter = (direction) => {
+        const target = chapterTarget(chaptersRef.current, playerRef.current.audio?.currentTime ?? 0, direction);
+        if (target !== null) playerRef.current.seek(target);
+    };
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || ownsKey(e.target, e.key)) return;
+            const controls = playerRef.current;
+            const bindings = {
+                ' ': () => controls.toggle(),
+                k: () => controls.toggle(),
+                j: () => controls.skip(-SKIP_BACK),
+                l: () => controls.skip(SKIP_FORWARD),
+                ArrowLeft: () => controls.skip(-ARROW_SKIP),
+                ArrowRight: () => controls.skip(ARROW_SKIP),
+                ArrowUp: () => controls.changeVolume(VOLUME_STEP),
+                ArrowDown: () => controls.changeVolume(-VOLUME_STEP),
+                '<': () => controls.changeSpeed(-KEY_SPEED_STEP),
+                '>': () => controls.changeSpeed(KEY_SPEED_STEP),
+                p: () => jumpChapter(-1),
+                n: () => jumpChapter(1),
+                m: () => controls.toggleMute()
+            };
+            const action = bindings[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+            if (!action) return;
+            e.preventDefault();
+            action();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, []);
+
+    const VolumeIcon = muted || volume === 0 ? VolumeX : volume < 0.5 ? Volume1 : Volume2;
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-6 transition-all duration-300`}>
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2 min-w-0">
+                    {chapters.length > 1 && (
+                        <button onClick={() => jumpChapter(-1)} title="previous chapter (p)" className={iconButton}>
+                            <StepBack className="w-4 h-4" strokeWidth={1.5} />
+                        </button>
+                    )}
+                    <button onClick={() => player.skip(-SKIP_BACK)} title={`back ${SKIP_BACK}s (j)`} className={`${iconButton} flex items-center gap-0.5`}>
+                        <SkipBack className="w-4 h-4" strokeWidth={1.5} />
+                        <span className="text-[10px] font-mono">{SKIP_BACK}</span>
+                    </button>
+                    <button
+                        onClick={player.toggle}
+                        title={playing ? 'pause (space)' : 'play (space)'}
+                        className={`w-12 h-12 shrink-0 ${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} rounded-full flex items-center justify-center transition-all duration-300 hover:scale-110`}
+                    >
+                        {playing ? (
+                            <Pause className="w-5 h-5" strokeWidth={2} />
+                        ) : (
+                            <Play className="w-5 h-5 ml-0.5" strokeWidth={2} />
+                        )}
+                    </button>
+                    <button onClick={() => player.skip(SKIP_FORWARD)} title={`forward ${SKIP_FORWARD}s (l)`} className={`${iconButton} flex items-center gap-0.5`}>
+                        <span className="text-[10px] font-mono">{SKIP_FORWARD}</span>
+                        <SkipForward className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                    {chapters.length > 1 && (
+                        <button onClick={() => jumpChapter(1)} title="next chapter (n)" className={iconButton}>
+                            <StepForward className="w-4 h-4" strokeWidth={1.5} />
+                        </button>
+                    )}
+                    <div className="ml-2 min-w-0">
+                        <p className={`${textPrimary} font-normal text-sm truncate`}>{title}</p>
+                        <p className={`${textSecondary} text-xs font-light truncate`}>{currentChapter ? currentChapter.title : subtitle}</p>
+                    </div>
+                </div>
+                <div className="flex items-center shrink-0">
+                    {actions}
+                </div>
+            </div>
+
+            <SeekBar currentTime={currentTime} duration={duration} chapters={chapters} onSeek={player.seek} darkMode={darkMode} />
+
+            {duration > 0 && (
+                <div className={`flex justify-between text-xs ${textSecondary} mt-1`}>
+                    <span>{formatTime(currentTime)}</span>
+                    <span>{formatTime(duration)}</span>
+                </div>
+            )}
+
+            {children && <div className="mt-4">{children}</div>}
+
+            <div className={`flex flex-wrap items-center justify-between gap-3 mt-4 pt-4 border-t ${darkMode ? 'border-zinc-700' : 'border-stone-300'}`}>
+                <div className="flex items-center gap-2">
+                    <button onClick={player.toggleMute} title={muted ? 'unmute (m)' : 'mute (m)'} className={iconButton}>
+                        <VolumeIcon className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                    <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.01}
+                        value={muted ? 0 : volume}
+                        onChange={(e) => player.setVolume(Number(e.target.value))}
+                        aria-label="volume"
+                        className={`w-24 ${darkMode ? 'accent-zinc-100' : 'accent-stone-900'}`}
+                    />
+                    <button
+                        onClick={() => setShowShortcuts(!showShortcuts)}
+                        title="keyboard shortcuts"
+                        className={`${iconButton} ${showShortcuts ? (darkMode ? 'bg-zinc-700' : 'bg-stone-200') : ''}`}
+                    >
+                        <Keyboard className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <span className={`text-xs ${textSecondary} font-light`}>speed</span>
+                    {PRESET_SPEEDS.map((preset) => (
+                        <button
+                            key={preset}
+                            onClick={() => player.setSpeed(preset)}
+                            className={`px-3 py-1 rounded-lg text-xs transition-all ${
+                                speed === preset
+                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-600 hover:bg-stone-300'
+                            }`}
+                        >
+                            {preset}x
+                        </button>
+                    ))}
+                    <div className={`flex items-center rounded-lg ${darkMode ? 'bg-zinc-700' : 'bg-stone-200'}`}>
+                        <button onClick={() => player.changeSpeed(-SPEED_STEP)} title="slower (<)" className={`${textSecondary} px-1.5 py-1`}>
+                            <Minus className="w-3 h-3" strokeWidth={2} />
+                        </button>
+                        <span className={`text-xs font-mono w-10 text-center ${PRESET_SPEEDS.includes(speed) ? textSecondary : textPrimary}`}>
+                            {speed.toFixed(2)}x
+                        </span>
+                        <button onClick={() => player.changeSpeed(SPEED_STEP)} title="faster (>)" className={`${textSecondary} px-1.5 py-1`}>
+                            <Plus className="w-3 h-3" strokeWidth={2} />
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {showShortcuts && (
+                <div className={`grid grid-cols-2 gap-x-6 gap-y-1 mt-4 text-xs font-light ${textSecondary}`}>
+                    {SHORTCUTS.map(([keys, label]) => (
+                        <div key={keys} className="flex justify-between">
+                            <span className="font-mono">{keys}</span>
+                            <span>{label}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { Play, X, RotateCcw, Trash2, Sparkles } from 'lucide-react';
+import { JOB_STAGES, stageIndex } from '../lib/jobs';
+import { formatBytes } from '../lib/format';
+import PreferencesPanel from './PreferencesPanel';
+
+const STATUS_LABELS = {
+    queued: 'waiting',
+    uploading: 'uploading...',
+    processing: 'cooking...',
+    complete: 'saved to library',
+    error: 'failed',
+    cancelled: 'cancelled'
+};
+
+/**
+ * The batch queue's list and controls. While `online` is false, the start button hands
+ * waiting files to `onSaveForLater` instead of converting them.
+ */
+export default function BatchQueue({ queue, defaultPreferences, onDefaultPreferencesChange, onOpenEpisode, online = true, onSaveForLater, darkMode }) {
+    const [expandedId, setExpandedId] = useState(null);
+    const [showDefaults, setShowDefaults] = useState(false);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-2 rounded-lg transition-all duration-300`;
+
+    const { items, running } = queue;
+    const done = items.filter(item => item.status === 'complete').length;
+    const waiting = items.filter(item => item.status === 'queued');
+    const pending = waiting.length > 0;
+
+    const statusLabel = (item) => {
+        if (item.status === 'processing') return JOB_STAGES[stageIndex(item.stage)]?.label || STATUS_LABELS.processing;
+        if (item.status === 'error') return `failed: ${item.error}`;
+        return STATUS_LABELS[item.status];
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className={`flex items-center justify-between text-xs ${textSecondary} font-light`}>
+                <span className="uppercase tracking-wider">queue</span>
+                <span className="font-mono">{done}/{items.length} done</span>
+            </div>
+
+            <button
+                onClick={() => setShowDefaults(!showDefaults)}
+                className={`w-full ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} text-sm font-light py-3 rounded-xl transition-all duration-300 flex items-center justify-center gap-2`}
+            >
+                <Sparkles className={`w-4 h-4 transition-transform duration-300 ${showDefaults ? 'rotate-180' : ''}`} />
+                <span>{showDefaults ? 'hide default options' : 'default options'}</span>
+            </button>
+
+            {showDefaults && (
+                <PreferencesPanel preferences={defaultPreferences} onChange={onDefaultPreferencesChange} darkMode={darkMode} />
+            )}
+
+            {items.map(item => {
+                const active = item.status === 'uploading' || item.status === 'processing';
+                const editable = item.status === 'queued' || item.status === 'error' || item.status === 'cancelled';
+                return (
+                    <div key={item.id} className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-4 space-y-3 animate-fadeIn`}>
+                        <div className="flex items-center gap-3">
+                            <div className="flex-1 min-w-0">
+                                <p className={`${textPrimary} text-sm font-normal truncate`}>{item.file.name}</p>
+                                <p className={`${textSecondary} text-xs font-light truncate`}>
+                                    {formatBytes(item.file.size)} · {statusLabel(item)}
+                                    {item.preferences ? ' · custom options' : ''}
+                                </p>
+                            </div>
+                            <div className="flex items-center">
+                                {item.status === 'complete' && item.episode && (
+                                    <button onClick={() => onOpenEpisode(item.episode)} className={iconButton} title="listen">
+                                        <Play className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                                {editable && (
+                                    <button onClick={() => setExpandedId(expandedId === item.id ? null : item.id)} className={iconButton} title="options for this file">
+                                        <Sparkles className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                                {(item.status === 'error' || item.status === 'cancelled') && (
+                                    <button onClick={() => queue.retry(item.id)} className={iconButton} title="retry">
+                                        <RotateCcw className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                                {active || item.status === 'queued' ? (
+                                    <button onClick={() => queue.cancel(item.id)} className={iconButton} title="cancel">
+                                        <X className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                ) : (
+                                    <button onClick={() => queue.remove(item.id)} className={iconButton} title="remove from queue">
+                                        <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        {(active || item.status === 'complete') && (
+                            <div className={`w-full ${darkMode ? 'bg-zinc-700' : 'bg-stone-200'} rounded-full h-1 overflow-hidden`}>
+                                <div
+                                    className={`${darkMode ? 'bg-zinc-100' : 'bg-stone-900'} h-full transition-all duration-700 ease-out`}
+                                    style={{ width: `${Math.round(item.progress)}%` }}
+                                />
+                            </div>
+                        )}
+
+                        {editable && expandedId === item.id && (
+                            <div className="space-y-3">
+                                <label className={`flex items-center gap-2 text-xs ${textSecondary} font-light`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={!item.preferences}
+                                        onChange={e => queue.setItemPreferences(item.id, e.target.checked ? null : { ...defaultPreferences })}
+                                    />
+                                    use the default options
+                                </label>
+                                {item.preferences && (
+                                    <PreferencesPanel
+                                        preferences={item.preferences}
+                                        onChange={preferences => queue.setItemPreferences(item.id, preferences)}
+                                        darkMode={darkMode}
+                                    />
+                                )}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+
+            <div className="flex gap-2 pt-2">
+                {running ? (
+                    <button
+                        onClick={queue.cancelAll}
+                        className={`flex-1 ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} py-3 rounded-xl transition-all duration-300 text-sm font-light`}
+                    >
+                        stop all
+                    </button>
+                ) : (
+                    <button
+                        onClick={online ? queue.start : () => onSaveForLater(waiting)}
+                        disabled={!pending}
+                        className={`flex-1 ${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} text-base font-normal py-3 rounded-xl transition-all duration-300 disabled:opacity-40`}
+                    >
+                        {!pending ? 'all done' : online ? `convert ${waiting.length}` : `convert ${waiting.length} when back online`}
+                    </button>
+                )}
+                {done > 0 && (
+                    <button
+                        onClick={queue.clearFinished}
+                        className={`${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} px-4 py-3 rounded-xl transition-all duration-300 text-sm font-light`}
+                    >
+                        clear finished
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { formatTime } from '../lib/format';
+
+export default function ChapterList({ chapters, activeIndex, onSeek, darkMode }) {
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800/50' : 'bg-stone-50'} rounded-2xl p-6 border ${darkMode ? 'border-zinc-800' : 'border-stone-200'}`}>
+            <h3 className={`text-xs font-normal ${textSecondary} uppercase tracking-wider mb-4`}>
+                chapters
+            </h3>
+            <ol className="space-y-1">
+                {chapters.map((chapter, idx) => (
+                    <li key={chapter.lineIndex}>
+                        <button
+                            onClick={() => onSeek(chapter.start)}
+                            title={`jump to ${formatTime(chapter.start)}`}
+                            className={`w-full text-left flex items-baseline gap-3 px-3 py-2 rounded-xl transition-colors duration-300 ${
+                                idx === activeIndex
+                                    ? darkMode ? 'bg-zinc-700/60' : 'bg-stone-200/70'
+                                    : darkMode ? 'hover:bg-zinc-800' : 'hover:bg-stone-100'
+                            }`}
+                        >
+                            <span className={`${textSecondary} text-xs font-mono w-12 flex-shrink-0`}>{formatTime(chapter.start)}</span>
+                            <span className={`${idx === activeIndex ? textPrimary : textSecondary} text-sm font-light flex-1 truncate`}>{chapter.title}</span>
+                            <span className={`${textSecondary} text-xs font-light opacity-70`}>{formatTime(chapter.end - chapter.start)}</span>
+                        </button>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
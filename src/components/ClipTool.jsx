@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, Pause, Play, X } from 'lucide-react';
+import { formatTime } from '../lib/format';
+import { downloadBlob } from '../lib/library';
+import { activeLineIndex } from '../lib/transcript';
+import { CLIP_FORMATS, FADE_SECONDS, clipExcerpt, decodeAudio, encodeMp3, encodeWav, renderClip } from '../lib/clips';
+
+const OPTION_CHARS = 60;
+
+const lineLabel = (line, cast) => {
+    const text = line.text.length > OPTION_CHARS ? `${line.text.slice(0, OPTION_CHARS).trimEnd()}…` : line.text;
+    return `${formatTime(line.start)} ${cast.name(line.speaker)}: ${text}`;
+};
+
+// "12:30" isn't allowed in file names everywhere
+const fileTime = (seconds) => formatTime(seconds).replace(':', '.');
+
+/**
+ * Cuts a highlight out of the episode entirely in the browser. `selection` is
+ * `{ start, end }` in seconds, also editable by dragging on the waveform.
+ */
+export default function ClipTool({ selection, onSelectionChange, lines, cast, player, audioUrl, title, onClose, darkMode }) {
+    const [fadeIn, setFadeIn] = useState(true);
+    const [fadeOut, setFadeOut] = useState(true);
+    const [format, setFormat] = useState('mp3');
+    // 'starting' until the player actually plays, then 'playing'
+    const [previewing, setPreviewing] = useState(null);
+    // 'rendering' | 'encoding' while an export runs
+    const [busy, setBusy] = useState(null);
+    // The decoded episode, so trying a few clips only decodes it once. It's large, so it goes
+    // with the tool or when the episode changes.
+    const decodedRef = useRef(null);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const fieldClass = `${darkMode ? 'bg-zinc-900 border-zinc-700 text-zinc-100' : 'bg-white border-stone-300 text-stone-900'} border rounded-lg px-2 py-1.5 text-xs font-light w-full`;
+    const smallButton = `${darkMode ? 'bg-zinc-700 text-zinc-300 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'} px-3 py-1 rounded-lg text-xs transition-all`;
+
+    const { start, end } = selection;
+    const length = end - start;
+
+    useEffect(() => () => {
+        decodedRef.current = null;
+    }, [audioUrl]);
+
+    // Previews play through the main player and stop at the end of the selection
+    useEffect(() => {
+        if (!previewing) return;
+        if (!player.playing) {
+            if (previewing === 'playing') setPreviewing(null);
+        } else if (player.currentTime >= end) {
+            player.pause();
+            setPreviewing(null);
+        } else if (previewing === 'starting') {
+            setPreviewing('playing');
+        }
+    }, [previewing, player.playing, player.currentTime, end]);
+
+    const togglePreview = () => {
+        if (previewing) {
+            player.pause();
+            return;
+        }
+        player.seek(start);
+        player.play();
+        setPreviewing('starting');
+    };
+
+    const setBounds = (nextStart, nextEnd) => {
+        if (nextEnd > nextStart) onSelectionChange({ start: nextStart, end: nextEnd });
+    };
+
+    const handleExport = async () => {
+        setBusy('rendering');
+        try {
+            if (decodedRef.current?.url !== audioUrl) {
+                decodedRef.current = { url: audioUrl, buffer: await decodeAudio(audioUrl) };
+            }
+            const buffer = await renderClip(decodedRef.current.buffer, { start, end, fadeIn, fadeOut });
+            setBusy('encoding');
+            const audio = format === 'mp3' ? await encodeMp3(buffer) : encodeWav(buffer);
+            const name = `${title} ${fileTime(start)}-${fileTime(end)}`;
+            downloadBlob(audio, `${name}.${format}`);
+            downloadBlob(new Blob([clipExcerpt(lines, { title, start, end, cast })], { type: 'text/plain;charset=utf-8' }), `${name}.txt`);
+        } catch (error) {
+            console.error('Could not export clip:', error);
+            alert('Error exporting the clip: ' + error.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const firstLine = activeLineIndex(lines, start);
+    const lastLine = activeLineIndex(lines, end - 0.01);
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800/50 border-zinc-800' : 'bg-stone-50 border-stone-200'} rounded-2xl p-6 border space-y-4 animate-fadeIn`}>
+            <div className="flex items-center justify-between">
+                <h3 className={`text-xs font-normal ${textSecondary} uppercase tracking-wider`}>
+                    make a clip
+                </h3>
+                <button onClick={onClose} title="close" className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-1.5 rounded-lg transition-all duration-300`}>
+                    <X className="w-3.5 h-3.5" strokeWidth={1.5} />
+                </button>
+            </div>
+
+            <p className={`text-xs font-light ${textSecondary}`}>
+                drag across the waveform or pick the lines to include
+            </p>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <span className={`${textPrimary} text-sm font-mono`}>{formatTime(start)} – {formatTime(end)}</span>
+                <span className={`${textSecondary} text-xs font-light mr-auto`}>{Math.round(length)}s</span>
+                <button onClick={() => setBounds(player.currentTime, end)} className={smallButton}>start at playhead</button>
+                <button onClick={() => setBounds(start, player.currentTime)} className={smallButton}>end at playhead</button>
+            </div>
+
+            {lines.length > 0 && (
+                <div className="grid grid-cols-2 gap-2">
+                    <label className={`text-xs font-light ${textSecondary} space-y-1`}>
+                        <span>from line</span>
+                        <select
+                            value={Math.max(firstLine, 0)}
+                            onChange={e => setBounds(lines[Number(e.target.value)].start, Math.max(end, lines[Number(e.target.value)].end))}
+                            className={fieldClass}
+                        >
+                            {lines.map((line, idx) => <option key={idx} value={idx}>{lineLabel(line, cast)}</option>)}
+                        </select>
+                    </label>
+                    <label className={`text-xs font-light ${textSecondary} space-y-1`}>
+                        <span>to line</span>
+                        <select
+                            value={Math.max(lastLine, 0)}
+                            onChange={e => setBounds(Math.min(start, lines[Number(e.target.value)].start), lines[Number(e.target.value)].end)}
+                            className={fieldClass}
+                        >
+                            {lines.map((line, idx) => <option key={idx} value={idx}>{lineLabel(line, cast)}</option>)}
+                        </select>
+                    </label>
+                </div>
+            )}
+
+            <div className={`flex flex-wrap items-center justify-between gap-3 pt-4 border-t ${darkMode ? 'border-zinc-700' : 'border-stone-300'}`}>
+                <div className={`flex items-center gap-4 text-xs font-light ${textSecondary}`}>
+                    <label className="flex items-center gap-1.5" title={`${FADE_SECONDS}s fade`}>
+                        <input type="checkbox" checked={fadeIn} onChange={e => setFadeIn(e.target.checked)} />
+                        fade in
+                    </label>
+                    <label className="flex items-center gap-1.5" title={`${FADE_SECONDS}s fade`}>
+                        <input type="checkbox" checked={fadeOut} onChange={e => setFadeOut(e.target.checked)} />
+                        fade out
+                    </label>
+                    <div className="flex gap-1">
+                        {CLIP_FORMATS.map(option => (
+                            <button
+                                key={option.key}
+                                onClick={() => setFormat(option.key)}
+                                className={`px-3 py-1 rounded-lg text-xs transition-all ${
+                                    format === option.key
+                                        ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                        : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-600 hover:bg-stone-300'
+                                }`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <button onClick={togglePreview} className={`${smallButton} flex items-center gap-1.5`}>
+                        {previewing ? <Pause className="w-3 h-3" strokeWidth={2} /> : <Play className="w-3 h-3" strokeWidth={2} />}
+                        preview
+                    </button>
+                    <button
+                        onClick={handleExport}
+                        disabled={!!busy || !(length > 0)}
+                        className={`${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} px-3 py-1 rounded-lg text-xs flex items-center gap-1.5 transition-all disabled:opacity-50`}
+                    >
+                        <Download className="w-3 h-3" strokeWidth={2} />
+                        {busy ? `${busy}...` : 'export clip'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,90 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileText } from 'lucide-react';
+import { TRANSCRIPT_FORMATS } from '../lib/exporters';
+import { audioExtension, downloadBlob } from '../lib/library';
+import { toChaptersJson } from '../lib/chapters';
+import { embedChapters } from '../lib/id3';
+
+/**
+ * Transcript downloads, plus chapter files when there are `chapters`. Stored MP3
+ * `audio` can also be downloaded with the chapters written into its ID3 tag.
+ * `cast` (see castFor) names the speakers in transcripts.
+ */
+export default function ExportMenu({ lines, title, cast, chapters = [], audio = null, darkMode }) {
+    const [open, setOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+
+    useEffect(() => {
+        if (!open) return;
+        const close = (e) => {
+            if (!menuRef.current?.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', close);
+        return () => document.removeEventListener('mousedown', close);
+    }, [open]);
+
+    const exportAs = (format) => {
+        const contents = format.render(lines, { title, cast });
+        downloadBlob(new Blob([contents], { type: `${format.type};charset=utf-8` }), `${title}.${format.extension}`);
+        setOpen(false);
+    };
+
+    const exportChapters = () => {
+        downloadBlob(new Blob([toChaptersJson(chapters, { title })], { type: 'application/json+chapters' }), `${title}.chapters.json`);
+        setOpen(false);
+    };
+
+    const exportTaggedAudio = async () => {
+        setOpen(false);
+        try {
+            downloadBlob(await embedChapters(audio, chapters, { title }), `${title}.mp3`);
+        } catch (error) {
+            console.error('Could not tag audio:', error);
+            alert('Error adding chapters to the audio: ' + error.message);
+        }
+    };
+
+    const itemClass = `w-full text-left px-4 py-2 text-sm font-light ${darkMode ? 'text-zinc-100 hover:bg-zinc-800' : 'text-stone-900 hover:bg-stone-100'}`;
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                disabled={!lines.length}
+                title="export transcript"
+                className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} px-4 py-2 rounded-lg flex items-center gap-2 transition-all duration-300 disabled:opacity-40`}
+            >
+                <FileText className="w-4 h-4" strokeWidth={1.5} />
+            </button>
+            {open && (
+                <div className={`absolute right-0 mt-2 w-48 z-20 rounded-xl border shadow-lg overflow-hidden animate-fadeIn ${darkMode ? 'bg-zinc-900 border-zinc-700' : 'bg-white border-stone-200'}`}>
+                    <p className={`px-4 pt-3 pb-1 text-xs ${textSecondary} uppercase tracking-wider`}>transcript</p>
+                    {TRANSCRIPT_FORMATS.map(format => (
+                        <button
+                            key={format.key}
+                            onClick={() => exportAs(format)}
+                            className={itemClass}
+                        >
+                            {format.label}
+                        </button>
+                    ))}
+                    {chapters.length > 0 && (
+                        <>
+                            <p className={`px-4 pt-3 pb-1 text-xs ${textSecondary} uppercase tracking-wider`}>chapters</p>
+                            <button onClick={exportChapters} className={itemClass}>
+                                chapters (.json)
+                            </button>
+                            {audio && audioExtension(audio) === 'mp3' && (
+                                <button onClick={exportTaggedAudio} className={itemClass}>
+                                    audio with chapters (.mp3)
+                                </button>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,27 @@
+import React from 'react';
+
+/** `text` with its `ranges` (see highlightRanges) marked; the `active` range stands out. */
+export default function Highlighted({ text, ranges, active = -1, darkMode }) {
+    if (!ranges?.length) return text;
+
+    const parts = [];
+    let cursor = 0;
+    ranges.forEach((range, idx) => {
+        if (range.start > cursor) parts.push(text.slice(cursor, range.start));
+        parts.push(
+            <mark
+                key={idx}
+                className={`rounded-sm px-0.5 -mx-0.5 ${
+                    idx === active
+                        ? 'bg-amber-400 text-stone-900'
+                        : darkMode ? 'bg-amber-400/30 text-inherit' : 'bg-amber-200 text-inherit'
+                }`}
+            >
+                {text.slice(range.start, range.end)}
+            </mark>
+        );
+        cursor = range.end;
+    });
+    if (cursor < text.length) parts.push(text.slice(cursor));
+    return <>{parts}</>;
+}
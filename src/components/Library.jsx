@@ -0,0 +1,336 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Play, Pencil, Trash2, Download, Check, CheckCircle2, Circle, Rss, Search, X } from 'lucide-react';
+import { audioExtension, clearPlayback, deleteEpisode, downloadBlob, listEpisodes, listPlayback, playbackStatus, savePlayback, updateEpisode } from '../lib/library';
+import { formatTime } from '../lib/format';
+import { buildSearchIndex, searchLibrary, snippet } from '../lib/search';
+import Highlighted from './Highlighted';
+import PublishPanel from './PublishPanel';
+
+const FILTERS = [
+    { key: 'all', label: 'all' },
+    { key: 'started', label: 'in progress' },
+    { key: 'unplayed', label: 'not played' },
+    { key: 'finished', label: 'finished' }
+];
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Date inputs give "yyyy-mm-dd"; the span covers both days whole, in local time
+const dayStart = (value) => (value ? new Date(`${value}T00:00`).getTime() : null);
+const dayEnd = (value) => (value ? new Date(`${value}T23:59:59.999`).getTime() : null);
+
+export default function Library({ darkMode, onOpen, onChange, onDelete }) {
+    const [episodes, setEpisodes] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+    // Listening progress by episode id
+    const [playback, setPlayback] = useState({});
+    const [filter, setFilter] = useState('all');
+    // Ids of the episodes going into a feed, or null when not publishing
+    const [publishing, setPublishing] = useState(null);
+    const [query, setQuery] = useState('');
+    const [speaker, setSpeaker] = useState('');
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-2 rounded-lg transition-all duration-300`;
+    const fieldClass = `${darkMode ? 'bg-zinc-800 text-zinc-100' : 'bg-stone-100 text-stone-900'} text-xs font-light px-3 py-1.5 rounded-lg outline-none`;
+
+    const index = useMemo(() => buildSearchIndex(episodes || []), [episodes]);
+    const results = useMemo(
+        () => searchLibrary(index, query, { speaker: speaker || null, from: dayStart(fromDate), to: dayEnd(toDate) }),
+        [index, query, speaker, fromDate, toDate]
+    );
+    const searching = query.trim().length > 0;
+
+    const clearSearch = () => {
+        setQuery('');
+        setSpeaker('');
+        setFromDate('');
+        setToDate('');
+    };
+
+    useEffect(() => {
+        Promise.all([listEpisodes(), listPlayback()])
+            .then(([list, records]) => {
+                setPlayback(records);
+                setEpisodes(list);
+            })
+            .catch(error => {
+                console.error('Could not load library:', error);
+                setEpisodes([]);
+            });
+    }, []);
+
+    const startRename = (episode) => {
+        setEditingId(episode.id);
+        setDraftTitle(episode.title);
+    };
+
+    const commitRename = async () => {
+        const title = draftTitle.trim();
+        const id = editingId;
+        setEditingId(null);
+        if (!id || !title) return;
+        try {
+            const updated = await updateEpisode(id, { title });
+            if (updated) {
+                setEpisodes(list => list.map(ep => (ep.id === id ? updated : ep)));
+                onChange?.(updated);
+            }
+        } catch (error) {
+            console.error('Could not rename episode:', error);
+            alert('Error renaming the episode: ' + error.message);
+        }
+    };
+
+    const handleDelete = async (episode) => {
+        if (!confirm(`Delete "${episode.title}"? This can't be undone.`)) return;
+        try {
+            await deleteEpisode(episode.id);
+        } catch (error) {
+            console.error('Could not delete episode:', error);
+            alert('Error deleting the episode: ' + error.message);
+            return;
+        }
+        setEpisodes(list => list.filter(ep => ep.id !== episode.id));
+        setPublishing(ids => ids && ids.filter(id => id !== episode.id));
+        onDelete?.(episode);
+    };
+
+    const toggleSelected = (id) => setPublishing(ids => (ids.includes(id) ? ids.filter(item => item !== id) : [...ids, id]));
+
+    const togglePlayed = async (episode) => {
+        const id = episode.id;
+        try {
+            if (playbackStatus(playback[id]) === 'finished') {
+                await clearPlayback(id);
+                setPlayback(({ [id]: _, ...rest }) => rest);
+            } else {
+                const record = await savePlayback(id, { ...playback[id], position: 0, status: 'finished' });
+                setPlayback(records => ({ ...records, [id]: record }));
+            }
+        } catch (error) {
+            console.error('Could not update playback:', error);
+            alert('Error marking the episode: ' + error.message);
+        }
+    };
+
+    if (episodes === null) {
+        return <p className={`${textSecondary} text-sm font-light text-center py-8`}>loading your library...</p>;
+    }
+
+    if (episodes.length === 0) {
+        return (
+            <div className="text-center py-8 space-y-1">
+                <p className={`${textPrimary} font-light`}>nothing here yet</p>
+                <p className={`${textSecondary} text-sm font-light`}>finished podcasts show up here automatically</p>
+            </div>
+        );
+    }
+
+    const counts = episodes.reduce((acc, episode) => {
+        const status = playbackStatus(playback[episode.id]);
+        return { ...acc, [status]: (acc[status] || 0) + 1 };
+    }, { all: episodes.length });
+    const shown = filter === 'all' ? episodes : episodes.filter(episode => playbackStatus(playback[episode.id]) === filter);
+
+    const matchedEpisodes = new Set(results.map(result => result.episode.id)).size;
+
+    return (
+        <div className="space-y-3">
+            <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-xl px-3 py-2 flex items-center gap-2`}>
+                <Search className={`w-4 h-4 ${textSecondary} flex-shrink-0`} strokeWidth={1.5} />
+                <input
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                    onKeyDown={e => e.key === 'Escape' && clearSearch()}
+                    placeholder="search everything they said"
+                    className={`flex-1 min-w-0 bg-transparent ${textPrimary} ${darkMode ? 'placeholder-zinc-500' : 'placeholder-stone-500'} text-sm font-light outline-none`}
+                />
+                {searching && (
+                    <button onClick={clearSearch} className={`${textSecondary} p-0.5`} title="clear search">
+                        <X className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                )}
+            </div>
+
+            {searching ? (
+                <>
+                    <div className="flex flex-wrap items-center gap-2">
+                        <select value={speaker} onChange={e => setSpeaker(e.target.value)} className={fieldClass} title="said by">
+                            <option value="">anyone</option>
+                            {index.speakers.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                        <input type="date" value={fromDate} max={toDate || undefined} onChange={e => setFromDate(e.target.value)} className={fieldClass} title="made on or after" />
+                        <span className={`${textSecondary} text-xs font-light`}>to</span>
+                        <input type="date" value={toDate} min={fromDate || undefined} onChange={e => setToDate(e.target.value)} className={fieldClass} title="made on or before" />
+                        <span className={`${textSecondary} text-xs font-light ml-auto`}>
+                            {results.length} {results.length === 1 ? 'match' : 'matches'} in {matchedEpisodes} {matchedEpisodes === 1 ? 'episode' : 'episodes'}
+                        </span>
+                    </div>
+
+                    {results.length === 0 && (
+                        <p className={`${textSecondary} text-sm font-light text-center py-4`}>nothing matches that</p>
+                    )}
+
+                    {results.map(result => {
+                        const excerpt = snippet(result.text, result.ranges);
+                        return (
+                            <button
+                                key={`${result.episode.id}:${result.line}`}
+                                onClick={() => onOpen(result.episode, { line: result.line, query })}
+                                className={`w-full text-left ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} rounded-2xl p-4 space-y-1 transition-all duration-200 animate-fadeIn`}
+                            >
+                                <p className={`${textSecondary} text-xs font-light truncate`}>
+                                    <span className={textPrimary}>{result.episode.title}</span>
+                                    {' · '}{formatDate(result.episode.createdAt)}
+                                    {' · '}{result.line === null ? 'in the title' : result.speaker}
+                                </p>
+                                <p className={`${textSecondary} text-sm font-light leading-relaxed`}>
+                                    <Highlighted text={excerpt.text} ranges={excerpt.ranges} darkMode={darkMode} />
+                                </p>
+                            </button>
+                        );
+                    })}
+                </>
+            ) : (
+                <>
+                <div className="flex flex-wrap items-center gap-2 mb-2">
+                    {FILTERS.map(({ key, label }) => (
+                        <button
+                            key={key}
+                            onClick={() => setFilter(key)}
+                            className={`px-3 py-1 rounded-lg text-xs transition-all ${
+                                filter === key
+                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                    : darkMode ? 'bg-zinc-800 text-zinc-400 hover:bg-zinc-700' : 'bg-stone-100 text-stone-600 hover:bg-stone-200'
+                            }`}
+                        >
+                            {label} · {counts[key] || 0}
+                        </button>
+                    ))}
+                    <button
+                        onClick={() => setPublishing(publishing ? null : episodes.map(episode => episode.id))}
+                        className={`ml-auto ${iconButton} flex items-center gap-1.5 text-xs ${publishing ? textPrimary : ''}`}
+                        title="publish episodes as a podcast feed"
+                    >
+                        <Rss className="w-3.5 h-3.5" strokeWidth={1.5} />
+                        publish
+                    </button>
+                </div>
+
+                {publishing && (
+                    <PublishPanel
+                        episodes={episodes.filter(episode => publishing.includes(episode.id))}
+                        onClose={() => setPublishing(null)}
+                        darkMode={darkMode}
+                    />
+                )}
+
+                {shown.length === 0 && (
+                    <p className={`${textSecondary} text-sm font-light text-center py-4`}>no episodes here</p>
+                )}
+
+                {shown.map(episode => {
+                    const record = playback[episode.id];
+                    const status = playbackStatus(record);
+                    const listened = episode.duration > 0 && record?.position ? Math.min(record.position / episode.duration, 1) : 0;
+                    return (
+                        <div key={episode.id} className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-4 flex items-center gap-4 animate-fadeIn`}>
+                            {publishing && (
+                                <input
+                                    type="checkbox"
+                                    checked={publishing.includes(episode.id)}
+                                    onChange={() => toggleSelected(episode.id)}
+                                    title="include in the feed"
+                                />
+                            )}
+                            <button
+                                onClick={() => onOpen(episode)}
+                                className={`w-10 h-10 flex-shrink-0 ${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} rounded-full flex items-center justify-center transition-all duration-300 hover:scale-110`}
+                            >
+                                <Play className="w-4 h-4 ml-0.5" strokeWidth={2} />
+                            </button>
+
+                            <div className="flex-1 min-w-0">
+                                {editingId === episode.id ? (
+                                    <input
+                                        autoFocus
+                                        value={draftTitle}
+                                        onChange={e => setDraftTitle(e.target.value)}
+                                        onBlur={commitRename}
+                                        onKeyDown={e => {
+                                            if (e.key === 'Enter') commitRename();
+                                            if (e.key === 'Escape') setEditingId(null);
+                                        }}
+                                        className={`w-full bg-transparent border-b ${darkMode ? 'border-zinc-600' : 'border-stone-400'} ${textPrimary} text-sm outline-none`}
+                                    />
+                                ) : (
+                                    <p className={`${textPrimary} font-normal text-sm truncate`}>{episode.title}</p>
+                                )}
+                                <p className={`${textSecondary} text-xs font-light truncate`}>
+                                    {episode.sourceName} · {formatDate(episode.createdAt)}
+                                    {episode.duration > 0 && ` · ${formatTime(episode.duration)}`}
+                                </p>
+                                {episode.preferences && (
+                                    <p className={`${textSecondary} text-xs font-light opacity-70 truncate`}>
+                                        {episode.preferences.tone} · {episode.preferences.length} · {episode.preferences.depth}
+                                        {episode.preferences.humor ? ' · humor' : ''}
+                                        {episode.preferences.format && episode.preferences.format !== 'interview' ? ` · ${episode.preferences.format}` : ''}
+                                        {episode.preferences.language && episode.preferences.language !== 'en' ? ` · ${episode.preferences.language}` : ''}
+                                    </p>
+                                )}
+                                {status === 'started' && (
+                                    <div className="flex items-center gap-2 mt-1.5">
+                                        <div className={`flex-1 max-w-[10rem] h-1 rounded-full ${darkMode ? 'bg-zinc-700' : 'bg-stone-200'}`}>
+                                            <div className={`h-full rounded-full ${darkMode ? 'bg-zinc-300' : 'bg-stone-700'}`} style={{ width: `${listened * 100}%` }} />
+                                        </div>
+                                        <span className={`${textSecondary} text-xs font-light`}>stopped at {formatTime(record.position)}</span>
+                                    </div>
+                                )}
+                                {status === 'finished' && (
+                                    <p className={`${textSecondary} text-xs font-light mt-1`}>finished</p>
+                                )}
+                            </div>
+
+                            <div className="flex items-center">
+                                {editingId === episode.id ? (
+                                    <button onMouseDown={e => e.preventDefault()} onClick={commitRename} className={iconButton} title="save name">
+                                        <Check className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                ) : (
+                                    <button onClick={() => startRename(episode)} className={iconButton} title="rename">
+                                        <Pencil className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => togglePlayed(episode)}
+                                    className={iconButton}
+                                    title={status === 'finished' ? 'mark as not played' : 'mark as finished'}
+                                >
+                                    {status === 'finished'
+                                        ? <CheckCircle2 className="w-4 h-4" strokeWidth={1.5} />
+                                        : <Circle className="w-4 h-4" strokeWidth={1.5} />}
+                                </button>
+                                <button
+                                    onClick={() => downloadBlob(episode.audio, `${episode.title}.${audioExtension(episode.audio)}`)}
+                                    className={iconButton}
+                                    title="download"
+                                >
+                                    <Download className="w-4 h-4" strokeWidth={1.5} />
+                                </button>
+                                <button onClick={() => handleDelete(episode)} className={iconButton} title="delete">
+                                    <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+import { CloudOff, RotateCcw, Trash2 } from 'lucide-react';
+
+/** Conversions waiting for a connection, from `useOutbox`. */
+export default function Outbox({ outbox, online, darkMode }) {
+    const { entries, sending, failed } = outbox;
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-2 rounded-lg transition-all duration-300`;
+
+    const statusLabel = (entry) => {
+        if (sending === entry.id) return 'cooking...';
+        if (failed[entry.id]) return `failed: ${failed[entry.id]}`;
+        return online ? 'up next' : 'waiting for a connection';
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className={`flex items-center justify-between text-xs ${textSecondary} font-light`}>
+                <span className="uppercase tracking-wider">saved for later</span>
+                <span className="font-mono">{entries.length}</span>
+            </div>
+
+            {entries.map(entry => (
+                <div key={entry.id} className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-4 flex items-center gap-3 animate-fadeIn`}>
+                    <CloudOff className={`w-4 h-4 shrink-0 ${textSecondary}`} strokeWidth={1.5} />
+                    <div className="flex-1 min-w-0">
+                        <p className={`${textPrimary} text-sm font-normal truncate`}>{entry.title}</p>
+                        <p className={`text-xs font-light ${failed[entry.id] ? 'text-rose-400' : textSecondary} ${sending === entry.id ? 'animate-pulse' : ''}`}>
+                            {statusLabel(entry)}
+                        </p>
+                    </div>
+                    {failed[entry.id] && (
+                        <button onClick={() => outbox.retry(entry.id)} className={iconButton} title="try again">
+                            <RotateCcw className="w-4 h-4" strokeWidth={1.5} />
+                        </button>
+                    )}
+                    <button onClick={() => outbox.remove(entry.id)} className={iconButton} title="remove">
+                        <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
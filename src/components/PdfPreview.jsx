@@ -0,0 +1,218 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { loadPdf, readSections, renderPage } from '../lib/pdf';
+import { formatPageRanges, parsePageRanges } from '../lib/pages';
+
+const THUMB_WIDTH = 96;
+
+function PageThumbnail({ pdf, pageNumber, included, onToggle, darkMode }) {
+    const canvasRef = useRef(null);
+    const [rendered, setRendered] = useState(false);
+
+    // Render only once the thumbnail scrolls near the viewport
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        let cancelled = false;
+        const observer = new IntersectionObserver(([entry]) => {
+            if (!entry.isIntersecting) return;
+            observer.disconnect();
+            renderPage(pdf, pageNumber, canvas, THUMB_WIDTH * (window.devicePixelRatio || 1))
+                .then(() => !cancelled && setRendered(true))
+                .catch(error => console.error('Could not render page:', error));
+        }, { rootMargin: '200px' });
+        observer.observe(canvas);
+        return () => {
+            cancelled = true;
+            observer.disconnect();
+        };
+    }, [pdf, pageNumber]);
+
+    return (
+        <button
+            onClick={() => onToggle(pageNumber)}
+            title={included ? `leave out page ${pageNumber}` : `include page ${pageNumber}`}
+            className={`relative rounded-lg overflow-hidden border-2 transition-all duration-200 ${
+                included
+                    ? darkMode ? 'border-zinc-100' : 'border-stone-900'
+                    : 'border-transparent opacity-40 hover:opacity-70'
+            }`}
+        >
+            <canvas
+                ref={canvasRef}
+                className={`w-full bg-white ${rendered ? '' : 'animate-pulse'}`}
+                style={{ aspectRatio: rendered ? undefined : '3 / 4' }}
+            />
+            <span className={`absolute bottom-1 right-1 text-[10px] font-mono px-1 rounded ${darkMode ? 'bg-zinc-900/80 text-zinc-100' : 'bg-stone-50/90 text-stone-900'}`}>
+                {pageNumber}
+            </span>
+        </button>
+    );
+}
+
+/**
+ * Page picker for the uploaded PDF. `pages` is the sorted list of included pages,
+ * or null for the whole document.
+ */
+export default function PdfPreview({ file, pages, onPagesChange, darkMode }) {
+    const [pdf, setPdf] = useState(null);
+    const [outline, setOutline] = useState(null);
+    const [error, setError] = useState(null);
+    const [rangeInput, setRangeInput] = useState('');
+    const [rangeError, setRangeError] = useState(null);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+
+    useEffect(() => {
+        let loaded = null;
+        let cancelled = false;
+        setPdf(null);
+        setOutline(null);
+        setError(null);
+
+        loadPdf(file)
+            .then(doc => {
+                loaded = doc;
+                if (cancelled) return doc.destroy();
+                setPdf(doc);
+                return readSections(doc).then(result => !cancelled && setOutline(result));
+            })
+            .catch(err => {
+                console.error('Could not read PDF:', err);
+                if (!cancelled) setError('couldn\'t read this pdf in the browser');
+            });
+
+        return () => {
+            cancelled = true;
+            loaded?.destroy();
+        };
+    }, [file]);
+
+    useEffect(() => {
+        setRangeInput(pages ? formatPageRanges(pages) : '');
+        setRangeError(null);
+    }, [pages]);
+
+    if (error) {
+        return <p className={`${textSecondary} text-sm font-light text-center`}>{error}</p>;
+    }
+    if (!pdf) {
+        return <p className={`${textSecondary} text-sm font-light text-center animate-pulse`}>reading pdf...</p>;
+    }
+
+    const pageCount = pdf.numPages;
+    const included = (page) => !pages || pages.includes(page);
+
+    const commitPages = (list) => {
+        const sorted = [...new Set(list)].sort((a, b) => a - b);
+        onPagesChange(sorted.length === pageCount ? null : sorted);
+    };
+
+    const allPages = () => Array.from({ length: pageCount }, (_, idx) => idx + 1);
+
+    const togglePage = (page) => {
+        const current = pages || allPages();
+        commitPages(current.includes(page) ? current.filter(p => p !== page) : [...current, page]);
+    };
+
+    const sectionPages = (section) => Array.from({ length: section.to - section.from + 1 }, (_, idx) => section.from + idx);
+    const sectionIncluded = (section) => sectionPages(section).every(included);
+
+    // Picking a chapter while the whole document is selected means "just this chapter"
+    const toggleSection = (section) => {
+        const span = sectionPages(section);
+        if (!pages) {
+            commitPages(span);
+        } else if (sectionIncluded(section)) {
+            commitPages(pages.filter(p => !span.includes(p)));
+        } else {
+            commitPages([...pages, ...span]);
+        }
+    };
+
+    const applyRangeInput = () => {
+        if (!rangeInput.trim()) {
+            onPagesChange(null);
+            return;
+        }
+        try {
+            commitPages(parsePageRanges(rangeInput, pageCount));
+            setRangeError(null);
+        } catch (err) {
+            setRangeError(err.message);
+        }
+    };
+
+    const selectedCount = pages ? pages.length : pageCount;
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-6 space-y-5 animate-slideDown`}>
+            <div className="flex items-center justify-between">
+                <span className={`text-xs ${textSecondary} font-light uppercase tracking-wider`}>pages</span>
+                <span className={`text-xs ${textSecondary} font-mono`}>
+                    {selectedCount} of {pageCount} selected
+                </span>
+            </div>
+
+            <div>
+                <div className="flex gap-2">
+                    <input
+                        value={rangeInput}
+                        onChange={e => setRangeInput(e.target.value)}
+                        onBlur={applyRangeInput}
+                        onKeyDown={e => e.key === 'Enter' && applyRangeInput()}
+                        placeholder={`all pages (e.g. 1-12, 40-${pageCount})`}
+                        className={`flex-1 ${darkMode ? 'bg-zinc-700 placeholder-zinc-500' : 'bg-stone-200 placeholder-stone-500'} ${textPrimary} text-sm font-light px-4 py-2.5 rounded-xl outline-none`}
+                    />
+                    {pages && (
+                        <button
+                            onClick={() => onPagesChange(null)}
+                            className={`${darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'} px-4 rounded-xl text-sm transition-all duration-200`}
+                        >
+                            all
+                        </button>
+                    )}
+                </div>
+                {rangeError && <p className="text-xs text-rose-400 font-light mt-2">{rangeError}</p>}
+                {pages?.length === 0 && <p className="text-xs text-rose-400 font-light mt-2">pick at least one page</p>}
+            </div>
+
+            {outline === null ? (
+                <p className={`${textSecondary} text-xs font-light animate-pulse`}>looking for chapters...</p>
+            ) : outline.sections.length > 0 && (
+                <div>
+                    <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>
+                        {outline.source === 'outline' ? 'chapters' : 'headings'}
+                    </label>
+                    <div className="space-y-1 max-h-48 overflow-y-auto">
+                        {outline.sections.map((section, idx) => (
+                            <label
+                                key={idx}
+                                className={`flex items-center gap-3 text-sm font-light cursor-pointer ${textPrimary}`}
+                                style={{ paddingLeft: `${section.level * 16}px` }}
+                            >
+                                <input type="checkbox" checked={!!pages && sectionIncluded(section)} onChange={() => toggleSection(section)} />
+                                <span className="flex-1 truncate">{section.title}</span>
+                                <span className={`${textSecondary} text-xs font-mono`}>
+                                    {section.from === section.to ? section.from : `${section.from}-${section.to}`}
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div className="grid grid-cols-4 sm:grid-cols-6 gap-2 max-h-72 overflow-y-auto pr-1">
+                {allPages().map(page => (
+                    <PageThumbnail
+                        key={page}
+                        pdf={pdf}
+                        pageNumber={page}
+                        included={included(page)}
+                        onToggle={togglePage}
+                        darkMode={darkMode}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
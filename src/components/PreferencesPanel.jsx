@@ -0,0 +1,305 @@
+import React, { useRef, useState } from 'react';
+import { Check, Download, Link, Plus, Save, Trash2, Upload, X } from 'lucide-react';
+import { downloadBlob } from '../lib/library';
+import { AUDIENCES, DEPTHS, LANGUAGES, LENGTHS, TONES, deletePreset, exportPresets, importPresets, listPresets, normalizePreferences, savePreset, settingsUrl } from '../lib/preferences';
+import { FORMATS, MAX_SPEAKERS, SPEAKER_COLORS, VOICES, formatFor, newSpeaker, withFormat } from '../lib/speakers';
+
+// How long "copied" shows after copying a settings link
+const COPIED_MS = 2000;
+
+const sameSettings = (a, b) => JSON.stringify(normalizePreferences(a)) === JSON.stringify(normalizePreferences(b));
+
+// Named presets, import/export as JSON and shareable settings links
+function PresetBar({ preferences, onChange, darkMode }) {
+    const [presets, setPresets] = useState(listPresets);
+    const [copied, setCopied] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-2 rounded-lg transition-all duration-300 disabled:opacity-30`;
+    const current = presets.find(preset => sameSettings(preset.preferences, preferences));
+
+    const handleSave = () => {
+        const name = prompt('Name this preset', current && !current.builtIn ? current.name : '');
+        if (!name?.trim()) return;
+        setPresets(savePreset(name, preferences));
+    };
+
+    const handleDelete = () => {
+        if (!confirm(`Delete the "${current.name}" preset?`)) return;
+        setPresets(deletePreset(current.name));
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const count = await importPresets(file);
+            setPresets(listPresets());
+            alert(`Imported ${count} ${count === 1 ? 'preset' : 'presets'}`);
+        } catch (error) {
+            alert('Error importing presets: ' + error.message);
+        }
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(settingsUrl(preferences));
+            setCopied(true);
+            setTimeout(() => setCopied(false), COPIED_MS);
+        } catch (error) {
+            console.error('Could not copy the settings link:', error);
+            prompt('Copy this link', settingsUrl(preferences));
+        }
+    };
+
+    return (
+        <div className="flex items-center gap-1">
+            <select
+                value={current?.name || ''}
+                onChange={e => {
+                    const preset = presets.find(item => item.name === e.target.value);
+                    if (preset) onChange(preset.preferences);
+                }}
+                className={`flex-1 mr-1 ${darkMode ? 'bg-zinc-700 text-zinc-100' : 'bg-stone-200 text-stone-900'} text-sm font-light rounded-xl px-3 py-2 outline-none`}
+            >
+                {!current && <option value="">custom settings</option>}
+                {presets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+            </select>
+            <button onClick={handleSave} title="save as a preset" className={iconButton}>
+                <Save className="w-4 h-4" strokeWidth={1.5} />
+            </button>
+            <button onClick={handleDelete} disabled={!current || current.builtIn} title="delete this preset" className={iconButton}>
+                <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+            </button>
+            <button
+                onClick={() => downloadBlob(new Blob([exportPresets()], { type: 'application/json' }), 'notecast-presets.json')}
+                disabled={presets.every(preset => preset.builtIn)}
+                title="export your presets"
+                className={iconButton}
+            >
+                <Download className="w-4 h-4" strokeWidth={1.5} />
+            </button>
+            <button onClick={() => fileInputRef.current.click()} title="import presets" className={iconButton}>
+                <Upload className="w-4 h-4" strokeWidth={1.5} />
+            </button>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+            <button onClick={handleCopyLink} title="copy a link with these settings" className={iconButton}>
+                {copied ? <Check className="w-4 h-4" strokeWidth={1.5} /> : <Link className="w-4 h-4" strokeWidth={1.5} />}
+            </button>
+        </div>
+    );
+}
+
+export default function PreferencesPanel({ preferences, onChange, darkMode }) {
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const fieldClass = `${darkMode ? 'bg-zinc-700 text-zinc-100 placeholder-zinc-500' : 'bg-stone-200 text-stone-900 placeholder-stone-500'} text-sm font-light rounded-xl px-3 py-2 outline-none`;
+
+    const setSpeakers = (speakers) => onChange({ ...preferences, format: formatFor(speakers.length), speakers });
+
+    const updateSpeaker = (id, changes) => setSpeakers(preferences.speakers.map(speaker => (speaker.id === id ? { ...speaker, ...changes } : speaker)));
+
+    // Colors stay unique, so picking one already in use swaps it with that speaker
+    const recolor = (id, color) => {
+        const current = preferences.speakers.find(speaker => speaker.id === id).color;
+        setSpeakers(preferences.speakers.map(speaker => (speaker.id === id ? { ...speaker, color }
+            : speaker.color === color ? { ...speaker, color: current } : speaker)));
+    };
+
+    const format = FORMATS.find(item => item.key === formatFor(preferences.speakers.length));
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-6 space-y-5 animate-slideDown overflow-hidden`}>
+
+            <PresetBar preferences={preferences} onChange={onChange} darkMode={darkMode} />
+
+            <div>
+                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>tone</label>
+                <div className="flex gap-2">
+                    {TONES.map((tone) => (
+                        <button
+                            key={tone}
+                            onClick={() => onChange({...preferences, tone})}
+                            className={`flex-1 py-2.5 px-4 rounded-xl text-sm transition-all duration-200 ${
+                                preferences.tone === tone
+                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'
+                            }`}
+                        >
+                            {tone}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>length</label>
+                <div className="flex gap-2">
+                    {LENGTHS.map((length) => (
+                        <button
+                            key={length}
+                            onClick={() => onChange({...preferences, length})}
+                            className={`flex-1 py-2.5 px-4 rounded-xl text-sm transition-all duration-200 ${
+                                preferences.length === length
+                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'
+                            }`}
+                        >
+                            {length}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>depth</label>
+                <div className="flex gap-2">
+                    {DEPTHS.map((item) => (
+                        <button
+                            key={item.key}
+                            onClick={() => onChange({...preferences, depth: item.key})}
+                            className={`flex-1 py-2.5 px-4 rounded-xl text-sm transition-all duration-200 ${
+                                preferences.depth === item.key
+                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'
+                            }`}
+                        >
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <div>
+                    <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>language</label>
+                    <select value={preferences.language} onChange={e => onChange({...preferences, language: e.target.value})} className={`w-full ${fieldClass}`}>
+                        {LANGUAGES.map(language => <option key={language.key} value={language.key}>{language.label}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>audience</label>
+                    <select value={preferences.audience} onChange={e => onChange({...preferences, audience: e.target.value})} className={`w-full ${fieldClass}`}>
+                        {AUDIENCES.map(audience => <option key={audience.key} value={audience.key}>{audience.label}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <div>
+                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>format</label>
+                <div className="flex gap-2">
+                    {FORMATS.map((item) => (
+                        <button
+                            key={item.key}
+                            onClick={() => setSpeakers(withFormat(preferences.speakers, item.key))}
+                            className={`flex-1 py-2.5 px-4 rounded-xl text-sm transition-all duration-200 ${
+                                format.key === item.key
+                                    ? darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'
+                                    : darkMode ? 'bg-zinc-700 text-zinc-400 hover:bg-zinc-600' : 'bg-stone-200 text-stone-700 hover:bg-stone-300'
+                            }`}
+                        >
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>speakers</label>
+                <div className="space-y-4">
+                    {preferences.speakers.map(speaker => (
+                        <div key={speaker.id} className="space-y-2">
+                            <div className="flex items-center gap-2">
+                                <input
+                                    value={speaker.name}
+                                    onChange={e => updateSpeaker(speaker.id, { name: e.target.value })}
+                                    placeholder="name"
+                                    maxLength={40}
+                                    className={`flex-1 min-w-0 ${fieldClass}`}
+                                    style={{ color: SPEAKER_COLORS.find(color => color.key === speaker.color)?.[darkMode ? 'dark' : 'light'] }}
+                                />
+                                <select
+                                    value={speaker.voice}
+                                    onChange={e => updateSpeaker(speaker.id, { voice: e.target.value })}
+                                    title="voice"
+                                    className={fieldClass}
+                                >
+                                    {VOICES.map(voice => <option key={voice} value={voice}>{voice}</option>)}
+                                </select>
+                                {preferences.speakers.length > format.min && (
+                                    <button
+                                        onClick={() => setSpeakers(preferences.speakers.filter(item => item.id !== speaker.id))}
+                                        title="remove this speaker"
+                                        className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-2 rounded-lg transition-all duration-300`}
+                                    >
+                                        <X className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                            </div>
+                            <input
+                                value={speaker.persona}
+                                onChange={e => updateSpeaker(speaker.id, { persona: e.target.value })}
+                                placeholder="who they are and how they talk"
+                                className={`w-full ${fieldClass}`}
+                            />
+                            <div className="flex gap-1.5">
+                                {SPEAKER_COLORS.map(color => (
+                                    <button
+                                        key={color.key}
+                                        onClick={() => recolor(speaker.id, color.key)}
+                                        title={color.key}
+                                        className={`w-4 h-4 rounded-full transition-transform duration-200 ${speaker.color === color.key ? `ring-2 ring-offset-2 ${darkMode ? 'ring-zinc-100 ring-offset-zinc-800' : 'ring-stone-900 ring-offset-stone-100'}` : 'hover:scale-110'}`}
+                                        style={{ backgroundColor: darkMode ? color.dark : color.light }}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                    {preferences.speakers.length < format.max && (
+                        <button
+                            onClick={() => setSpeakers([...preferences.speakers, newSpeaker(preferences.speakers)])}
+                            className={`${darkMode ? 'text-zinc-400 hover:bg-zinc-700' : 'text-stone-600 hover:bg-stone-200'} text-xs font-light px-3 py-1.5 rounded-lg flex items-center gap-1.5 transition-all duration-300`}
+                        >
+                            <Plus className="w-3.5 h-3.5" strokeWidth={1.5} />
+                            add a speaker (up to {MAX_SPEAKERS})
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div>
+                <label className={`block text-xs ${textSecondary} font-light mb-3 uppercase tracking-wider`}>focus</label>
+                <textarea
+                    value={preferences.focus}
+                    onChange={e => onChange({...preferences, focus: e.target.value})}
+                    rows={2}
+                    maxLength={500}
+                    placeholder="anything to dwell on or skip, e.g. spend most of the time on the methods section"
+                    className={`w-full ${fieldClass} leading-relaxed resize-y`}
+                />
+            </div>
+
+            <div className="flex items-center justify-between pt-2 border-t" style={{ borderColor: darkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }}>
+                <label className={`text-sm ${textPrimary} font-light`}>add some humor?</label>
+                <button
+                    onClick={() => onChange({...preferences, humor: !preferences.humor})}
+                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-all duration-300 ${
+                        preferences.humor
+                            ? darkMode ? 'bg-zinc-100' : 'bg-stone-900'
+                            : darkMode ? 'bg-zinc-700' : 'bg-stone-300'
+                    }`}
+                >
+                    <span
+                        className={`inline-block h-4 w-4 transform rounded-full transition-all duration-300 shadow-sm ${
+                            preferences.humor
+                                ? darkMode ? 'translate-x-6 bg-zinc-900' : 'translate-x-6 bg-stone-50'
+                                : 'translate-x-1 bg-white'
+                        }`}
+                    />
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { Package, X } from 'lucide-react';
+import { downloadBlob } from '../lib/library';
+import { buildFeedBundle, feedUrl, loadFeedSettings, saveFeedSettings, validateBaseUrl } from '../lib/feed';
+
+/**
+ * Builds a podcast feed for the chosen library `episodes` and downloads it with
+ * the media as a zip, ready to upload to any static host.
+ */
+export default function PublishPanel({ episodes, onClose, darkMode }) {
+    const [settings, setSettings] = useState(loadFeedSettings);
+    // Fraction done while the bundle is being built
+    const [progress, setProgress] = useState(null);
+    const [published, setPublished] = useState(null);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const fieldClass = `w-full ${darkMode ? 'bg-zinc-700 text-zinc-100 placeholder-zinc-500' : 'bg-stone-200 text-stone-900 placeholder-stone-500'} text-sm font-light rounded-xl px-3 py-2 outline-none`;
+
+    useEffect(() => saveFeedSettings(settings), [settings]);
+
+    const urlError = settings.baseUrl.trim() ? validateBaseUrl(settings.baseUrl) : null;
+    const update = (changes) => setSettings(current => ({ ...current, ...changes }));
+
+    const handlePublish = async () => {
+        setProgress(0);
+        setPublished(null);
+        try {
+            const bundle = await buildFeedBundle(episodes, settings, { onProgress: setProgress });
+            downloadBlob(bundle, `${settings.title || 'podcast'}.zip`);
+            setPublished(feedUrl(settings.baseUrl));
+        } catch (error) {
+            console.error('Could not build the feed:', error);
+            alert('Error building the feed: ' + error.message);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-2xl p-5 space-y-4 animate-slideDown`}>
+            <div className="flex items-center justify-between">
+                <h3 className={`text-xs font-normal ${textSecondary} uppercase tracking-wider`}>
+                    publish as a podcast feed
+                </h3>
+                <button onClick={onClose} title="close" className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-1.5 rounded-lg transition-all duration-300`}>
+                    <X className="w-3.5 h-3.5" strokeWidth={1.5} />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+                <input value={settings.title} onChange={e => update({ title: e.target.value })} placeholder="show title" className={fieldClass} />
+                <input value={settings.author} onChange={e => update({ author: e.target.value })} placeholder="author" className={fieldClass} />
+            </div>
+            <textarea
+                value={settings.description}
+                onChange={e => update({ description: e.target.value })}
+                rows={2}
+                placeholder="what the show is about"
+                className={`${fieldClass} leading-relaxed resize-y`}
+            />
+            <div>
+                <input
+                    type="url"
+                    value={settings.baseUrl}
+                    onChange={e => update({ baseUrl: e.target.value })}
+                    placeholder="https://example.com/podcast/"
+                    className={fieldClass}
+                />
+                <p className={`text-xs ${urlError ? 'text-rose-400' : textSecondary} font-light mt-2`}>
+                    {urlError || 'where you\'ll upload the files; podcast apps need the full address'}
+                </p>
+            </div>
+
+            {published && (
+                <p className={`${textPrimary} text-xs font-light`}>
+                    upload everything in the zip to that address, then subscribe to <span className="font-mono break-all">{published}</span>
+                </p>
+            )}
+
+            <div className="flex items-center justify-between gap-3">
+                <span className={`${textSecondary} text-xs font-light`}>
+                    {episodes.length} {episodes.length === 1 ? 'episode' : 'episodes'} selected
+                </span>
+                <button
+                    onClick={handlePublish}
+                    disabled={progress !== null || !episodes.length || !!validateBaseUrl(settings.baseUrl) || !settings.title.trim()}
+                    className={`${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} px-4 py-2 rounded-xl text-sm flex items-center gap-2 transition-all disabled:opacity-50`}
+                >
+                    <Package className="w-4 h-4" strokeWidth={1.5} />
+                    {progress !== null ? `bundling ${Math.round(progress * 100)}%` : 'download feed bundle'}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,26 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Countdown shown while a request waits to be retried. `retry` is
+ * `{ attempt, retries, until }` with `until` as a timestamp in ms.
+ */
+export default function RetryNotice({ retry, darkMode }) {
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(timer);
+    }, [retry]);
+
+    const seconds = Math.max(Math.ceil((retry.until - now) / 1000), 0);
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800 text-zinc-300' : 'bg-stone-100 text-stone-700'} rounded-xl px-4 py-3 text-center text-xs font-light space-y-1`}>
+            <p>the server is waking up, this can take up to a minute on the first request</p>
+            <p className="font-mono">
+                {seconds > 0 ? `trying again in ${seconds}s` : 'trying again...'} · attempt {retry.attempt} of {retry.retries}
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,220 @@
+import React, { useRef, useState } from 'react';
+import { ChevronUp, ChevronDown, Plus, Trash2, Undo2, Redo2, GitCompare } from 'lucide-react';
+import useUndoable from '../hooks/useUndoable';
+import { diffScripts } from '../lib/scriptDiff';
+import { JOB_STAGES, stageIndex } from '../lib/jobs';
+
+const DIFF_STYLES = {
+    added: 'border-emerald-500',
+    removed: 'border-rose-500',
+    changed: 'border-amber-500'
+};
+
+/**
+ * Edit mode for the transcript. `lines` is the script behind the current audio and `original`
+ * the script as first generated, which the diff view compares against.
+ * `onSubmit(script)` regenerates the audio; `progress` is non-null while that runs.
+ * `cast` (see castFor) lists who can be given a line.
+ */
+export default function ScriptEditor({ lines, original, cast, progress, onSubmit, onCancel, darkMode }) {
+    const nextIdRef = useRef(lines.length + 1);
+    // Consecutive keystrokes in one line collapse into a single undo step
+    const lastEditRef = useRef(null);
+    const script = useUndoable(lines.map((line, idx) => ({ id: idx + 1, speaker: line.speaker, text: line.text })));
+    const [showDiff, setShowDiff] = useState(false);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-1.5 rounded-lg transition-all duration-300 disabled:opacity-30`;
+
+    const rows = script.value;
+    const busy = progress !== null;
+    // The diff view shows everything changed since generation; the button only needs unsaved edits
+    const changes = diffScripts(original, rows).filter(entry => entry.type !== 'same');
+    const dirty = diffScripts(lines, rows).some(entry => entry.type !== 'same');
+
+    const edit = (fn) => {
+        lastEditRef.current = null;
+        script.set(fn);
+    };
+
+    const updateText = (id, text) => {
+        const update = list => list.map(row => (row.id === id ? { ...row, text } : row));
+        if (lastEditRef.current === id) {
+            script.replace(update);
+        } else {
+            lastEditRef.current = id;
+            script.set(update);
+        }
+    };
+
+    const updateSpeaker = (id, speaker) => edit(list => list.map(row => (row.id === id ? { ...row, speaker } : row)));
+
+    const move = (idx, offset) => edit(list => {
+        const next = [...list];
+        const [row] = next.splice(idx, 1);
+        next.splice(idx + offset, 0, row);
+        return next;
+    });
+
+    // New lines go to whoever is next in turn after the line above
+    const insertAfter = (idx) => edit(list => {
+        const next = [...list];
+        const ids = cast.speakers.map(speaker => speaker.id);
+        const speaker = ids[(ids.indexOf(list[idx]?.speaker) + 1) % ids.length];
+        next.splice(idx + 1, 0, { id: nextIdRef.current++, speaker, text: '' });
+        return next;
+    });
+
+    const remove = (id) => edit(list => list.filter(row => row.id !== id));
+
+    const handleKeyDown = (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            lastEditRef.current = null;
+            script.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            lastEditRef.current = null;
+            script.redo();
+        }
+    };
+
+    const handleSubmit = () => {
+        const cleaned = rows.filter(row => row.text.trim());
+        if (!cleaned.length) {
+            alert('The script needs at least one line');
+            return;
+        }
+        onSubmit(cleaned.map(({ speaker, text }) => ({ speaker, text: text.trim() })));
+    };
+
+    const currentStage = busy ? JOB_STAGES[stageIndex(progress.stage)] : null;
+
+    return (
+        <div onKeyDown={handleKeyDown} className={`${darkMode ? 'bg-zinc-800/50' : 'bg-stone-50'} rounded-2xl p-6 border ${darkMode ? 'border-zinc-800' : 'border-stone-200'} space-y-4`}>
+            <div className="flex items-center justify-between">
+                <h3 className={`text-xs font-normal ${textSecondary} uppercase tracking-wider`}>
+                    edit the script
+                </h3>
+                <div className="flex items-center gap-1">
+                    <button onClick={() => { lastEditRef.current = null; script.undo(); }} disabled={!script.canUndo || busy} className={iconButton} title="undo (ctrl+z)">
+                        <Undo2 className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                    <button onClick={() => { lastEditRef.current = null; script.redo(); }} disabled={!script.canRedo || busy} className={iconButton} title="redo (ctrl+shift+z)">
+                        <Redo2 className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                    <button
+                        onClick={() => setShowDiff(!showDiff)}
+                        className={`${iconButton} flex items-center gap-1 text-xs ${showDiff ? textPrimary : ''}`}
+                        title="compare with the original"
+                    >
+                        <GitCompare className="w-4 h-4" strokeWidth={1.5} />
+                        <span className="font-mono">{changes.length}</span>
+                    </button>
+                </div>
+            </div>
+
+            {showDiff ? (
+                <div className="space-y-2 max-h-96 overflow-y-auto">
+                    {changes.length === 0 && (
+                        <p className={`${textSecondary} text-sm font-light italic`}>no changes from the original yet</p>
+                    )}
+                    {changes.map((entry, idx) => (
+                        <div key={idx} className={`border-l-2 ${DIFF_STYLES[entry.type]} pl-3 text-sm font-light space-y-1`}>
+                            <p className={`text-xs ${textSecondary} uppercase tracking-wider`}>{entry.type}</p>
+                            {entry.before && (
+                                <p className={`${textSecondary} line-through`}>
+                                    {cast.name(entry.before.speaker)}: {entry.before.text}
+                                </p>
+                            )}
+                            {entry.after && (
+                                <p className={textPrimary}>
+                                    {cast.name(entry.after.speaker)}: {entry.after.text}
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <div className="space-y-3 max-h-96 overflow-y-auto pr-1">
+                    {rows.map((row, idx) => (
+                        <div key={row.id} className="flex gap-2 items-start">
+                            <select
+                                value={row.speaker}
+                                onChange={e => updateSpeaker(row.id, e.target.value)}
+                                disabled={busy}
+                                className={`text-xs uppercase tracking-wider rounded-lg px-2 py-2 outline-none ${darkMode ? 'bg-zinc-700' : 'bg-stone-200'}`}
+                                style={{ color: cast.color(row.speaker, darkMode) }}
+                            >
+                                {cast.speakers.map(speaker => (
+                                    <option key={speaker.id} value={speaker.id}>{speaker.name}</option>
+                                ))}
+                            </select>
+                            <textarea
+                                value={row.text}
+                                onChange={e => updateText(row.id, e.target.value)}
+                                disabled={busy}
+                                rows={Math.max(2, Math.ceil(row.text.length / 60))}
+                                className={`flex-1 ${darkMode ? 'bg-zinc-700' : 'bg-stone-200'} ${textPrimary} text-sm font-light leading-relaxed px-3 py-2 rounded-lg outline-none resize-none`}
+                            />
+                            <div className="flex flex-col">
+                                <button onClick={() => move(idx, -1)} disabled={idx === 0 || busy} className={iconButton} title="move up">
+                                    <ChevronUp className="w-4 h-4" strokeWidth={1.5} />
+                                </button>
+                                <button onClick={() => move(idx, 1)} disabled={idx === rows.length - 1 || busy} className={iconButton} title="move down">
+                                    <ChevronDown className="w-4 h-4" strokeWidth={1.5} />
+                                </button>
+                            </div>
+                            <div className="flex flex-col">
+                                <button onClick={() => insertAfter(idx)} disabled={busy} className={iconButton} title="insert a line below">
+                                    <Plus className="w-4 h-4" strokeWidth={1.5} />
+                                </button>
+                                <button onClick={() => remove(row.id)} disabled={busy} className={iconButton} title="delete line">
+                                    <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    {rows.length === 0 && (
+                        <button onClick={() => insertAfter(-1)} className={`${textSecondary} text-sm font-light underline`}>
+                            add a line
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {busy ? (
+                <div className="space-y-2">
+                    <p className={`text-center ${textSecondary} text-sm font-light`}>
+                        {currentStage ? currentStage.label : 'recording voices'}...
+                    </p>
+                    <div className={`w-full ${darkMode ? 'bg-zinc-800' : 'bg-stone-200'} rounded-full h-1 overflow-hidden`}>
+                        <div
+                            className={`${darkMode ? 'bg-zinc-100' : 'bg-stone-900'} h-full transition-all duration-700 ease-out`}
+                            style={{ width: `${Math.round(progress.progress)}%` }}
+                        />
+                    </div>
+                </div>
+            ) : (
+                <div className="flex gap-2">
+                    <button
+                        onClick={onCancel}
+                        className={`flex-1 ${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} py-3 rounded-xl transition-all duration-300 text-sm font-light`}
+                    >
+                        discard edits
+                    </button>
+                    <button
+                        onClick={handleSubmit}
+                        disabled={!dirty}
+                        className={`flex-1 ${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} py-3 rounded-xl transition-all duration-300 text-sm font-normal disabled:opacity-40`}
+                    >
+                        regenerate audio
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,118 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Headphones, Pause, RotateCcw, Sparkles } from 'lucide-react';
+import { speakScript, speechSupported } from '../lib/speech';
+import { castFor } from '../lib/speakers';
+import PreferencesPanel from './PreferencesPanel';
+
+/**
+ * Script-first review step: the drafted dialogue, a browser-voice quick listen,
+ * and the choice to approve, tweak options or draft again.
+ */
+export default function ScriptReview({ lines, preferences, onPreferencesChange, onApprove, onRegenerate, onBack, darkMode }) {
+    const [speakingIndex, setSpeakingIndex] = useState(-1);
+    const [showSettings, setShowSettings] = useState(false);
+    const stopRef = useRef(null);
+    const lineRefs = useRef([]);
+    const cast = useMemo(() => castFor(preferences.speakers, lines), [preferences.speakers, lines]);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const secondaryButton = `${darkMode ? 'bg-zinc-800 hover:bg-zinc-700' : 'bg-stone-100 hover:bg-stone-200'} ${textPrimary} text-sm font-light py-3 rounded-xl transition-all duration-300 flex items-center justify-center gap-2`;
+
+    const stopListening = () => {
+        stopRef.current?.();
+        stopRef.current = null;
+        setSpeakingIndex(-1);
+    };
+
+    useEffect(() => stopListening, []);
+
+    useEffect(() => {
+        lineRefs.current[speakingIndex]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }, [speakingIndex]);
+
+    const quickListen = (fromIndex = 0) => {
+        stopListening();
+        setSpeakingIndex(fromIndex);
+        stopRef.current = speakScript(lines, {
+            fromIndex,
+            onLine: setSpeakingIndex,
+            onEnd: () => setSpeakingIndex(-1)
+        });
+    };
+
+    const leave = (action) => () => {
+        stopListening();
+        action();
+    };
+
+    // Rough pacing check: ~150 spoken words a minute
+    const words = lines.reduce((sum, line) => sum + line.text.split(/\s+/).filter(Boolean).length, 0);
+    const minutes = Math.max(1, Math.round(words / 150));
+
+    return (
+        <div className="space-y-6 animate-fadeIn">
+            <div className="text-center">
+                <p className={`text-lg ${textPrimary} font-light`}>here's the script</p>
+                <p className={`text-sm ${textSecondary} font-light`}>
+                    {lines.length} lines · about {minutes} min · nothing recorded yet
+                </p>
+            </div>
+
+            <div className={`${darkMode ? 'bg-zinc-800/50' : 'bg-stone-50'} rounded-2xl p-6 border ${darkMode ? 'border-zinc-800' : 'border-stone-200'}`}>
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className={`text-xs font-normal ${textSecondary} uppercase tracking-wider`}>draft</h3>
+                    {speechSupported() && (
+                        <button
+                            onClick={() => (speakingIndex >= 0 ? stopListening() : quickListen())}
+                            className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} px-3 py-1.5 rounded-lg flex items-center gap-2 text-xs transition-all duration-300`}
+                        >
+                            {speakingIndex >= 0 ? <Pause className="w-3.5 h-3.5" strokeWidth={1.5} /> : <Headphones className="w-3.5 h-3.5" strokeWidth={1.5} />}
+                            {speakingIndex >= 0 ? 'stop' : 'quick listen'}
+                        </button>
+                    )}
+                </div>
+                <div className="space-y-1 max-h-80 overflow-y-auto">
+                    {lines.map((line, idx) => (
+                        <div
+                            key={idx}
+                            ref={el => { lineRefs.current[idx] = el; }}
+                            onDoubleClick={() => speechSupported() && quickListen(idx)}
+                            className={`flex gap-3 px-3 py-2 rounded-xl transition-colors duration-300 ${idx === speakingIndex ? (darkMode ? 'bg-zinc-700/60' : 'bg-stone-200/70') : ''}`}
+                        >
+                            <span className="font-medium text-xs uppercase tracking-wider flex-shrink-0 pt-0.5" style={{ color: cast.color(line.speaker, darkMode) }}>
+                                {cast.name(line.speaker)}
+                            </span>
+                            <span className={`${idx === speakingIndex ? textPrimary : textSecondary} text-sm font-light leading-relaxed`}>{line.text}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+                <button onClick={() => setShowSettings(!showSettings)} className={secondaryButton}>
+                    <Sparkles className={`w-4 h-4 transition-transform duration-300 ${showSettings ? 'rotate-180' : ''}`} />
+                    <span>{showSettings ? 'hide options' : 'tweak options'}</span>
+                </button>
+                <button onClick={leave(onRegenerate)} className={secondaryButton}>
+                    <RotateCcw className="w-4 h-4" />
+                    <span>draft again</span>
+                </button>
+            </div>
+
+            {showSettings && (
+                <PreferencesPanel preferences={preferences} onChange={onPreferencesChange} darkMode={darkMode} />
+            )}
+
+            <button
+                onClick={leave(() => onApprove(lines))}
+                className={`w-full ${darkMode ? 'bg-zinc-100 text-zinc-900 hover:bg-zinc-200' : 'bg-stone-900 text-stone-50 hover:bg-stone-800'} text-base font-normal py-4 rounded-xl transition-all duration-300 hover:shadow-lg transform hover:scale-[1.02] active:scale-[0.98]`}
+            >
+                looks good, record it
+            </button>
+            <button onClick={leave(onBack)} className={`w-full ${textSecondary} text-sm font-light hover:underline`}>
+                back to options
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,150 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { loadPdf, passageRects, renderPage } from '../lib/pdf';
+
+/**
+ * The source PDF next to the transcript, opened at the page `source` cites for `line`
+ * with the cited passage highlighted. Without a `file` (episodes saved before sources
+ * were kept, or made from something other than a PDF) it shows the excerpt alone.
+ */
+export default function SourceReader({ file, line, source, cast, onClose, darkMode }) {
+    const [pdf, setPdf] = useState(null);
+    const [error, setError] = useState(null);
+    const [page, setPage] = useState(source.page);
+    const [rendering, setRendering] = useState(false);
+    // Highlight boxes as fractions of the page, so they follow the canvas as it scales
+    const [highlights, setHighlights] = useState([]);
+    const canvasRef = useRef(null);
+    const firstHighlightRef = useRef(null);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-1.5 rounded-lg transition-all duration-300 disabled:opacity-30`;
+
+    useEffect(() => setPage(source.page), [source]);
+
+    useEffect(() => {
+        if (!file) return undefined;
+        let loaded = null;
+        let cancelled = false;
+        setPdf(null);
+        setError(null);
+
+        loadPdf(file)
+            .then(doc => {
+                loaded = doc;
+                if (cancelled) return doc.destroy();
+                setPdf(doc);
+            })
+            .catch(err => {
+                console.error('Could not read PDF:', err);
+                if (!cancelled) setError('couldn\'t open the source pdf');
+            });
+
+        return () => {
+            cancelled = true;
+            loaded?.destroy();
+        };
+    }, [file]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!pdf || !canvas || page < 1 || page > pdf.numPages) return undefined;
+        let cancelled = false;
+        setRendering(true);
+        setHighlights([]);
+
+        const width = (canvas.parentElement.clientWidth || 600) * (window.devicePixelRatio || 1);
+        renderPage(pdf, page, canvas, width)
+            .then(viewport => (page === source.page && source.excerpt
+                ? passageRects(pdf, page, viewport, source.excerpt).then(rects => rects.map(rect => ({
+                    left: rect.left / viewport.width,
+                    top: rect.top / viewport.height,
+                    width: rect.width / viewport.width,
+                    height: rect.height / viewport.height
+                })))
+                : []))
+            .then(rects => !cancelled && setHighlights(rects))
+            .catch(err => console.error('Could not render page:', err))
+            .finally(() => !cancelled && setRendering(false));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [pdf, page, source]);
+
+    useEffect(() => {
+        firstHighlightRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }, [highlights]);
+
+    const pageCount = pdf?.numPages || 0;
+
+    return (
+        <aside className={`fixed inset-y-0 right-0 z-40 w-full lg:w-1/2 flex flex-col border-l ${darkMode ? 'bg-zinc-900 border-zinc-800' : 'bg-stone-50 border-stone-200'} shadow-xl animate-fadeIn`}>
+            <div className={`px-6 py-4 border-b ${darkMode ? 'border-zinc-800' : 'border-stone-200'} space-y-3`}>
+                <div className="flex items-center justify-between gap-3">
+                    <h3 className={`text-xs font-normal ${textSecondary} uppercase tracking-wider truncate`}>
+                        {source.matched ? 'closest match in' : 'cited from'} {file ? file.name : 'the source'}
+                    </h3>
+                    <button onClick={onClose} title="close" className={iconButton}>
+                        <X className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                </div>
+                <p className={`${textPrimary} text-sm font-light leading-relaxed`}>
+                    <span className="font-medium text-xs uppercase tracking-wider mr-2" style={{ color: cast.color(line.speaker, darkMode) }}>
+                        {cast.name(line.speaker)}
+                    </span>
+                    {line.text}
+                </p>
+                {source.excerpt && (
+                    <p className={`${textSecondary} text-xs font-light leading-relaxed border-l-2 ${darkMode ? 'border-amber-400/60' : 'border-amber-500/60'} pl-3`}>
+                        {source.excerpt}
+                    </p>
+                )}
+            </div>
+
+            {!file || error ? (
+                <p className={`${textSecondary} text-sm font-light text-center p-6`}>
+                    {error || `page ${source.page} · the original pdf wasn't saved with this episode`}
+                </p>
+            ) : (
+                <>
+                    <div className={`flex items-center justify-center gap-3 py-2 text-xs ${textSecondary} font-mono`}>
+                        <button onClick={() => setPage(page - 1)} disabled={!pdf || page <= 1} title="previous page" className={iconButton}>
+                            <ChevronLeft className="w-4 h-4" strokeWidth={1.5} />
+                        </button>
+                        <span className={rendering ? 'animate-pulse' : ''}>
+                            {pdf ? `page ${page} of ${pageCount}` : 'opening...'}
+                        </span>
+                        <button onClick={() => setPage(page + 1)} disabled={!pdf || page >= pageCount} title="next page" className={iconButton}>
+                            <ChevronRight className="w-4 h-4" strokeWidth={1.5} />
+                        </button>
+                        {page !== source.page && (
+                            <button onClick={() => setPage(source.page)} className={`${textSecondary} hover:underline font-sans font-light`}>
+                                back to page {source.page}
+                            </button>
+                        )}
+                    </div>
+                    <div className="flex-1 overflow-y-auto px-6 pb-6">
+                        <div className="relative">
+                            <canvas ref={canvasRef} className="w-full bg-white rounded-lg shadow-sm" />
+                            {highlights.map((rect, idx) => (
+                                <div
+                                    key={idx}
+                                    ref={idx === 0 ? firstHighlightRef : null}
+                                    className="absolute bg-amber-300/40 mix-blend-multiply rounded-sm pointer-events-none"
+                                    style={{
+                                        left: `${rect.left * 100}%`,
+                                        top: `${rect.top * 100}%`,
+                                        width: `${rect.width * 100}%`,
+                                        height: `${rect.height * 100}%`
+                                    }}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                </>
+            )}
+        </aside>
+    );
+}
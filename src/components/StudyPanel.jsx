@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { Check, GraduationCap, RotateCcw, X } from 'lucide-react';
+import { formatTime } from '../lib/format';
+import { downloadBlob, updateEpisode } from '../lib/library';
+import { makeStudyGuide } from '../lib/study';
+import { GRADES, dueCards, forgetProgress, loadProgress, nextDue, nextReviewLabel, review, saveProgress, tagFor, toAnki, toCsv } from '../lib/flashcards';
+
+const TABS = [
+    { key: 'takeaways', label: 'takeaways' },
+    { key: 'quiz', label: 'quiz' },
+    { key: 'cards', label: 'flashcards' }
+];
+
+// "in 3 hours", "in 2 days"
+const fromNow = (time) => {
+    const minutes = Math.max(Math.round((time - Date.now()) / 60000), 1);
+    if (minutes < 60) return `in ${minutes} min`;
+    if (minutes < 60 * 24) return `in ${Math.round(minutes / 60)} h`;
+    return `in ${Math.round(minutes / (60 * 24))} days`;
+};
+
+/**
+ * Study mode for a saved `episode`: key takeaways, a quiz and spaced-repetition flashcards,
+ * made on request and kept on the episode (`episode.study`, see makeStudyGuide). Everything
+ * links back to its moment in the audio through `lines` (timed) and `onSeek`.
+ */
+export default function StudyPanel({ episode, lines, sourceFile, onSeek, onEpisodeChange, darkMode }) {
+    const [tab, setTab] = useState('takeaways');
+    const [making, setMaking] = useState(false);
+    // Chosen choice per quiz question
+    const [answers, setAnswers] = useState({});
+    const [progress, setProgress] = useState(() => loadProgress(episode.id));
+    const [revealed, setRevealed] = useState(false);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const chipClass = `${darkMode ? 'bg-zinc-700 hover:bg-zinc-600' : 'bg-stone-200 hover:bg-stone-300'} ${textPrimary} text-xs font-light px-3 py-1.5 rounded-lg transition-all duration-200`;
+    const itemClass = `${darkMode ? 'bg-zinc-800' : 'bg-stone-100'} rounded-xl p-4 space-y-3`;
+
+    const guide = episode.study;
+
+    const seekButton = (line) => (line !== null && lines[line] ? (
+        <button onClick={() => onSeek(lines[line].start)} className={`${textSecondary} text-xs font-mono hover:underline`}>
+            hear it at {formatTime(lines[line].start)}
+        </button>
+    ) : null);
+
+    const handleMake = async () => {
+        if (guide && Object.keys(progress).length && !confirm('Make a new study guide? Your flashcard progress for this episode starts over.')) return;
+        setMaking(true);
+        try {
+            let sourceText = '';
+            if (sourceFile) {
+                const { readPageTexts } = await import('../lib/pdf');
+                sourceText = (await readPageTexts(sourceFile).catch(() => [])).map(page => page.text).join('\n\n');
+            }
+            const study = await makeStudyGuide(lines, { sourceText, preferences: episode.preferences });
+            const updated = await updateEpisode(episode.id, { study });
+            forgetProgress(episode.id);
+            setProgress({});
+            setAnswers({});
+            setRevealed(false);
+            onEpisodeChange(updated || { ...episode, study });
+        } catch (error) {
+            console.error('Could not make study guide:', error);
+            alert('Error making the study guide: ' + error.message);
+        } finally {
+            setMaking(false);
+        }
+    };
+
+    if (!guide) {
+        return (
+            <div className={`${darkMode ? 'bg-zinc-800/50' : 'bg-stone-50'} rounded-2xl p-6 border ${darkMode ? 'border-zinc-800' : 'border-stone-200'} flex items-center justify-between gap-4`}>
+                <p className={`${textSecondary} text-sm font-light`}>
+                    turn this episode into takeaways, a quiz and flashcards
+                </p>
+                <button onClick={handleMake} disabled={making || !lines.length} className={`${chipClass} flex items-center gap-2 flex-shrink-0 disabled:opacity-50`}>
+                    <GraduationCap className="w-4 h-4" strokeWidth={1.5} />
+                    <span className={making ? 'animate-pulse' : ''}>{making ? 'making...' : 'study'}</span>
+                </button>
+            </div>
+        );
+    }
+
+    const cards = guide.flashcards;
+    const due = dueCards(cards, progress);
+    const current = due[0];
+    const learned = Object.values(progress).filter(state => state.reps > 0).length;
+    const answered = Object.keys(answers).length;
+    const correct = guide.quiz.filter((question, idx) => answers[idx] === question.answer).length;
+    const tags = ['notecast', tagFor(episode.title)];
+
+    const grade = (key) => {
+        const next = { ...progress, [current]: review(progress[current], key) };
+        setProgress(next);
+        saveProgress(episode.id, next);
+        setRevealed(false);
+    };
+
+    const exportCards = (render, extension) => {
+        downloadBlob(new Blob([render(cards, { tags })], { type: 'text/plain;charset=utf-8' }), `${episode.title} flashcards.${extension}`);
+    };
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800/50' : 'bg-stone-50'} rounded-2xl p-6 border ${darkMode ? 'border-zinc-800' : 'border-stone-200'} space-y-4`}>
+            <div className="flex items-center justify-between gap-3">
+                <div className="flex gap-1">
+                    {TABS.map(item => (
+                        <button
+                            key={item.key}
+                            onClick={() => setTab(item.key)}
+                            className={`text-xs uppercase tracking-wider px-3 py-1.5 rounded-lg transition-all duration-200 ${
+                                tab === item.key
+                                    ? darkMode ? 'bg-zinc-700 text-zinc-100' : 'bg-stone-200 text-stone-900'
+                                    : `${textSecondary} ${darkMode ? 'hover:bg-zinc-800' : 'hover:bg-stone-100'}`
+                            }`}
+                        >
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+                <button
+                    onClick={handleMake}
+                    disabled={making}
+                    title="make a new study guide"
+                    className={`${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-1.5 rounded-lg transition-all duration-300 disabled:opacity-40`}
+                >
+                    <RotateCcw className={`w-3.5 h-3.5 ${making ? 'animate-spin' : ''}`} strokeWidth={1.5} />
+                </button>
+            </div>
+
+            {guide.local && (
+                <p className={`${textSecondary} text-xs font-light`}>
+                    a quick guide made on this device · make a new one when the server is reachable for a fuller one
+                </p>
+            )}
+
+            {tab === 'takeaways' && (
+                guide.takeaways.length ? (
+                    <ol className="space-y-2">
+                        {guide.takeaways.map((takeaway, idx) => (
+                            <li key={idx} className={`${itemClass} flex items-start gap-3`}>
+                                <span className={`${textSecondary} text-xs font-mono pt-0.5`}>{idx + 1}</span>
+                                <div className="flex-1 space-y-1">
+                                    <p className={`${textPrimary} text-sm font-light leading-relaxed`}>{takeaway.text}</p>
+                                    {seekButton(takeaway.line)}
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                ) : <p className={`${textSecondary} text-sm font-light`}>no takeaways this time</p>
+            )}
+
+            {tab === 'quiz' && (
+                guide.quiz.length ? (
+                    <div className="space-y-3">
+                        {guide.quiz.map((question, idx) => {
+                            const chosen = answers[idx];
+                            return (
+                                <div key={idx} className={itemClass}>
+                                    <p className={`${textPrimary} text-sm font-normal leading-relaxed`}>{idx + 1}. {question.question}</p>
+                                    <div className="space-y-1.5">
+                                        {question.choices.map((choice, choiceIdx) => {
+                                            const isAnswer = choiceIdx === question.answer;
+                                            const state = chosen === undefined ? 'open'
+                                                : isAnswer ? 'right'
+                                                : choiceIdx === chosen ? 'wrong' : 'other';
+                                            return (
+                                                <button
+                                                    key={choiceIdx}
+                                                    onClick={() => setAnswers({ ...answers, [idx]: choiceIdx })}
+                                                    disabled={chosen !== undefined}
+                                                    className={`w-full text-left text-sm font-light px-3 py-2 rounded-lg flex items-center gap-2 transition-all duration-200 ${
+                                                        state === 'right' ? 'bg-emerald-500/15 text-emerald-500'
+                                                            : state === 'wrong' ? 'bg-rose-500/15 text-rose-400'
+                                                            : state === 'other' ? `${textSecondary} opacity-60`
+                                                            : `${textPrimary} ${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'}`
+                                                    }`}
+                                                >
+                                                    {state === 'right' && <Check className="w-4 h-4 flex-shrink-0" strokeWidth={1.5} />}
+                                                    {state === 'wrong' && <X className="w-4 h-4 flex-shrink-0" strokeWidth={1.5} />}
+                                                    <span>{choice}</span>
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                    {chosen !== undefined && (
+                                        <div className="space-y-1">
+                                            {question.explanation && (
+                                                <p className={`${textSecondary} text-xs font-light leading-relaxed`}>{question.explanation}</p>
+                                            )}
+                                            {seekButton(question.line)}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                        <div className={`flex items-center justify-between text-xs ${textSecondary} font-light`}>
+                            <span className="font-mono">{correct} of {answered} right{answered < guide.quiz.length ? ` · ${guide.quiz.length - answered} to go` : ''}</span>
+                            {answered > 0 && (
+                                <button onClick={() => setAnswers({})} className="hover:underline">try again</button>
+                            )}
+                        </div>
+                    </div>
+                ) : <p className={`${textSecondary} text-sm font-light`}>no quiz questions this time</p>
+            )}
+
+            {tab === 'cards' && (
+                <div className="space-y-3">
+                    <div className={`flex items-center justify-between text-xs ${textSecondary} font-light`}>
+                        <span className="font-mono">{due.length} due · {learned} of {cards.length} learned</span>
+                        {cards.length > 0 && (
+                            <div className="flex gap-3">
+                                <button onClick={() => exportCards(toCsv, 'csv')} className="hover:underline">csv</button>
+                                <button onClick={() => exportCards(toAnki, 'txt')} title="import into Anki as text" className="hover:underline">anki</button>
+                            </div>
+                        )}
+                    </div>
+
+                    {current !== undefined ? (
+                        <div className={`${itemClass} text-center`}>
+                            <p className={`${textPrimary} text-sm font-light leading-relaxed`}>{cards[current].front}</p>
+                            {revealed ? (
+                                <>
+                                    <p className={`${textPrimary} text-base font-normal`}>{cards[current].back}</p>
+                                    {seekButton(cards[current].line)}
+                                    <div className="grid grid-cols-4 gap-2 pt-1">
+                                        {GRADES.map(item => (
+                                            <button key={item.key} onClick={() => grade(item.key)} className={`${chipClass} flex flex-col items-center`}>
+                                                <span>{item.label}</span>
+                                                <span className={`${textSecondary} text-[10px] font-mono`}>{nextReviewLabel(progress[current], item.key)}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                </>
+                            ) : (
+                                <button onClick={() => setRevealed(true)} className={chipClass}>show answer</button>
+                            )}
+                        </div>
+                    ) : (
+                        <p className={`${textSecondary} text-sm font-light text-center`}>
+                            {cards.length
+                                ? `all caught up${nextDue(progress) ? ` · next card ${fromNow(nextDue(progress))}` : ''}`
+                                : 'no flashcards this time'}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
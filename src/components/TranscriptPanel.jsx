@@ -0,0 +1,172 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ChevronDown, ChevronUp, Maximize2, Minimize2, Pencil, Search, X } from 'lucide-react';
+import { formatTime } from '../lib/format';
+import { highlightRanges } from '../lib/search';
+import Highlighted from './Highlighted';
+
+/**
+ * The transcript, following playback. Lines that cite their source get page links, which
+ * call `onCite(index, source)`; `citedIndex` marks the line whose source is open.
+ * `query` (owned by the parent through `onQueryChange`) highlights matches to step through.
+ */
+export default function TranscriptPanel({ lines, cast, activeIndex, onSeek, onEdit, onCite, citedIndex = -1, query = '', onQueryChange, darkMode }) {
+    const containerRef = useRef(null);
+    const lineRefs = useRef([]);
+    const searchRef = useRef(null);
+    const [searching, setSearching] = useState(!!query);
+    // Index into `matches` of the one stepped to
+    const [current, setCurrent] = useState(0);
+    const [expanded, setExpanded] = useState(false);
+
+    // Every match in reading order, with its ranges grouped per line for rendering
+    const { matches, rangesByLine } = useMemo(() => {
+        const byLine = lines.map(line => (query.trim() ? highlightRanges(line.text || '', query) : []));
+        return {
+            rangesByLine: byLine,
+            matches: byLine.flatMap((ranges, line) => ranges.map((_, range) => ({ line, range })))
+        };
+    }, [lines, query]);
+
+    const textPrimary = darkMode ? 'text-zinc-100' : 'text-stone-900';
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-1.5 rounded-lg transition-all duration-300 disabled:opacity-30`;
+
+    // Keep a line in view without scrolling the whole page
+    const revealLine = (idx) => {
+        const container = containerRef.current;
+        const line = lineRefs.current[idx];
+        if (!container || !line) return;
+        // The container is `relative`, so offsetTop is measured from its top edge
+        const top = line.offsetTop;
+        if (top < container.scrollTop || top + line.offsetHeight > container.scrollTop + container.clientHeight) {
+            container.scrollTo({ top: top - container.clientHeight / 3, behavior: 'smooth' });
+        }
+    };
+
+    useEffect(() => revealLine(activeIndex), [activeIndex]);
+
+    useEffect(() => {
+        if (query) setSearching(true);
+        setCurrent(0);
+    }, [query]);
+
+    useEffect(() => {
+        if (matches[current]) revealLine(matches[current].line);
+    }, [matches, current]);
+
+    const step = (delta) => matches.length && setCurrent((current + delta + matches.length) % matches.length);
+
+    const closeSearch = () => {
+        setSearching(false);
+        onQueryChange?.('');
+    };
+
+    const openSearch = () => {
+        setSearching(true);
+        setTimeout(() => searchRef.current?.focus());
+    };
+
+    return (
+        <div className={`${darkMode ? 'bg-zinc-800/50' : 'bg-stone-50'} rounded-2xl p-6 border ${darkMode ? 'border-zinc-800' : 'border-stone-200'}`}>
+            <div className="flex items-center justify-between gap-3 mb-4">
+                <h3 className={`text-xs font-normal ${textSecondary} uppercase tracking-wider flex-shrink-0`}>
+                    what they said
+                </h3>
+                <div className="flex items-center gap-1 min-w-0">
+                    {searching ? (
+                        <>
+                            <input
+                                ref={searchRef}
+                                value={query}
+                                onChange={e => onQueryChange(e.target.value)}
+                                onKeyDown={e => {
+                                    if (e.key === 'Enter') step(e.shiftKey ? -1 : 1);
+                                    if (e.key === 'Escape') closeSearch();
+                                }}
+                                placeholder="find in transcript"
+                                className={`w-40 min-w-0 ${darkMode ? 'bg-zinc-700 placeholder-zinc-500' : 'bg-stone-200 placeholder-stone-500'} ${textPrimary} text-xs font-light px-3 py-1.5 rounded-lg outline-none`}
+                            />
+                            <span className={`${textSecondary} text-xs font-mono w-12 text-center flex-shrink-0`}>
+                                {query.trim() ? `${matches.length ? current + 1 : 0}/${matches.length}` : ''}
+                            </span>
+                            <button onClick={() => step(-1)} disabled={!matches.length} title="previous match" className={iconButton}>
+                                <ChevronUp className="w-3.5 h-3.5" strokeWidth={1.5} />
+                            </button>
+                            <button onClick={() => step(1)} disabled={!matches.length} title="next match" className={iconButton}>
+                                <ChevronDown className="w-3.5 h-3.5" strokeWidth={1.5} />
+                            </button>
+                            <button onClick={closeSearch} title="stop searching" className={iconButton}>
+                                <X className="w-3.5 h-3.5" strokeWidth={1.5} />
+                            </button>
+                        </>
+                    ) : lines.length > 0 && onQueryChange && (
+                        <button onClick={openSearch} title="find in transcript" className={iconButton}>
+                            <Search className="w-3.5 h-3.5" strokeWidth={1.5} />
+                        </button>
+                    )}
+                    <button onClick={() => setExpanded(!expanded)} title={expanded ? 'show less' : 'show more'} className={iconButton}>
+                        {expanded
+                            ? <Minimize2 className="w-3.5 h-3.5" strokeWidth={1.5} />
+                            : <Maximize2 className="w-3.5 h-3.5" strokeWidth={1.5} />}
+                    </button>
+                    {onEdit && (
+                        <button onClick={onEdit} title="edit the script" className={iconButton}>
+                            <Pencil className="w-3.5 h-3.5" strokeWidth={1.5} />
+                        </button>
+                    )}
+                </div>
+            </div>
+            <div ref={containerRef} className={`relative space-y-1 ${expanded ? 'max-h-[70vh]' : 'max-h-64'} overflow-y-auto`}>
+                {lines.length > 0 ? lines.map((line, idx) => (
+                    <div
+                        key={idx}
+                        ref={el => { lineRefs.current[idx] = el; }}
+                        className={`flex items-start gap-1 rounded-xl animate-fadeIn transition-colors duration-300 ${
+                            idx === activeIndex
+                                ? darkMode ? 'bg-zinc-700/60' : 'bg-stone-200/70'
+                                : darkMode ? 'hover:bg-zinc-800' : 'hover:bg-stone-100'
+                        } ${idx === citedIndex ? `ring-1 ${darkMode ? 'ring-amber-400/60' : 'ring-amber-500/60'}` : ''}`}
+                        style={{ animationDelay: `${idx * 100}ms` }}
+                    >
+                        <button
+                            onClick={() => onSeek(line.start)}
+                            title={`jump to ${formatTime(line.start)}`}
+                            className="flex-1 min-w-0 text-left flex gap-3 px-3 py-2"
+                        >
+                            <span className={`${textSecondary} text-xs font-mono pt-0.5 w-12 flex-shrink-0`}>
+                                {line.estimated ? '~' : ''}{formatTime(line.start)}
+                            </span>
+                            <span className="font-medium text-xs uppercase tracking-wider flex-shrink-0 pt-0.5" style={{ color: cast.color(line.speaker, darkMode) }}>
+                                {cast.name(line.speaker)}
+                            </span>
+                            <span className={`${idx === activeIndex ? textPrimary : textSecondary} text-sm font-light leading-relaxed`}>
+                                <Highlighted
+                                    text={line.text}
+                                    ranges={rangesByLine[idx]}
+                                    active={matches[current]?.line === idx ? matches[current].range : -1}
+                                    darkMode={darkMode}
+                                />
+                            </span>
+                        </button>
+                        {onCite && line.sources?.length > 0 && (
+                            <div className="flex flex-col items-end gap-1 py-2 pr-2 flex-shrink-0">
+                                {line.sources.map((source, sourceIdx) => (
+                                    <button
+                                        key={sourceIdx}
+                                        onClick={() => onCite(idx, source)}
+                                        title={source.matched ? `closest match: page ${source.page}` : `from page ${source.page}`}
+                                        className={`${darkMode ? 'bg-zinc-700 hover:bg-zinc-600' : 'bg-stone-200 hover:bg-stone-300'} ${textSecondary} text-[10px] font-mono px-1.5 py-0.5 rounded transition-all duration-200`}
+                                    >
+                                        {source.matched ? '~' : ''}p.{source.page}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )) : (
+                    <p className={`${textSecondary} text-sm font-light italic`}>transcript loading...</p>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,231 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ZoomIn, ZoomOut } from 'lucide-react';
+import { formatTime } from '../lib/format';
+import { activeLineIndex } from '../lib/transcript';
+import { peakBetween } from '../lib/waveform';
+
+const HEIGHT = 72;
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+const ZOOM_LEVELS = [1, 2, 4, 8];
+// Past this much of the window the view scrolls to keep up with the playhead
+const FOLLOW_MARGIN = 0.9;
+const PREVIEW_CHARS = 90;
+// A press that moves further than this selects a region instead of seeking
+const DRAG_THRESHOLD_PX = 4;
+
+const excerpt = (text = '') => (text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS).trimEnd()}…` : text);
+
+/**
+ * The decoded episode drawn as bars colored by who is speaking, with long silences
+ * shaded. Click to seek, hover for a preview of what's said there, zoom to inspect.
+ * With `onSelect`, dragging picks a region (`{ start, end }`), shown as `selection`.
+ */
+export default function Waveform({ waveform, silences, loading, lines, cast, currentTime, onSeek, selection = null, onSelect, darkMode }) {
+    const [width, setWidth] = useState(0);
+    const [zoom, setZoom] = useState(1);
+    // First second shown while zoomed in
+    const [viewStart, setViewStart] = useState(0);
+    // Off while the listener is panning around by hand
+    const [follow, setFollow] = useState(true);
+    const [hover, setHover] = useState(null);
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    // The press in progress: where it started and whether it has turned into a drag
+    const pressRef = useRef(null);
+
+    const textSecondary = darkMode ? 'text-zinc-400' : 'text-stone-600';
+    const iconButton = `${darkMode ? 'hover:bg-zinc-700' : 'hover:bg-stone-200'} ${textSecondary} p-1.5 rounded-lg transition-all duration-300 disabled:opacity-30`;
+
+    const duration = waveform?.duration || 0;
+    const visible = duration / zoom;
+    const clampStart = (start) => Math.min(Math.max(start, 0), Math.max(duration - visible, 0));
+    // Quiet recordings still fill the height
+    const loudest = useMemo(() => (waveform ? Math.max(peakBetween(waveform, 0, duration), 0.01) : 1), [waveform, duration]);
+    const speakers = useMemo(() => cast.speakers.filter(speaker => lines.some(line => line.speaker === speaker.id)), [cast, lines]);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+        const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)));
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, [waveform]);
+
+    // A new recording starts zoomed out
+    useEffect(() => {
+        setZoom(1);
+        setViewStart(0);
+        setFollow(true);
+    }, [waveform]);
+
+    useEffect(() => {
+        if (zoom === 1 || !follow) return;
+        if (currentTime < viewStart || currentTime > viewStart + visible * FOLLOW_MARGIN) {
+            setViewStart(clampStart(currentTime - visible * (1 - FOLLOW_MARGIN)));
+        }
+    }, [currentTime, zoom, follow]);
+
+    // Horizontal scrolling pans while zoomed; wheel listeners must be non-passive to keep the page still
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || zoom === 1) return;
+        const pan = (e) => {
+            const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+            if (!delta) return;
+            e.preventDefault();
+            setFollow(false);
+            setViewStart(start => clampStart(start + delta / width * visible));
+        };
+        canvas.addEventListener('wheel', pan, { passive: false });
+        return () => canvas.removeEventListener('wheel', pan);
+    }, [zoom, width, visible, duration]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !waveform || !width) return;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = width * ratio;
+        canvas.height = HEIGHT * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.clearRect(0, 0, width, HEIGHT);
+
+        const secondsPerPixel = visible / width;
+        const toX = (time) => (time - viewStart) / secondsPerPixel;
+
+        ctx.fillStyle = darkMode ? 'rgba(251, 191, 36, 0.15)' : 'rgba(245, 158, 11, 0.18)';
+        silences.forEach(silence => {
+            const from = toX(silence.start);
+            const to = toX(silence.end);
+            if (to > 0 && from < width) ctx.fillRect(from, 0, to - from, HEIGHT);
+        });
+
+        const middle = HEIGHT / 2;
+        for (let x = 0; x < width; x += BAR_WIDTH + BAR_GAP) {
+            const from = viewStart + x * secondsPerPixel;
+            const to = from + (BAR_WIDTH + BAR_GAP) * secondsPerPixel;
+            const level = Math.min(peakBetween(waveform, from, to) / loudest, 1);
+            const height = Math.max(level * (HEIGHT - 4), 1);
+            const line = lines[activeLineIndex(lines, from)];
+            ctx.globalAlpha = from < currentTime ? 1 : 0.35;
+            ctx.fillStyle = line ? cast.color(line.speaker, darkMode) : (darkMode ? '#71717a' : '#a8a29e');
+            ctx.fillRect(x, middle - height / 2, BAR_WIDTH, height);
+        }
+
+        ctx.globalAlpha = 1;
+        if (selection) {
+            const from = toX(selection.start);
+            const to = toX(selection.end);
+            ctx.fillStyle = darkMode ? 'rgba(244, 244, 245, 0.12)' : 'rgba(28, 25, 23, 0.08)';
+            ctx.fillRect(from, 0, to - from, HEIGHT);
+            ctx.fillStyle = darkMode ? '#f4f4f5' : '#1c1917';
+            ctx.fillRect(Math.round(from), 0, 2, HEIGHT);
+            ctx.fillRect(Math.round(to) - 2, 0, 2, HEIGHT);
+        }
+
+        const playhead = toX(currentTime);
+        if (playhead >= 0 && playhead <= width) {
+            ctx.fillStyle = darkMode ? '#f4f4f5' : '#1c1917';
+            ctx.fillRect(Math.round(playhead), 0, 1, HEIGHT);
+        }
+    }, [waveform, silences, lines, cast, width, visible, viewStart, currentTime, loudest, selection, darkMode]);
+
+    const timeAt = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return viewStart + Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1) * visible;
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        pressRef.current = { time: timeAt(e), x: e.clientX, dragging: false };
+    };
+
+    const handlePointerMove = (e) => {
+        const time = timeAt(e);
+        setHover({ time, x: e.nativeEvent.offsetX });
+        const press = pressRef.current;
+        if (!press || !onSelect) return;
+        if (!press.dragging && Math.abs(e.clientX - press.x) < DRAG_THRESHOLD_PX) return;
+        press.dragging = true;
+        onSelect({ start: Math.min(press.time, time), end: Math.max(press.time, time) });
+    };
+
+    const handlePointerUp = (e) => {
+        const press = pressRef.current;
+        pressRef.current = null;
+        if (!press || press.dragging) return;
+        setFollow(true);
+        onSeek(timeAt(e));
+    };
+
+    const changeZoom = (next) => {
+        const nextVisible = duration / next;
+        setZoom(next);
+        setFollow(true);
+        setViewStart(Math.min(Math.max(currentTime - nextVisible / 2, 0), Math.max(duration - nextVisible, 0)));
+    };
+
+    if (loading) {
+        return <p className={`${textSecondary} text-xs font-light text-center py-6`}>drawing the waveform...</p>;
+    }
+    if (!waveform) return null;
+
+    const zoomIndex = ZOOM_LEVELS.indexOf(zoom);
+    const hoverLine = hover ? lines[activeLineIndex(lines, hover.time)] : null;
+
+    return (
+        <div className="space-y-2">
+            <div ref={containerRef} className="relative">
+                <canvas
+                    ref={canvasRef}
+                    style={{ width: '100%', height: HEIGHT }}
+                    className={`block ${onSelect ? 'cursor-crosshair touch-none' : 'cursor-pointer'}`}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={() => { pressRef.current = null; }}
+                    onPointerLeave={() => setHover(null)}
+                />
+                {hover && (
+                    <div
+                        className={`absolute bottom-full mb-2 w-64 -translate-x-1/2 px-3 py-2 rounded-lg text-xs shadow-lg pointer-events-none z-10 ${darkMode ? 'bg-zinc-100 text-zinc-900' : 'bg-stone-900 text-stone-50'}`}
+                        style={{ left: Math.min(Math.max(hover.x, 128), Math.max(width - 128, 128)) }}
+                    >
+                        <p className="font-mono">
+                            {formatTime(hover.time)}
+                            {hoverLine && <span className="font-sans uppercase tracking-wider opacity-70"> · {cast.name(hoverLine.speaker)}</span>}
+                        </p>
+                        {hoverLine && <p className="font-light mt-0.5">{excerpt(hoverLine.text)}</p>}
+                    </div>
+                )}
+            </div>
+
+            <div className={`flex items-center justify-between text-xs font-light ${textSecondary}`}>
+                <div className="flex items-center gap-3">
+                    {speakers.map(speaker => (
+                        <span key={speaker.id} className="flex items-center gap-1.5">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: cast.color(speaker.id, darkMode) }} />
+                            {speaker.name.toLowerCase()}
+                        </span>
+                    ))}
+                    {silences.length > 0 && (
+                        <span className="flex items-center gap-1.5" title="stretches of near silence longer than two seconds">
+                            <span className="w-2 h-2 rounded-sm bg-amber-400/40" />
+                            {silences.length} long {silences.length === 1 ? 'silence' : 'silences'}
+                        </span>
+                    )}
+                </div>
+                <div className="flex items-center gap-1">
+                    <button onClick={() => changeZoom(ZOOM_LEVELS[zoomIndex - 1])} disabled={zoomIndex === 0} title="zoom out" className={iconButton}>
+                        <ZoomOut className="w-3.5 h-3.5" strokeWidth={1.5} />
+                    </button>
+                    <span className="font-mono w-6 text-center">{zoom}x</span>
+                    <button onClick={() => changeZoom(ZOOM_LEVELS[zoomIndex + 1])} disabled={zoomIndex === ZOOM_LEVELS.length - 1} title="zoom in" className={iconButton}>
+                        <ZoomIn className="w-3.5 h-3.5" strokeWidth={1.5} />
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
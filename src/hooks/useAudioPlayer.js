@@ -0,0 +1,154 @@
+import { useEffect, useRef, useState } from 'react';
+import { bindMediaSession, coverArtUrl, setMediaMetadata, updatePositionState } from '../lib/mediaSession';
+
+export const MIN_SPEED = 0.5;
+export const MAX_SPEED = 3;
+export const SPEED_STEP = 0.05;
+// The volume a listener picked is kept across episodes and visits
+const VOLUME_KEY = 'notecast:volume';
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const loadVolume = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(VOLUME_KEY));
+        return saved ? { volume: clamp(Number(saved.volume) || 0, 0, 1), muted: !!saved.muted } : { volume: 1, muted: false };
+    } catch {
+        return { volume: 1, muted: false };
+    }
+};
+
+/**
+ * Owns the `Audio` element for `src` and exposes its state plus the controls the
+ * player, keyboard shortcuts and Media Session share. `title` labels the episode in
+ * the OS media controls.
+ */
+export default function useAudioPlayer(src, { title } = {}) {
+    const [audio, setAudio] = useState(null);
+    const [playing, setPlaying] = useState(false);
+    const [currentTime, setCurrentTime] = useState(0);
+    const [duration, setDuration] = useState(0);
+    const [speed, setSpeedState] = useState(1);
+    const [{ volume, muted }, setVolumeState] = useState(loadVolume);
+    // Controls called from long-lived handlers (Media Session, keys) always see the live element
+    const audioRef = useRef(null);
+
+    useEffect(() => {
+        setPlaying(false);
+        setCurrentTime(0);
+        setDuration(0);
+        if (!src) {
+            setAudio(null);
+            audioRef.current = null;
+            return;
+        }
+
+        const element = new Audio(src);
+        element.playbackRate = speed;
+        element.volume = volume;
+        element.muted = muted;
+
+        const updateTime = () => {
+            setCurrentTime(element.currentTime);
+            updatePositionState(element);
+        };
+        const updateDuration = () => {
+            if (isFinite(element.duration)) setDuration(element.duration);
+            updatePositionState(element);
+        };
+        const handlePlay = () => setPlaying(true);
+        const handlePause = () => {
+            setPlaying(false);
+            updatePositionState(element);
+        };
+
+        element.addEventListener('timeupdate', updateTime);
+        element.addEventListener('loadedmetadata', updateDuration);
+        element.addEventListener('durationchange', updateDuration);
+        element.addEventListener('play', handlePlay);
+        element.addEventListener('pause', handlePause);
+        element.addEventListener('ended', handlePause);
+        audioRef.current = element;
+        setAudio(element);
+
+        return () => {
+            element.pause();
+            element.removeEventListener('timeupdate', updateTime);
+            element.removeEventListener('loadedmetadata', updateDuration);
+            element.removeEventListener('durationchange', updateDuration);
+            element.removeEventListener('play', handlePlay);
+            element.removeEventListener('pause', handlePause);
+            element.removeEventListener('ended', handlePause);
+            if (audioRef.current === element) audioRef.current = null;
+        };
+    }, [src]);
+
+    useEffect(() => {
+        if (audio) audio.playbackRate = speed;
+    }, [audio, speed]);
+
+    useEffect(() => {
+        if (audio) {
+            audio.volume = volume;
+            audio.muted = muted;
+        }
+        localStorage.setItem(VOLUME_KEY, JSON.stringify({ volume, muted }));
+    }, [audio, volume, muted]);
+
+    const play = () => audioRef.current?.play().catch(error => console.error('Playback failed:', error));
+    const pause = () => audioRef.current?.pause();
+    const toggle = () => (audioRef.current?.paused ? play() : pause());
+
+    const seek = (time) => {
+        const element = audioRef.current;
+        if (!element) return;
+        const end = isFinite(element.duration) ? element.duration : time;
+        element.currentTime = clamp(time, 0, end);
+        setCurrentTime(element.currentTime);
+        updatePositionState(element);
+    };
+
+    const skip = (seconds) => {
+        if (audioRef.current) seek(audioRef.current.currentTime + seconds);
+    };
+
+    // Rounded so repeated steps don't drift into 1.2500000001x
+    const setSpeed = (value) => setSpeedState(clamp(Math.round(value * 100) / 100, MIN_SPEED, MAX_SPEED));
+    const changeSpeed = (delta) => setSpeedState(current => clamp(Math.round((current + delta) * 100) / 100, MIN_SPEED, MAX_SPEED));
+
+    // Dragging the slider up from zero also unmutes
+    const setVolume = (value) => setVolumeState({ volume: clamp(value, 0, 1), muted: value <= 0 });
+    const changeVolume = (delta) => setVolumeState(current => {
+        const next = clamp(Math.round((current.volume + delta) * 100) / 100, 0, 1);
+        return { volume: next, muted: next <= 0 };
+    });
+    const toggleMute = () => setVolumeState(current => (current.muted || current.volume <= 0
+        ? { volume: current.volume > 0 ? current.volume : 1, muted: false }
+        : { ...current, muted: true }));
+
+    useEffect(() => {
+        if (!audio) return;
+        setMediaMetadata({ title, artwork: coverArtUrl(title) });
+        return bindMediaSession({ play, pause, skip, seek });
+    }, [audio, title]);
+
+    return {
+        audio,
+        playing,
+        currentTime,
+        duration,
+        speed,
+        volume,
+        muted,
+        play,
+        pause,
+        toggle,
+        seek,
+        skip,
+        setSpeed,
+        changeSpeed,
+        setVolume,
+        changeVolume,
+        toggleMute
+    };
+}
@@ -0,0 +1,147 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_BASE_URL } from '../lib/api';
+import { convert } from '../lib/jobs';
+import { fetchAndSaveEpisode, titleFromFileName } from '../lib/library';
+import { buildSourceForm, readSourceSections, sourcePdf } from '../lib/sources';
+
+// Parallel conversions per batch; the backend is a single small instance
+const MAX_CONCURRENT = 2;
+
+const ACTIVE = ['uploading', 'processing'];
+
+let nextItemId = 1;
+
+/**
+ * Queue of files converted a few at a time. Each item inherits `defaultPreferences`
+ * unless it has its own; finished items are saved straight into the library.
+ */
+export default function useBatchQueue({ defaultPreferences, onComplete }) {
+    const [items, setItems] = useState([]);
+    const [running, setRunning] = useState(false);
+    const controllersRef = useRef(new Map());
+    const defaultsRef = useRef(defaultPreferences);
+    const onCompleteRef = useRef(onComplete);
+    defaultsRef.current = defaultPreferences;
+    onCompleteRef.current = onComplete;
+
+    const update = (id, changes) => {
+        setItems(list => list.map(item => (item.id === id ? { ...item, ...changes } : item)));
+    };
+
+    const runItem = async (item) => {
+        const controller = new AbortController();
+        controllersRef.current.set(item.id, controller);
+        const preferences = item.preferences || defaultsRef.current;
+        update(item.id, { status: 'uploading', stage: 'uploading', progress: 0, error: null });
+
+        try {
+            const source = { kind: 'file', file: item.file };
+            const formData = await buildSourceForm(source, { preferences });
+            const data = await convert(formData, {
+                signal: controller.signal,
+                onProgress: ({ stage, progress }) => update(item.id, {
+                    status: stage && stage !== 'uploading' ? 'processing' : 'uploading',
+                    stage,
+                    progress
+                })
+            });
+            // Batch files are converted whole, so chapters can follow the whole outline
+            const sections = await readSourceSections(source).catch(() => []);
+            const episode = await fetchAndSaveEpisode(`${API_BASE_URL}/download/${data.filename}`, {
+                filename: data.filename,
+                title: titleFromFileName(item.file.name),
+                sourceName: item.file.name,
+                preferences,
+                pages: null,
+                sections,
+                sourceFile: sourcePdf(source),
+                transcript: data.transcript || []
+            });
+            update(item.id, { status: 'complete', progress: 100, episode });
+            onCompleteRef.current?.(episode);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                update(item.id, { status: 'cancelled' });
+                return;
+            }
+            console.error('Error:', error);
+            update(item.id, { status: 'error', error: error.message });
+        } finally {
+            controllersRef.current.delete(item.id);
+        }
+    };
+
+    // Start queued items whenever a slot frees up
+    useEffect(() => {
+        if (!running) return;
+        const active = items.filter(item => ACTIVE.includes(item.status)).length;
+        const waiting = items.filter(item => item.status === 'queued' && !controllersRef.current.has(item.id));
+        if (active === 0 && waiting.length === 0) {
+            setRunning(false);
+            return;
+        }
+        waiting.slice(0, Math.max(MAX_CONCURRENT - active, 0)).forEach(runItem);
+    }, [items, running]);
+
+    useEffect(() => {
+        const controllers = controllersRef.current;
+        return () => controllers.forEach(controller => controller.abort());
+    }, []);
+
+    const addFiles = (files) => {
+        const added = files.map(file => ({
+            id: nextItemId++,
+            file,
+            preferences: null,
+            status: 'queued',
+            stage: null,
+            progress: 0,
+            error: null,
+            episode: null
+        }));
+        setItems(list => [...list, ...added]);
+    };
+
+    const cancel = (id) => {
+        const controller = controllersRef.current.get(id);
+        if (controller) {
+            controller.abort();
+        } else {
+            update(id, { status: 'cancelled' });
+        }
+    };
+
+    const retry = (id) => {
+        update(id, { status: 'queued', progress: 0, error: null });
+        setRunning(true);
+    };
+
+    const remove = (id) => {
+        controllersRef.current.get(id)?.abort();
+        setItems(list => list.filter(item => item.id !== id));
+    };
+
+    // null means "use the batch default"
+    const setItemPreferences = (id, preferences) => update(id, { preferences });
+
+    const clearFinished = () => setItems(list => list.filter(item => item.status !== 'complete'));
+
+    const cancelAll = () => {
+        setRunning(false);
+        items.filter(item => item.status === 'queued').forEach(item => update(item.id, { status: 'cancelled' }));
+        controllersRef.current.forEach(controller => controller.abort());
+    };
+
+    return {
+        items,
+        running,
+        start: () => setRunning(true),
+        cancelAll,
+        addFiles,
+        cancel,
+        retry,
+        remove,
+        setItemPreferences,
+        clearFinished
+    };
+}
@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+import { citeLines } from '../lib/citations';
+
+/**
+ * `lines` with `sources` on each, matched against `file` (the source PDF) for any line the
+ * backend didn't cite. The page text is read once per file and page selection; until it
+ * is, or without a file, `lines` come back as they are.
+ */
+export default function useCitations(lines, file, pages = null) {
+    const [cited, setCited] = useState({ lines: null, result: null });
+    // Page text for the last file read: { file, key, texts }
+    const textsRef = useRef(null);
+    const pagesKey = pages ? pages.join(',') : '';
+
+    useEffect(() => {
+        if (!file || !lines.length || lines.every(line => Array.isArray(line.sources))) return;
+        let cancelled = false;
+
+        const cached = textsRef.current;
+        const texts = cached?.file === file && cached.key === pagesKey
+            ? Promise.resolve(cached.texts)
+            : import('../lib/pdf').then(({ readPageTexts }) => readPageTexts(file, pages)).then(result => {
+                textsRef.current = { file, key: pagesKey, texts: result };
+                return result;
+            });
+
+        texts
+            .then(result => !cancelled && setCited({ lines, result: citeLines(lines, result) }))
+            .catch(error => console.error('Could not match the transcript to the source:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [lines, file, pagesKey]);
+
+    return cited.lines === lines ? cited.result : lines;
+}
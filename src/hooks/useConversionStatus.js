@@ -0,0 +1,36 @@
+import { useCallback, useState } from 'react';
+
+/**
+ * Lifecycle of the converter card. `idle` and `cancelled` both sit on the customize step,
+ * `queued` covers the wait for a sleeping backend, and `review` is the script-first pause
+ * between drafting and recording. Opening a library episode jumps straight to `complete`.
+ */
+const TRANSITIONS = {
+    idle: ['queued', 'processing', 'complete'],
+    queued: ['uploading', 'processing', 'review', 'complete', 'error', 'cancelled'],
+    uploading: ['processing', 'review', 'complete', 'error', 'cancelled'],
+    processing: ['uploading', 'review', 'complete', 'error', 'cancelled'],
+    review: ['queued', 'idle', 'complete'],
+    complete: ['idle', 'processing'],
+    error: ['idle', 'queued', 'complete'],
+    cancelled: ['idle', 'queued', 'complete']
+};
+
+export const isRunning = (status) => status === 'queued' || status === 'uploading' || status === 'processing';
+
+// Statuses where the source and options can still be changed
+export const isEditable = (status) => status === 'idle' || status === 'cancelled';
+
+/** useState for the conversion status that, in development, asserts the lifecycle allows each change. */
+export default function useConversionStatus(initial = 'idle') {
+    const [status, setStatus] = useState(initial);
+
+    const transition = useCallback((next) => setStatus(current => {
+        if (import.meta.env.DEV) {
+            console.assert(current === next || TRANSITIONS[current]?.includes(next), `Unexpected conversion status change: ${current} -> ${next}`);
+        }
+        return next;
+    }), []);
+
+    return [status, transition];
+}
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+
+/** Whether the browser thinks it has a connection, updated as that changes. */
+export default function useOnlineStatus() {
+    const [online, setOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const update = () => setOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return online;
+}
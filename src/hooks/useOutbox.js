@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_BASE_URL } from '../lib/api';
+import { waitForBackend } from '../lib/health';
+import { convert } from '../lib/jobs';
+import { addToOutbox, fetchAndSaveEpisode, listOutbox, removeFromOutbox } from '../lib/library';
+import { buildSourceForm, readSourceSections, sourcePdf } from '../lib/sources';
+
+/**
+ * Conversions asked for while offline. They wait in IndexedDB, so they survive the
+ * page closing, and are sent one at a time whenever `online` is true. Each finished
+ * episode goes into the library and is passed to `onSent(episode, entry)`.
+ */
+export default function useOutbox({ online, onSent }) {
+    const [entries, setEntries] = useState([]);
+    // Id of the entry being sent
+    const [sending, setSending] = useState(null);
+    // Entries the server turned down, by id; they wait for a retry instead of looping
+    const [failed, setFailed] = useState({});
+    const controllerRef = useRef(null);
+    const onSentRef = useRef(onSent);
+    onSentRef.current = onSent;
+
+    useEffect(() => {
+        listOutbox()
+            .then(setEntries)
+            .catch(error => console.error('Could not load queued conversions:', error));
+        return () => controllerRef.current?.abort();
+    }, []);
+
+    const send = async (entry) => {
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setSending(entry.id);
+        try {
+            const formData = await buildSourceForm(entry.source, { preferences: entry.preferences, pages: entry.pages });
+            // The backend is usually asleep by the time the connection comes back
+            await waitForBackend({ signal: controller.signal });
+            const data = await convert(formData, { signal: controller.signal });
+            const sections = await readSourceSections(entry.source, { pages: entry.selectedPages }).catch(() => []);
+            const episode = await fetchAndSaveEpisode(`${API_BASE_URL}/download/${data.filename}`, {
+                filename: data.filename,
+                title: entry.title,
+                sourceName: entry.sourceName,
+                preferences: entry.preferences,
+                pages: entry.pages,
+                sections,
+                sourceFile: sourcePdf(entry.source),
+                transcript: data.transcript || []
+            });
+            await removeFromOutbox(entry.id);
+            setEntries(list => list.filter(item => item.id !== entry.id));
+            onSentRef.current?.(episode, entry);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Could not send queued conversion:', error);
+            // Losing the connection again isn't the entry's fault; it goes out next time
+            if (navigator.onLine) setFailed(current => ({ ...current, [entry.id]: error.message }));
+        } finally {
+            controllerRef.current = null;
+            setSending(null);
+        }
+    };
+
+    useEffect(() => {
+        if (!online || sending) return;
+        const next = entries.find(entry => !failed[entry.id]);
+        if (next) send(next);
+    }, [online, sending, entries, failed]);
+
+    const add = async (conversion) => {
+        const entry = await addToOutbox(conversion);
+        setEntries(list => [...list, entry]);
+        return entry;
+    };
+
+    const remove = async (id) => {
+        if (sending === id) controllerRef.current?.abort();
+        await removeFromOutbox(id);
+        setEntries(list => list.filter(entry => entry.id !== id));
+    };
+
+    const retry = (id) => setFailed(({ [id]: _, ...rest }) => rest);
+
+    return { entries, sending, failed, add, remove, retry };
+}
@@ -0,0 +1,113 @@
+import { useEffect, useRef, useState } from 'react';
+import { getPlayback, savePlayback } from '../lib/library';
+
+// How often the position is written while playing
+const SAVE_INTERVAL_MS = 5000;
+// Stopping in the first few seconds isn't worth offering to resume
+const MIN_RESUME_SECONDS = 10;
+// Outros are often skipped; this close to the end counts as listened
+const FINISH_MARGIN_SECONDS = 15;
+
+export const hasFinished = (position, duration) => duration > 0
+    && position >= duration - Math.min(FINISH_MARGIN_SECONDS, duration * 0.05);
+
+/**
+ * Remembers where the listener is in `episodeId`, at what speed and whether they
+ * finished it, driving the `useAudioPlayer` instance `player`. `resumeAt` is the
+ * saved position to offer when the episode is reopened, or null.
+ */
+export default function usePlaybackProgress(episodeId, player) {
+    const [resumeAt, setResumeAt] = useState(null);
+    // Last record written for the current episode, null until it has loaded
+    const recordRef = useRef(null);
+    // The audio element the record was loaded for. Opening another episode swaps the episode
+    // a render before the element, and the old element's time must not land on the new episode.
+    const loadedRef = useRef(null);
+    // Nothing is saved until this load has actually been listened to
+    const listenedRef = useRef(false);
+    const wasPlayingRef = useRef(false);
+    const lastWriteRef = useRef(0);
+
+    const write = (id, changes) => {
+        recordRef.current = { ...recordRef.current, ...changes };
+        lastWriteRef.current = Date.now();
+        savePlayback(id, recordRef.current)
+            .catch(error => console.error('Could not save playback position:', error));
+    };
+
+    const currentStatus = (position, duration) => (hasFinished(position, duration) || recordRef.current?.status === 'finished'
+        ? 'finished'
+        : 'started');
+
+    useEffect(() => {
+        recordRef.current = null;
+        loadedRef.current = null;
+        listenedRef.current = false;
+        wasPlayingRef.current = false;
+        setResumeAt(null);
+        if (!episodeId || !player.audio) return;
+
+        const audio = player.audio;
+        let cancelled = false;
+        getPlayback(episodeId)
+            .then(record => {
+                if (cancelled) return;
+                recordRef.current = record || null;
+                loadedRef.current = audio;
+                // Listening already started before the record arrived; what's playing now wins
+                if (!record || !audio.paused) return;
+                if (record.speed) player.setSpeed(record.speed);
+                if (record.position >= MIN_RESUME_SECONDS && !hasFinished(record.position, audio.duration || Infinity)) {
+                    setResumeAt(record.position);
+                }
+            })
+            .catch(error => console.error('Could not load playback position:', error));
+
+        // Closing the tab or locking the phone mid-episode shouldn't lose the spot
+        const flush = () => {
+            if (listenedRef.current) write(episodeId, { position: audio.currentTime, status: currentStatus(audio.currentTime, audio.duration) });
+        };
+        const flushWhenHidden = () => document.visibilityState === 'hidden' && flush();
+        window.addEventListener('pagehide', flush);
+        document.addEventListener('visibilitychange', flushWhenHidden);
+
+        return () => {
+            cancelled = true;
+            flush();
+            window.removeEventListener('pagehide', flush);
+            document.removeEventListener('visibilitychange', flushWhenHidden);
+        };
+    }, [episodeId, player.audio]);
+
+    useEffect(() => {
+        if (!episodeId || !player.audio || loadedRef.current !== player.audio) return;
+        const { playing, currentTime } = player;
+        if (playing) {
+            listenedRef.current = true;
+            setResumeAt(null);
+        }
+        const justPaused = wasPlayingRef.current && !playing;
+        wasPlayingRef.current = playing;
+        if (!listenedRef.current) return;
+
+        const status = currentStatus(currentTime, player.duration);
+        // While paused the time only moves on seeks, so those are always kept
+        if (!playing || justPaused || status !== recordRef.current?.status || Date.now() - lastWriteRef.current > SAVE_INTERVAL_MS) {
+            write(episodeId, { position: currentTime, speed: player.speed, status });
+        }
+    }, [episodeId, player.audio, player.playing, player.currentTime]);
+
+    useEffect(() => {
+        if (!episodeId || !loadedRef.current || loadedRef.current !== player.audio || player.speed === (recordRef.current?.speed ?? 1)) return;
+        write(episodeId, { speed: player.speed });
+    }, [episodeId, player.speed]);
+
+    const resume = () => {
+        if (resumeAt === null) return;
+        player.seek(resumeAt);
+        player.play();
+        setResumeAt(null);
+    };
+
+    return { resumeAt, resume, dismiss: () => setResumeAt(null) };
+}
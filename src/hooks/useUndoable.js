@@ -0,0 +1,49 @@
+import { useState } from 'react';
+
+// Most edits a user can step back through
+const HISTORY_LIMIT = 100;
+
+/**
+ * useState with undo/redo. `set` records a history step, `replace` amends the current one
+ * (e.g. while typing), and `reset` starts a fresh history.
+ */
+export default function useUndoable(initial) {
+    const [history, setHistory] = useState({ past: [], present: initial, future: [] });
+
+    const set = (next) => setHistory(({ past, present }) => ({
+        past: [...past, present].slice(-HISTORY_LIMIT),
+        present: typeof next === 'function' ? next(present) : next,
+        future: []
+    }));
+
+    const replace = (next) => setHistory(({ past, present, future }) => ({
+        past,
+        present: typeof next === 'function' ? next(present) : next,
+        future
+    }));
+
+    const undo = () => setHistory(({ past, present, future }) => (past.length ? {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future]
+    } : { past, present, future }));
+
+    const redo = () => setHistory(({ past, present, future }) => (future.length ? {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1)
+    } : { past, present, future }));
+
+    const reset = (value) => setHistory({ past: [], present: value, future: [] });
+
+    return {
+        value: history.present,
+        set,
+        replace,
+        undo,
+        redo,
+        reset,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    };
+}
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { decodePeaks, findSilences } from '../lib/waveform';
+
+/**
+ * Decodes the audio at `url` for drawing. Returns `{ waveform, silences, loading, error }`,
+ * with `waveform` as from decodePeaks once ready.
+ */
+export default function useWaveform(url) {
+    const [state, setState] = useState({ waveform: null, silences: [], loading: false, error: null });
+
+    useEffect(() => {
+        if (!url || typeof OfflineAudioContext === 'undefined') {
+            setState({ waveform: null, silences: [], loading: false, error: null });
+            return;
+        }
+        const controller = new AbortController();
+        setState({ waveform: null, silences: [], loading: true, error: null });
+        decodePeaks(url, controller.signal)
+            .then(waveform => !controller.signal.aborted && setState({ waveform, silences: findSilences(waveform), loading: false, error: null }))
+            .catch(error => {
+                if (error.name === 'AbortError') return;
+                console.error('Could not decode audio for the waveform:', error);
+                setState({ waveform: null, silences: [], loading: false, error });
+            });
+        return () => controller.abort();
+    }, [url]);
+
+    return state;
+}
@@ -0,0 +1,29 @@
+// The conversion in flight, so a reload can pick it up where the backend is still working on it
+const ACTIVE_JOB_KEY = 'notecast:activeJob';
+// Past this the backend has long since dropped the job
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Remembers the running job: `{ jobId, kind ('convert' | 'draft' | 'synthesize'), title,
+ * sourceName, preferences, pages, startedAt }`.
+ */
+export const saveActiveJob = (job) => {
+    try {
+        localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(job));
+    } catch (error) {
+        console.error('Could not remember the active job:', error);
+    }
+};
+
+export const loadActiveJob = () => {
+    try {
+        const job = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+        if (job?.jobId && Date.now() - job.startedAt < MAX_AGE_MS) return job;
+    } catch {
+        // Unreadable entries are dropped below
+    }
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+    return null;
+};
+
+export const clearActiveJob = () => localStorage.removeItem(ACTIVE_JOB_KEY);
@@ -0,0 +1,24 @@
+// Relative path: Vercel rewrites /api/* to the Railway backend (see vercel.json)
+export const API_BASE_URL = '/api';
+
+// Error carrying the HTTP status so callers can tell "endpoint missing" from "backend broke"
+export class ApiError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
+
+export const readJson = async (response) => {
+    if (!response.ok) {
+        throw new ApiError(`Request failed with status: ${response.status}`, response.status);
+    }
+    try {
+        return await response.json();
+    } catch {
+        throw new ApiError('Backend returned malformed JSON', response.status);
+    }
+};
@@ -0,0 +1,148 @@
+import { contentWords, stem, wordsOf } from './words';
+
+// Chapters are stored as `{ title, lineIndex }` so they survive the audio duration
+// changing; withChapterTimes turns them into `{ title, lineIndex, start, end }`.
+
+// Transcripts shorter than this are one topic
+const MIN_LINES_FOR_CHAPTERS = 12;
+// No chapter is shorter than this many lines
+const MIN_CHAPTER_LINES = 6;
+// Lines compared on each side of a candidate boundary
+const WINDOW_LINES = 4;
+const TITLE_WORDS = 3;
+// Share of a section title's words a line needs before it counts as the start of that section
+const TITLE_MATCH_RATIO = 0.5;
+
+const countWords = (lines) => {
+    const counts = new Map();
+    lines.forEach(line => contentWords(line.text).forEach(word => counts.set(word, (counts.get(word) || 0) + 1)));
+    return counts;
+};
+
+const cosine = (a, b) => {
+    let dot = 0;
+    a.forEach((count, word) => { dot += count * (b.get(word) || 0); });
+    const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator ? dot / denominator : 0;
+};
+
+// The words that set each segment apart from the others, as a short title
+const keywordTitles = (segments) => {
+    const counts = segments.map(countWords);
+    // Titles show words as they were said, not their stems
+    const spoken = new Map();
+    segments.flat().forEach(line => wordsOf(line.text).forEach(word => !spoken.has(stem(word)) && spoken.set(stem(word), word)));
+
+    const spread = new Map();
+    counts.forEach(segment => segment.forEach((_, word) => spread.set(word, (spread.get(word) || 0) + 1)));
+
+    return counts.map((segment, idx) => {
+        const words = [...segment.entries()]
+            .map(([word, count]) => [word, count * Math.log(1 + segments.length / spread.get(word))])
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, TITLE_WORDS)
+            .map(([word]) => spoken.get(word) || word);
+        if (!words.length) return `part ${idx + 1}`;
+        return words.length > 1 ? `${words.slice(0, -1).join(', ')} & ${words[words.length - 1]}` : words[0];
+    });
+};
+
+/**
+ * Guesses chapter starts from topic shifts: a boundary goes where the vocabulary on
+ * either side of it overlaps least (TextTiling, roughly). Titles are the segment's
+ * most distinctive words.
+ */
+export const inferChapters = (transcript) => {
+    if (transcript.length < MIN_LINES_FOR_CHAPTERS) return [];
+
+    const gaps = [];
+    for (let idx = MIN_CHAPTER_LINES; idx <= transcript.length - MIN_CHAPTER_LINES; idx++) {
+        const before = countWords(transcript.slice(Math.max(idx - WINDOW_LINES, 0), idx));
+        const after = countWords(transcript.slice(idx, idx + WINDOW_LINES));
+        gaps.push({ lineIndex: idx, similarity: cosine(before, after) });
+    }
+    if (!gaps.length) return [];
+
+    // How far each gap dips below the peaks around it
+    const depths = gaps.map((gap, idx) => {
+        const peak = (from, step) => {
+            let highest = gap.similarity;
+            for (let i = from; i >= 0 && i < gaps.length && gaps[i].similarity >= highest; i += step) highest = gaps[i].similarity;
+            return highest;
+        };
+        return { ...gap, depth: (peak(idx - 1, -1) - gap.similarity) + (peak(idx + 1, 1) - gap.similarity) };
+    });
+    const mean = depths.reduce((sum, gap) => sum + gap.depth, 0) / depths.length;
+    const spread = Math.sqrt(depths.reduce((sum, gap) => sum + (gap.depth - mean) ** 2, 0) / depths.length);
+    const cutoff = Math.max(mean - spread / 2, Number.EPSILON);
+
+    const starts = [0];
+    depths
+        .filter(gap => gap.depth >= cutoff)
+        .sort((a, b) => b.depth - a.depth)
+        .forEach(gap => {
+            if (starts.every(start => Math.abs(start - gap.lineIndex) >= MIN_CHAPTER_LINES)) starts.push(gap.lineIndex);
+        });
+    if (starts.length < 2) return [];
+    starts.sort((a, b) => a - b);
+
+    const segments = starts.map((start, idx) => transcript.slice(start, starts[idx + 1] ?? transcript.length));
+    return keywordTitles(segments).map((title, idx) => ({ title, lineIndex: starts[idx] }));
+};
+
+/**
+ * Places document sections (`[{ title }]`, in reading order) on the transcript: each
+ * starts at the first line after the previous one that mentions enough of its title.
+ * Sections the conversation never gets to are left out.
+ */
+export const chaptersFromSections = (sections, transcript) => {
+    const chapters = [];
+    let from = 0;
+    sections.forEach(section => {
+        const words = [...new Set(contentWords(section.title))];
+        if (!words.length) return;
+        for (let idx = from; idx < transcript.length; idx++) {
+            // Titles are often spread over a question and its answer
+            const nearby = new Set(contentWords(`${transcript[idx].text} ${transcript[idx + 1]?.text || ''}`));
+            const matched = words.filter(word => nearby.has(word)).length;
+            if (matched / words.length >= TITLE_MATCH_RATIO) {
+                chapters.push({ title: section.title, lineIndex: idx });
+                from = idx + 2;
+                break;
+            }
+        }
+    });
+    if (chapters.length && chapters[0].lineIndex > 0) chapters.unshift({ title: 'intro', lineIndex: 0 });
+    return chapters;
+};
+
+/** Chapters from the source's sections when they line up with the conversation, otherwise inferred. */
+export const buildChapters = (transcript, sections = []) => {
+    if (!transcript.length) return [];
+    const fromSections = sections?.length ? chaptersFromSections(sections, transcript) : [];
+    return fromSections.length >= 2 ? fromSections : inferChapters(transcript);
+};
+
+/** Adds `start`/`end` in seconds from the timed transcript (see withTimings). */
+export const withChapterTimes = (chapters, lines) => chapters
+    .filter(chapter => lines[chapter.lineIndex])
+    .map((chapter, idx, all) => ({
+        ...chapter,
+        start: lines[chapter.lineIndex].start,
+        end: all[idx + 1] ? lines[all[idx + 1].lineIndex].start : lines[lines.length - 1].end
+    }));
+
+export const chapterIndexAt = (chapters, time) => {
+    for (let idx = chapters.length - 1; idx >= 0; idx--) {
+        if (time >= chapters[idx].start) return idx;
+    }
+    return -1;
+};
+
+/** Podcasting 2.0 JSON chapters (https://github.com/Podcastindex-org/podcast-namespace/blob/main/chapters/jsonChapters.md). */
+export const toChaptersJson = (chapters, { title } = {}) => JSON.stringify({
+    version: '1.2.0',
+    ...(title ? { title } : {}),
+    chapters: chapters.map(chapter => ({ startTime: Math.round(chapter.start * 100) / 100, title: chapter.title }))
+}, null, 2) + '\n';
@@ -0,0 +1,117 @@
+import { contentWords } from './words';
+
+// Source citations: transcript lines carry `sources: [{ page, excerpt }]` pointing back at the
+// PDF pages they came from. The backend sends them when it can; otherwise each line is matched
+// here against the PDF's own text, and those guesses are marked `matched: true`.
+
+// Content words a line and a passage must share before the passage counts as its source
+const MIN_SHARED_WORDS = 3;
+// Share of the line's (weighted) words the passage has to cover
+const MIN_COVERAGE = 0.3;
+// A second page is cited too when its passage scores nearly as well as the best one
+const RUNNER_UP_RATIO = 0.85;
+const MAX_SOURCES = 2;
+// Sentences shorter than this are merged with the next one, so passages carry enough words
+const MIN_PASSAGE_CHARS = 80;
+const EXCERPT_CHARS = 300;
+// Characters compared when a whole excerpt can't be found on the page
+const PROBE_CHARS = 60;
+
+// Letters and digits only: what survives PDF line breaks, hyphenation and odd spacing
+const compact = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+const trimExcerpt = (text) => {
+    if (text.length <= EXCERPT_CHARS) return text;
+    return `${text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '')}…`;
+};
+
+// Sentence-sized passages of each page, with the page they're on
+const splitPassages = (pageTexts) => pageTexts.flatMap(({ page, text }) => {
+    const sentences = text.replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+(?=["“(]?[\p{Lu}\p{N}])/u);
+    const passages = [];
+    let current = '';
+    sentences.forEach(sentence => {
+        current = current ? `${current} ${sentence}` : sentence;
+        if (current.length >= MIN_PASSAGE_CHARS) {
+            passages.push(current);
+            current = '';
+        }
+    });
+    if (current) passages.push(current);
+    return passages.map(passage => ({ page, text: passage, words: new Set(contentWords(passage)) }));
+});
+
+/** Whether any line of `lines` points back at the source. */
+export const hasCitations = (lines) => lines.some(line => line.sources?.length > 0);
+
+/**
+ * Fills in `sources` for the lines that came without any, by finding the passage of
+ * `pageTexts` (`[{ page, text }]`, from readPageTexts) that shares the most distinctive words
+ * with each line. Lines the backend already cited, even with an empty list, are left alone.
+ */
+export const citeLines = (lines, pageTexts) => {
+    const passages = splitPassages(pageTexts);
+    if (!passages.length) return lines;
+
+    // Words found everywhere say little about where a line came from
+    const index = new Map();
+    passages.forEach((passage, idx) => passage.words.forEach(word => {
+        if (!index.has(word)) index.set(word, []);
+        index.get(word).push(idx);
+    }));
+    const weight = (word) => Math.log(1 + passages.length / index.get(word).length);
+
+    return lines.map(line => {
+        if (Array.isArray(line.sources)) return line;
+        const words = [...new Set(contentWords(line.text || ''))].filter(word => index.has(word));
+        if (words.length < MIN_SHARED_WORDS) return { ...line, sources: [] };
+
+        const total = words.reduce((sum, word) => sum + weight(word), 0);
+        const scores = new Map();
+        words.forEach(word => index.get(word).forEach(idx => {
+            const score = scores.get(idx) || { shared: 0, weight: 0 };
+            scores.set(idx, { shared: score.shared + 1, weight: score.weight + weight(word) });
+        }));
+
+        const ranked = [...scores.entries()]
+            .filter(([, score]) => score.shared >= MIN_SHARED_WORDS && score.weight / total >= MIN_COVERAGE)
+            .sort((a, b) => b[1].weight - a[1].weight);
+        const best = ranked[0]?.[1].weight;
+        const sources = [];
+        ranked.forEach(([idx, score]) => {
+            const passage = passages[idx];
+            if (sources.length === MAX_SOURCES || score.weight < best * RUNNER_UP_RATIO) return;
+            if (sources.some(source => source.page === passage.page)) return;
+            sources.push({ page: passage.page, excerpt: trimExcerpt(passage.text), matched: true });
+        });
+        return { ...line, sources };
+    });
+};
+
+/**
+ * Which of a page's text items (`texts`, in reading order) hold `excerpt`, as item indices.
+ * Comparison ignores case, spacing and punctuation; when the whole excerpt isn't there
+ * (it was trimmed, or spans pages), its opening or closing words are looked for instead.
+ */
+export const findPassageItems = (texts, excerpt) => {
+    const target = compact(excerpt || '');
+    if (!target) return [];
+
+    let joined = '';
+    const owners = [];
+    texts.forEach((text, idx) => {
+        const part = compact(text);
+        joined += part;
+        for (let i = 0; i < part.length; i++) owners.push(idx);
+    });
+
+    let at = joined.indexOf(target);
+    if (at < 0) at = joined.indexOf(target.slice(0, PROBE_CHARS));
+    if (at < 0) {
+        const tail = target.slice(-PROBE_CHARS);
+        const found = joined.indexOf(tail);
+        if (found >= 0) at = Math.max(0, found + tail.length - target.length);
+    }
+    if (at < 0) return [];
+    return [...new Set(owners.slice(at, at + target.length))];
+};
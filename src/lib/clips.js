@@ -0,0 +1,121 @@
+import { toPlainText } from './exporters';
+import { formatTime } from './format';
+
+// Plenty for speech and a rate MP3 supports. The whole episode is decoded at this rate while
+// cutting, so staying below the usual 44.1/48 kHz roughly halves what that holds in memory.
+const CLIP_SAMPLE_RATE = 24000;
+const MP3_KBPS = 128;
+// lamejs wants whole MPEG frames
+const MP3_FRAME = 1152;
+// Frames encoded between yields so the page stays responsive
+const MP3_FRAMES_PER_YIELD = 200;
+export const FADE_SECONDS = 1;
+
+export const CLIP_FORMATS = [
+    { key: 'mp3', label: 'mp3' },
+    { key: 'wav', label: 'wav' }
+];
+
+/** Decodes the whole episode at `url` into an AudioBuffer for renderClip to cut from. */
+export const decodeAudio = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Download failed with status: ${response.status}`);
+    const context = new OfflineAudioContext(1, 1, CLIP_SAMPLE_RATE);
+    return context.decodeAudioData(await response.arrayBuffer());
+};
+
+/**
+ * Cuts `start`–`end` seconds out of `source` (from decodeAudio), with optional fades at
+ * either end, and resolves with the rendered AudioBuffer.
+ */
+export const renderClip = async (source, { start, end, fadeIn = false, fadeOut = false }) => {
+    const from = Math.max(start, 0);
+    const length = Math.min(end, source.duration) - from;
+    if (!(length > 0)) throw new Error('The clip is empty');
+
+    const context = new OfflineAudioContext(source.numberOfChannels, Math.ceil(length * CLIP_SAMPLE_RATE), CLIP_SAMPLE_RATE);
+    const player = context.createBufferSource();
+    player.buffer = source;
+    const gain = context.createGain();
+    // Fades never take more than half the clip each
+    const fade = Math.min(FADE_SECONDS, length / 2);
+    gain.gain.setValueAtTime(fadeIn ? 0 : 1, 0);
+    if (fadeIn) gain.gain.linearRampToValueAtTime(1, fade);
+    if (fadeOut) {
+        gain.gain.setValueAtTime(1, length - fade);
+        gain.gain.linearRampToValueAtTime(0, length);
+    }
+    player.connect(gain).connect(context.destination);
+    player.start(0, from, length);
+    return context.startRendering();
+};
+
+const toInt16 = (samples) => {
+    const pcm = new Int16Array(samples.length);
+    for (let idx = 0; idx < samples.length; idx++) {
+        const sample = Math.max(-1, Math.min(1, samples[idx]));
+        pcm[idx] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    }
+    return pcm;
+};
+
+/** 16-bit PCM WAV. */
+export const encodeWav = (buffer) => {
+    const channels = Math.min(buffer.numberOfChannels, 2);
+    const data = Array.from({ length: channels }, (_, channel) => toInt16(buffer.getChannelData(channel)));
+    const bytes = buffer.length * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + bytes));
+    const writeText = (offset, text) => [...text].forEach((char, idx) => view.setUint8(offset + idx, char.charCodeAt(0)));
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + bytes, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    writeText(36, 'data');
+    view.setUint32(40, bytes, true);
+
+    let offset = 44;
+    for (let idx = 0; idx < buffer.length; idx++) {
+        for (let channel = 0; channel < channels; channel++) {
+            view.setInt16(offset, data[channel][idx], true);
+            offset += 2;
+        }
+    }
+    return new Blob([view], { type: 'audio/wav' });
+};
+
+/** MP3 via lamejs, loaded on first use. */
+export const encodeMp3 = async (buffer) => {
+    const { Mp3Encoder } = await import('@breezystack/lamejs');
+    const channels = Math.min(buffer.numberOfChannels, 2);
+    const data = Array.from({ length: channels }, (_, channel) => toInt16(buffer.getChannelData(channel)));
+    const encoder = new Mp3Encoder(channels, buffer.sampleRate, MP3_KBPS);
+    const chunks = [];
+
+    for (let offset = 0, frames = 0; offset < buffer.length; offset += MP3_FRAME, frames++) {
+        const block = data.map(channel => channel.subarray(offset, offset + MP3_FRAME));
+        const encoded = encoder.encodeBuffer(...block);
+        if (encoded.length) chunks.push(new Uint8Array(encoded));
+        if (frames % MP3_FRAMES_PER_YIELD === MP3_FRAMES_PER_YIELD - 1) await new Promise(resolve => setTimeout(resolve));
+    }
+    const rest = encoder.flush();
+    if (rest.length) chunks.push(new Uint8Array(rest));
+    return new Blob(chunks, { type: 'audio/mpeg' });
+};
+
+/** Lines spoken at least partly between `start` and `end`, from a timed transcript. */
+export const linesBetween = (lines, start, end) => lines.filter(line => line.end > start && line.start < end);
+
+// What goes alongside the audio: where the clip is from and what's said in it
+export const clipExcerpt = (lines, { title, start, end, cast }) => [
+    `${title} (${formatTime(start)}–${formatTime(end)})`,
+    '',
+    toPlainText(linesBetween(lines, start, end), { cast })
+].join('\n');
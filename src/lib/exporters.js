@@ -0,0 +1,57 @@
+import { castFor } from './speakers';
+
+// All exporters take timed lines (see withTimings) and return the file contents as a string.
+// `cast` (see castFor) names the speakers; without it the default names are used.
+
+const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+const timestamp = (seconds, separator) => {
+    const ms = Math.max(Math.round(seconds * 1000), 0);
+    const hours = Math.floor(ms / 3600000);
+    const mins = Math.floor(ms / 60000) % 60;
+    const secs = Math.floor(ms / 1000) % 60;
+    return `${pad(hours)}:${pad(mins)}:${pad(secs)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+export const toSrt = (lines, { cast = castFor(null, lines) } = {}) => lines.map((line, idx) => [
+    idx + 1,
+    `${timestamp(line.start, ',')} --> ${timestamp(line.end, ',')}`,
+    `${cast.name(line.speaker)}: ${line.text}`
+].join('\n')).join('\n\n') + '\n';
+
+// Voice spans can't contain "<", "&" or ">" unescaped
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const toVtt = (lines, { cast = castFor(null, lines) } = {}) => ['WEBVTT', ...lines.map((line, idx) => [
+    idx + 1,
+    `${timestamp(line.start, '.')} --> ${timestamp(line.end, '.')}`,
+    `<v ${escapeVtt(cast.name(line.speaker))}>${escapeVtt(line.text)}`
+].join('\n'))].join('\n\n') + '\n';
+
+const clockTime = (seconds) => {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const rest = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+    return hours ? `${hours}:${rest}` : rest;
+};
+
+// Consecutive lines by the same speaker share one heading
+export const toMarkdown = (lines, { title, cast = castFor(null, lines) } = {}) => {
+    const blocks = title ? [`# ${title}`] : [];
+    lines.forEach((line, idx) => {
+        if (idx === 0 || lines[idx - 1].speaker !== line.speaker) {
+            blocks.push(`### ${cast.name(line.speaker)} · ${clockTime(line.start)}`);
+        }
+        blocks.push(line.text);
+    });
+    return blocks.join('\n\n') + '\n';
+};
+
+export const toPlainText = (lines, { cast = castFor(null, lines) } = {}) => lines.map(line => `${cast.name(line.speaker)}: ${line.text}`).join('\n\n') + '\n';
+
+export const TRANSCRIPT_FORMATS = [
+    { key: 'srt', label: 'subtitles (.srt)', extension: 'srt', type: 'application/x-subrip', render: toSrt },
+    { key: 'vtt', label: 'captions (.vtt)', extension: 'vtt', type: 'text/vtt', render: toVtt },
+    { key: 'md', label: 'show notes (.md)', extension: 'md', type: 'text/markdown', render: toMarkdown },
+    { key: 'txt', label: 'plain text (.txt)', extension: 'txt', type: 'text/plain', render: toPlainText }
+];
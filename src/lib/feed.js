@@ -0,0 +1,212 @@
+import { buildChapters, toChaptersJson, withChapterTimes } from './chapters';
+import { toSrt, toVtt } from './exporters';
+import { formatTime } from './format';
+import { embedChapters } from './id3';
+import { audioExtension } from './library';
+import { coverArtUrl } from './mediaSession';
+import { normalizeUrl, validateUrl } from './sources';
+import { castFor } from './speakers';
+import { withTimings } from './transcript';
+
+// Publishing: a podcast RSS feed (RSS 2.0 with iTunes and Podcasting 2.0 tags) for a set of
+// library episodes, zipped up with the media so any static host can serve it
+
+const FEED_SETTINGS_KEY = 'notecast:feed';
+const FEED_FILE = 'feed.xml';
+const COVER_FILE = 'cover.png';
+// Apple Podcasts rejects artwork smaller than this
+const COVER_SIZE = 1400;
+const DESCRIPTION_CHARS = 600;
+const SLUG_CHARS = 60;
+
+export const DEFAULT_FEED_SETTINGS = {
+    title: 'my notecast',
+    author: '',
+    description: 'podcasts made from my notes',
+    baseUrl: ''
+};
+
+export const loadFeedSettings = () => {
+    try {
+        return { ...DEFAULT_FEED_SETTINGS, ...JSON.parse(localStorage.getItem(FEED_SETTINGS_KEY)) };
+    } catch {
+        return DEFAULT_FEED_SETTINGS;
+    }
+};
+
+export const saveFeedSettings = (settings) => localStorage.setItem(FEED_SETTINGS_KEY, JSON.stringify(settings));
+
+/** Podcast apps need absolute media URLs, so the feed needs to know where it will live. */
+export const validateBaseUrl = (input) => (input.trim() ? validateUrl(input) : 'enter the address you\'ll host the feed at');
+
+// Exactly one trailing slash, so file paths resolve inside the folder rather than next to it
+const baseFor = (baseUrl) => new URL(normalizeUrl(baseUrl).replace(/\/*$/, '/'));
+
+/** Where podcast apps subscribe once the bundle is uploaded to `baseUrl`. */
+export const feedUrl = (baseUrl) => new URL(FEED_FILE, baseFor(baseUrl)).toString();
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const slugify = (title) => title.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, SLUG_CHARS) || 'episode';
+
+// Episodes with the same title get -2, -3, ... so their files don't collide, skipping any
+// suffix another title already produced ("Intro 2" next to two "Intro"s)
+const uniqueSlugs = (episodes) => {
+    const used = new Set();
+    return episodes.map(episode => {
+        const base = slugify(episode.title);
+        let slug = base;
+        for (let count = 2; used.has(slug); count++) slug = `${base}-${count}`;
+        used.add(slug);
+        return slug;
+    });
+};
+
+// Older episodes may never have been played, so their duration was never stored
+const measureDuration = (blob) => new Promise(resolve => {
+    const audio = new Audio();
+    const url = URL.createObjectURL(blob);
+    const done = (duration) => {
+        URL.revokeObjectURL(url);
+        resolve(duration);
+    };
+    audio.preload = 'metadata';
+    audio.onloadedmetadata = () => done(isFinite(audio.duration) ? audio.duration : 0);
+    audio.onerror = () => done(0);
+    audio.src = url;
+});
+
+// The opening of the conversation, cut between lines so it ends on a whole sentence
+const describe = (lines) => {
+    let text = '';
+    for (const line of lines) {
+        const next = text ? `${text} ${line.text}` : line.text;
+        if (next.length > DESCRIPTION_CHARS) break;
+        text = next;
+    }
+    return text || (lines[0] ? `${lines[0].text.slice(0, DESCRIPTION_CHARS).trimEnd()}…` : '');
+};
+
+const showNotes = (item) => [
+    `<p>${escapeXml(item.description)}</p>`,
+    item.speakers.length ? `<p>With ${escapeXml(item.speakers.map(speaker => speaker.name).join(', '))}.</p>` : '',
+    item.chapters.length > 1
+        ? `<ul>${item.chapters.map(chapter => `<li>${formatTime(chapter.start)} ${escapeXml(chapter.title)}</li>`).join('')}</ul>`
+        : ''
+].join('');
+
+const itemXml = (item, fileUrl) => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <itunes:title>${escapeXml(item.title)}</itunes:title>`,
+    `      <description>${escapeXml(item.description)}</description>`,
+    `      <content:encoded>${escapeXml(showNotes(item))}</content:encoded>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${new Date(item.createdAt).toUTCString()}</pubDate>`,
+    `      <enclosure url="${escapeXml(fileUrl(item.files.audio.path))}" length="${item.files.audio.blob.size}" type="${escapeXml(item.files.audio.blob.type || 'audio/mpeg')}"/>`,
+    `      <itunes:duration>${Math.round(item.duration)}</itunes:duration>`,
+    '      <itunes:episodeType>full</itunes:episodeType>',
+    '      <itunes:explicit>false</itunes:explicit>',
+    ...(item.files.chapters ? [`      <podcast:chapters url="${escapeXml(fileUrl(item.files.chapters.path))}" type="application/json+chapters"/>`] : []),
+    `      <podcast:transcript url="${escapeXml(fileUrl(item.files.vtt.path))}" type="text/vtt" rel="captions"/>`,
+    `      <podcast:transcript url="${escapeXml(fileUrl(item.files.srt.path))}" type="application/x-subrip"/>`,
+    // The first speaker hosts; everyone else is a guest
+    ...item.speakers.map((speaker, idx) => `      <podcast:person role="${idx === 0 ? 'host' : 'guest'}">${escapeXml(speaker.name)}</podcast:person>`),
+    '    </item>'
+].join('\n');
+
+/**
+ * The feed XML for items prepared by buildFeedBundle. `settings` is `{ title, author,
+ * description, baseUrl }`; every file URL is resolved against `baseUrl`.
+ */
+export const buildFeed = (items, settings) => {
+    const base = baseFor(settings.baseUrl);
+    const fileUrl = (path) => new URL(path, base).toString();
+    const language = items[0]?.language || 'en';
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:podcast="https://podcastindex.org/namespace/1.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(settings.title)}</title>`,
+        `    <link>${escapeXml(base.toString())}</link>`,
+        `    <description>${escapeXml(settings.description || settings.title)}</description>`,
+        `    <language>${escapeXml(language)}</language>`,
+        `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+        '    <generator>NoteCast</generator>',
+        `    <atom:link href="${escapeXml(fileUrl(FEED_FILE))}" rel="self" type="application/rss+xml"/>`,
+        `    <image><url>${escapeXml(fileUrl(COVER_FILE))}</url><title>${escapeXml(settings.title)}</title><link>${escapeXml(base.toString())}</link></image>`,
+        `    <itunes:image href="${escapeXml(fileUrl(COVER_FILE))}"/>`,
+        ...(settings.author ? [`    <itunes:author>${escapeXml(settings.author)}</itunes:author>`] : []),
+        '    <itunes:category text="Education"/>',
+        '    <itunes:explicit>false</itunes:explicit>',
+        '    <itunes:type>episodic</itunes:type>',
+        ...items.map(item => itemXml(item, fileUrl)),
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+};
+
+// Everything the feed says about one episode, plus the files it points at
+const prepareItem = async (episode, slug) => {
+    const duration = episode.duration > 0 ? episode.duration : await measureDuration(episode.audio);
+    const lines = withTimings(episode.transcript || [], duration);
+    const chapters = withChapterTimes(buildChapters(episode.transcript || [], episode.sections), lines);
+    const cast = castFor(episode.preferences?.speakers, lines);
+    const extension = audioExtension(episode.audio);
+    // Players that ignore podcast:chapters still read chapters from the MP3's own tag
+    const audio = extension === 'mp3' && chapters.length > 1
+        ? await embedChapters(episode.audio, chapters, { title: episode.title })
+        : episode.audio;
+    const path = (suffix) => `episodes/${slug}${suffix}`;
+
+    return {
+        id: episode.id,
+        title: episode.title,
+        createdAt: episode.createdAt,
+        language: episode.preferences?.language,
+        duration,
+        description: describe(lines),
+        chapters,
+        speakers: cast.speakers.filter(speaker => lines.some(line => line.speaker === speaker.id)),
+        files: {
+            audio: { path: path(`.${extension}`), blob: audio },
+            chapters: chapters.length > 1 ? { path: path('.chapters.json'), blob: toChaptersJson(chapters, { title: episode.title }) } : null,
+            vtt: { path: path('.vtt'), blob: toVtt(lines, { cast }) },
+            srt: { path: path('.srt'), blob: toSrt(lines, { cast }) }
+        }
+    };
+};
+
+/**
+ * Zips `episodes` (library records, newest first) into a folder ready to upload: feed.xml,
+ * cover.png and an episodes/ folder with the audio, chapters and transcripts.
+ * `onProgress(fraction)` reports as each episode is added.
+ */
+export const buildFeedBundle = async (episodes, settings, { onProgress = () => {} } = {}) => {
+    const { default: JSZip } = await import('jszip');
+    const zip = new JSZip();
+    const slugs = uniqueSlugs(episodes);
+    const items = [];
+
+    for (const [idx, episode] of episodes.entries()) {
+        onProgress(idx / episodes.length);
+        const item = await prepareItem(episode, slugs[idx]);
+        Object.values(item.files).filter(Boolean).forEach(file => zip.file(file.path, file.blob));
+        items.push(item);
+    }
+
+    zip.file(FEED_FILE, buildFeed(items, settings));
+    const cover = coverArtUrl(settings.title, COVER_SIZE);
+    if (cover) zip.file(COVER_FILE, cover.split(',')[1], { base64: true });
+    // Audio is already compressed, so storing beats deflating it again
+    const bundle = await zip.generateAsync({ type: 'blob', compression: 'STORE' });
+    onProgress(1);
+    return bundle;
+};
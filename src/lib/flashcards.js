@@ -0,0 +1,91 @@
+// Spaced repetition for study guide flashcards (a trimmed-down SM-2). Progress lives in
+// localStorage per episode and card index: { [episodeId]: { [card]: { due, interval, ease, reps } } }
+
+const PROGRESS_KEY = 'notecast:flashcards';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A card missed again comes back this soon, inside the same session
+const RELEARN_MS = 10 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+export const GRADES = [
+    { key: 'again', label: 'again' },
+    { key: 'hard', label: 'hard' },
+    { key: 'good', label: 'good' },
+    { key: 'easy', label: 'easy' }
+];
+
+const loadAll = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PROGRESS_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const saveAll = (all) => localStorage.setItem(PROGRESS_KEY, JSON.stringify(all));
+
+/** Review state of every card of an episode that has been seen, by card index. */
+export const loadProgress = (episodeId) => loadAll()[episodeId] || {};
+
+export const saveProgress = (episodeId, progress) => saveAll({ ...loadAll(), [episodeId]: progress });
+
+// Deleted episodes, and guides that get remade, start over
+export const forgetProgress = (episodeId) => {
+    const { [episodeId]: _, ...rest } = loadAll();
+    saveAll(rest);
+};
+
+/** The card's next state after answering it with `grade` (a GRADES key). */
+export const review = (state, grade, now = Date.now()) => {
+    const { interval = 0, ease = START_EASE, reps = 0 } = state || {};
+    if (grade === 'again') {
+        return { due: now + RELEARN_MS, interval: 0, ease: Math.max(MIN_EASE, ease - 0.2), reps: 0 };
+    }
+    const nextEase = Math.max(MIN_EASE, ease + { hard: -0.15, good: 0, easy: 0.15 }[grade]);
+    const days = reps === 0
+        ? { hard: 1, good: 1, easy: 4 }[grade]
+        : Math.max(interval + 1, Math.round(interval * { hard: 1.2, good: nextEase, easy: nextEase * 1.3 }[grade]));
+    return { due: now + days * DAY_MS, interval: days, ease: nextEase, reps: reps + 1 };
+};
+
+/** How long until a card answered with `grade` comes back, for the grade buttons. */
+export const nextReviewLabel = (state, grade, now = Date.now()) => {
+    const wait = review(state, grade, now).due - now;
+    if (wait < DAY_MS) return `${Math.round(wait / 60000)}m`;
+    return `${Math.round(wait / DAY_MS)}d`;
+};
+
+/** Indices of `cards` due now, new cards included, soonest due first. */
+export const dueCards = (cards, progress, now = Date.now()) => cards
+    .map((_, idx) => idx)
+    .filter(idx => !progress[idx] || progress[idx].due <= now)
+    .sort((a, b) => (progress[a]?.due || 0) - (progress[b]?.due || 0));
+
+// When the next card not due yet comes back, or null
+export const nextDue = (progress, now = Date.now()) => {
+    const upcoming = Object.values(progress).map(state => state.due).filter(due => due > now);
+    return upcoming.length ? Math.min(...upcoming) : null;
+};
+
+const csvField = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/** Flashcards as CSV with a header row: front, back, tags. */
+export const toCsv = (cards, { tags = [] } = {}) => [
+    'front,back,tags',
+    ...cards.map(card => [card.front, card.back, tags.join(' ')].map(csvField).join(','))
+].join('\n') + '\n';
+
+// Anki reads one note per line, so tabs and line breaks inside a field have to go
+const ankiField = (text) => text.replace(/[\t\r\n]+/g, ' ');
+
+/** Flashcards as an Anki import file: tab separated, with the header lines Anki understands. */
+export const toAnki = (cards, { tags = [] } = {}) => [
+    '#separator:tab',
+    '#html:false',
+    '#tags column:3',
+    ...cards.map(card => [ankiField(card.front), ankiField(card.back), tags.join(' ')].join('\t'))
+].join('\n') + '\n';
+
+// Anki tags can't contain spaces
+export const tagFor = (title) => title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'episode';
@@ -0,0 +1,11 @@
+export const formatTime = (seconds) => {
+    if (!seconds || isNaN(seconds)) return '0:00';
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+export const formatBytes = (bytes) => {
+    if (bytes < 1024 * 1024) return `${Math.max(Math.round(bytes / 1024), bytes > 0 ? 1 : 0)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 2 : 1)} MB`;
+};
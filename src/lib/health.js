@@ -0,0 +1,40 @@
+import { ApiError, apiUrl } from './api';
+import { withRetry } from './retry';
+
+// A healthy backend answers instantly; anything slower is still booting
+const HEALTH_TIMEOUT_MS = 5000;
+// Cold starts on the free tier take up to a minute, so keep knocking a bit longer than that
+const WAKE_RETRIES = 7;
+
+/**
+ * Pings `/health` once. Resolves when the backend is up and throws an `ApiError`
+ * (408 on timeout) or a network `TypeError` when it isn't.
+ */
+export const checkHealth = async (signal) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(onAbort, HEALTH_TIMEOUT_MS);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const response = await fetch(apiUrl('/health'), { signal: controller.signal, cache: 'no-store' });
+        // Older backends have no health route, but answering at all means they're awake
+        if (response.ok || response.status === 404) return;
+        throw new ApiError(`Health check failed with status: ${response.status}`, response.status);
+    } catch (error) {
+        if (error.name === 'AbortError' && !signal?.aborted) {
+            throw new ApiError('The server took too long to answer', 408);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/** Keeps pinging until the backend is awake; `onRetry` works as in `withRetry`. */
+export const waitForBackend = ({ signal, onRetry } = {}) => withRetry(() => checkHealth(signal), {
+    retries: WAKE_RETRIES,
+    signal,
+    onRetry
+});
@@ -0,0 +1,73 @@
+// Writes an ID3v2.3 tag with chapter frames (CTOC + CHAP, per the ID3 chapter addendum)
+// in front of MP3 audio, so podcast apps show the chapters without a separate file.
+
+const HEADER_SIZE = 10;
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0) & 0xff);
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+
+// Tag sizes are "syncsafe": 7 bits per byte
+const syncsafe = (value) => [(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f];
+
+const readSyncsafe = (bytes, offset) => (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+// UTF-16 with a byte order mark, which every reader supports for non-Latin titles
+const utf16 = (text) => {
+    const bytes = [0xff, 0xfe];
+    for (let idx = 0; idx < text.length; idx++) {
+        const code = text.charCodeAt(idx);
+        bytes.push(code & 0xff, code >> 8);
+    }
+    return bytes;
+};
+
+const frame = (id, body) => [...ascii(id), ...uint32(body.length), 0, 0, ...body];
+
+const textFrame = (id, text) => frame(id, [0x01, ...utf16(text), 0, 0]);
+
+const chapterFrame = (elementId, chapter, title) => frame('CHAP', [
+    ...ascii(elementId), 0,
+    ...uint32(Math.round(chapter.start * 1000)),
+    ...uint32(Math.round(chapter.end * 1000)),
+    // Byte offsets unknown; 0xFFFFFFFF tells readers to use the times
+    0xff, 0xff, 0xff, 0xff,
+    0xff, 0xff, 0xff, 0xff,
+    ...textFrame('TIT2', title)
+]);
+
+const tableOfContents = (elementIds) => frame('CTOC', [
+    ...ascii('toc'), 0,
+    // Top-level and ordered
+    0x03,
+    elementIds.length,
+    ...elementIds.flatMap(id => [...ascii(id), 0])
+]);
+
+// Size of an ID3v2 tag already at the start of the file, footer included
+const existingTagSize = (bytes) => {
+    if (bytes.length < HEADER_SIZE || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return 0;
+    const hasFooter = (bytes[5] & 0x10) !== 0;
+    return HEADER_SIZE + readSyncsafe(bytes, 6) + (hasFooter ? HEADER_SIZE : 0);
+};
+
+/**
+ * Returns a copy of the MP3 `audio` Blob tagged with `title` and `chapters`
+ * (`[{ title, start, end }]`, in seconds). Any existing ID3v2 tag is replaced.
+ */
+export const embedChapters = async (audio, chapters, { title, artist = 'NoteCast' } = {}) => {
+    const bytes = new Uint8Array(await audio.arrayBuffer());
+    // The table of contents counts its entries in a single byte
+    const tagged = chapters.slice(0, 255);
+    const elementIds = tagged.map((_, idx) => `chp${idx}`);
+
+    const frames = [
+        ...(title ? textFrame('TIT2', title) : []),
+        ...textFrame('TPE1', artist),
+        ...tableOfContents(elementIds),
+        ...tagged.flatMap((chapter, idx) => chapterFrame(elementIds[idx], chapter, chapter.title))
+    ];
+    const header = [...ascii('ID3'), 0x03, 0x00, 0x00, ...syncsafe(frames.length)];
+
+    return new Blob([new Uint8Array([...header, ...frames]), bytes.subarray(existingTagSize(bytes))], { type: 'audio/mpeg' });
+};
@@ -0,0 +1,279 @@
+import { ApiError, apiUrl, readJson } from './api';
+import { normalizePreferences } from './preferences';
+import { WAKING_STATUSES, sleep, withRetry } from './retry';
+import { sendWithProgress, uploadFile } from './uploads';
+
+// Pipeline stages reported by the job API, in order. Weights split the progress bar.
+export const JOB_STAGES = [
+    { key: 'uploading', label: 'uploading', weight: 10 },
+    { key: 'extracting', label: 'reading your pdf', weight: 10 },
+    { key: 'scripting', label: 'writing the script', weight: 25 },
+    { key: 'synthesizing', label: 'recording voices', weight: 50 },
+    { key: 'finalizing', label: 'mixing it down', weight: 5 }
+];
+
+const POLL_INTERVAL_MS = 2000;
+// A backend that answers POST /jobs with one of these predates the job API
+const LEGACY_STATUSES = [404, 405, 501];
+
+export const stageIndex = (key) => JOB_STAGES.findIndex(stage => stage.key === key);
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+// Fraction of the current stage that is done, from chunk counts or a raw progress value
+const stageFraction = (event) => {
+    if (event.chunks?.total) return clamp01(event.chunks.done / event.chunks.total);
+    if (typeof event.progress === 'number') return clamp01(event.progress > 1 ? event.progress / 100 : event.progress);
+    return 0;
+};
+
+export const overallProgress = (stage, fraction = 0) => {
+    const idx = stageIndex(stage);
+    if (idx < 0) return 0;
+    const before = JOB_STAGES.slice(0, idx).reduce((sum, s) => sum + s.weight, 0);
+    return before + JOB_STAGES[idx].weight * clamp01(fraction);
+};
+
+// Server-sent events: resolves with the job result, or with null if the stream is unavailable
+const streamJob = (jobId, onEvent, signal) => new Promise((resolve, reject) => {
+    if (typeof EventSource === 'undefined') {
+        resolve(null);
+        return;
+    }
+    const source = new EventSource(apiUrl(`/jobs/${jobId}/events`));
+    const onAbort = () => {
+        source.close();
+        reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const finish = (fn) => (e) => {
+        source.close();
+        signal?.removeEventListener('abort', onAbort);
+        fn(e);
+    };
+    // An event that isn't JSON (a proxy's keep-alive, a cut-off message) hands over to polling
+    const parsed = (fn) => (e) => {
+        let data;
+        try {
+            data = JSON.parse(e.data || '{}');
+        } catch {
+            finish(() => resolve(null))();
+            return;
+        }
+        fn(data);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    source.addEventListener('progress', parsed(onEvent));
+    source.addEventListener('complete', parsed(finish(resolve)));
+    source.addEventListener('failed', parsed(finish((data) => reject(new ApiError(data?.error || 'Conversion failed')))));
+    // Proxies that buffer or drop the stream land here; polling picks up from the current state
+    source.onerror = finish(() => resolve(null));
+});
+
+const pollJob = async (jobId, onEvent, signal) => {
+    for (;;) {
+        // A backend restart mid-job looks like it dozed off; keep asking instead of giving up
+        const job = await withRetry(async () => readJson(await fetch(apiUrl(`/jobs/${jobId}`), { signal })), { signal });
+        if (job.status === 'complete') return job.result;
+        if (job.status === 'failed') throw new ApiError(job.error || 'Conversion failed');
+        onEvent(job);
+        await sleep(POLL_INTERVAL_MS, signal);
+    }
+};
+
+export const followJob = async (jobId, onEvent, signal) => {
+    const streamed = await streamJob(jobId, onEvent, signal);
+    return streamed ?? pollJob(jobId, onEvent, signal);
+};
+
+// The old single-request endpoint: real bytes while the file goes up, then no stage info,
+// so the bar creeps to 85% while we wait
+const convertBlocking = async (formData, onProgress, signal) => {
+    let simulated = 0;
+    let sending = false;
+    const timer = setInterval(() => {
+        if (sending) return;
+        simulated = simulated < 15 ? simulated + 1 : Math.min(simulated + 0.1, 85);
+        onProgress({ stage: null, progress: simulated, eta: null, chunks: null, bytes: null });
+    }, 200);
+
+    try {
+        const response = await sendWithProgress('POST', apiUrl('/convert'), {
+            body: formData,
+            signal,
+            onUploadProgress: (sent, total) => {
+                sending = sent < total;
+                simulated = overallProgress('uploading', sent / total);
+                onProgress({ stage: null, progress: simulated, eta: null, chunks: null, bytes: { sent, total } });
+            }
+        });
+        return await readJson(response);
+    } finally {
+        clearInterval(timer);
+    }
+};
+
+// Sends the source file through the chunked upload API when the backend has one, so the job
+// request only carries its id; otherwise the file rides along in the job request itself.
+// Both ways report real bytes sent.
+const postJob = async (formData, report, signal) => {
+    const onBytes = (bytes) => report({ stage: 'uploading', progress: bytes.sent / bytes.total, bytes });
+    const file = formData.get('pdf');
+    if (file instanceof Blob) {
+        const uploadId = await uploadFile(file, { signal, onProgress: onBytes });
+        if (uploadId) {
+            formData.delete('pdf');
+            formData.set('uploadId', uploadId);
+            return fetch(apiUrl('/jobs'), { method: 'POST', body: formData, signal });
+        }
+    }
+    return sendWithProgress('POST', apiUrl('/jobs'), {
+        body: formData,
+        signal,
+        onUploadProgress: (sent, total) => onBytes({ sent, total })
+    });
+};
+
+// Whether the backend has the job API, asked once per page load so a backend without it gets
+// the file only once, through /convert. A job request with no source is small, and the job API
+// turns it down as invalid where an older backend doesn't know the route at all. Resolves with
+// the status it answered.
+let jobApiCheck = null;
+
+const probeJobApi = (signal) => {
+    jobApiCheck ??= fetch(apiUrl('/jobs'), { method: 'POST', body: new FormData(), signal })
+        .then(response => {
+            if (WAKING_STATUSES.includes(response.status)) throw new ApiError('The server is still waking up', response.status);
+            return response.status;
+        })
+        .catch(error => {
+            jobApiCheck = null;
+            throw error;
+        });
+    return jobApiCheck;
+};
+
+// Starts a job with `send` (which resolves with the backend's response) and resolves with
+// `{ jobId, status }`, where `jobId` is null when the backend has no job API. Only this step is retried while the backend wakes up:
+// once a job exists, sending again would start a second one, so followJob takes it from there.
+const submitJob = (send, { signal, onRetry }) => withRetry(async () => {
+    const response = await send();
+    if (LEGACY_STATUSES.includes(response.status)) return { jobId: null, status: response.status };
+    const { jobId } = await readJson(response);
+    return { jobId, status: response.status };
+}, { signal, onRetry });
+
+// Turns raw job events into `{ stage, progress (0-100), eta (seconds or null), chunks, bytes }`
+const createReporter = (onProgress) => {
+    const startedAt = Date.now();
+    return (event) => {
+        const stage = stageIndex(event.stage) >= 0 ? event.stage : 'uploading';
+        const progress = overallProgress(stage, stageFraction(event));
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const eta = typeof event.eta === 'number'
+            ? event.eta
+            : progress >= 5 ? elapsed * (100 - progress) / progress : null;
+        onProgress({ stage, progress, eta, chunks: event.chunks || null, bytes: event.bytes || null });
+    };
+};
+
+/**
+ * Runs a conversion through the job API and resolves with `{ filename, transcript }`.
+ * `onProgress` receives `{ stage, progress (0-100), eta (seconds or null), chunks, bytes }`,
+ * where `bytes` is `{ sent, total }` while the file uploads. `onJobCreated(jobId)` fires once
+ * the backend has accepted the job, which is the point from where `resumeJob` can take over.
+ * Sending the job is retried while the backend wakes up, calling `onRetry` as `withRetry` does.
+ * Falls back to the blocking `/convert` endpoint when the backend has no job API.
+ */
+export const convert = async (formData, { onProgress = () => {}, onJobCreated = () => {}, onRetry, signal } = {}) => {
+    const report = createReporter(onProgress);
+    const blocking = () => withRetry(() => convertBlocking(formData, onProgress, signal), { signal, onRetry });
+
+    const probed = await withRetry(() => probeJobApi(signal), { signal, onRetry });
+    if (LEGACY_STATUSES.includes(probed)) return blocking();
+    const { jobId } = await submitJob(() => {
+        report({ stage: 'uploading' });
+        return postJob(formData, report, signal);
+    }, { signal, onRetry });
+    if (jobId === null) return blocking();
+
+    onJobCreated(jobId);
+    report({ stage: 'uploading', progress: 1 });
+    const result = await followJob(jobId, report, signal);
+    onProgress({ stage: 'finalizing', progress: 100, eta: 0, chunks: null, bytes: null });
+    return result;
+};
+
+/**
+ * Re-records an edited script. `script` is the full list of `{ speaker, text }` lines and
+ * `changed` the indices whose audio must be regenerated; `filename` is the episode being
+ * edited so the backend can reuse its untouched segments (null records everything).
+ * Resolves like `convert`.
+ */
+export const resynthesize = async ({ filename, script, changed, preferences }, { onProgress = () => {}, onJobCreated = () => {}, onRetry, signal } = {}) => {
+    const report = createReporter(onProgress);
+
+    const { jobId, status } = await submitJob(() => {
+        report({ stage: 'synthesizing' });
+        return fetch(apiUrl('/resynthesize'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename, script, changed, preferences: normalizePreferences(preferences) }),
+            signal
+        });
+    }, { signal, onRetry });
+    if (jobId === null) {
+        throw new ApiError('This backend can\'t regenerate edited scripts yet', status);
+    }
+
+    onJobCreated(jobId);
+    const result = await followJob(jobId, report, signal);
+    onProgress({ stage: 'finalizing', progress: 100, eta: 0, chunks: null, bytes: null });
+    return result;
+};
+
+/**
+ * Script-first mode, step one: runs the pipeline only up to the dialogue and resolves
+ * with `{ transcript }`. Needs the job API; the blocking endpoint always records audio.
+ */
+export const draftScript = async (formData, { onProgress = () => {}, onJobCreated = () => {}, onRetry, signal } = {}) => {
+    const report = createReporter(onProgress);
+    formData.set('mode', 'script');
+
+    const probed = await withRetry(() => probeJobApi(signal), { signal, onRetry });
+    if (LEGACY_STATUSES.includes(probed)) {
+        throw new ApiError('This backend can\'t draft scripts without recording them yet', probed);
+    }
+    const { jobId, status } = await submitJob(() => {
+        report({ stage: 'uploading' });
+        return postJob(formData, report, signal);
+    }, { signal, onRetry });
+    if (jobId === null) {
+        throw new ApiError('This backend can\'t draft scripts without recording them yet', status);
+    }
+
+    onJobCreated(jobId);
+    report({ stage: 'uploading', progress: 1 });
+    return followJob(jobId, report, signal);
+};
+
+/** Picks up tracking of a job started earlier, e.g. before a page reload. Resolves like `convert`. */
+export const resumeJob = async (jobId, { onProgress = () => {}, signal } = {}) => {
+    const result = await followJob(jobId, createReporter(onProgress), signal);
+    onProgress({ stage: 'finalizing', progress: 100, eta: 0, chunks: null, bytes: null });
+    return result;
+};
+
+// Script-first mode, step two: records an approved script from scratch
+export const synthesize = (script, preferences, options) => resynthesize({
+    filename: null,
+    script,
+    changed: script.map((_, idx) => idx),
+    preferences
+}, options);
+
+export const formatEta = (seconds) => {
+    if (seconds == null || !isFinite(seconds)) return null;
+    if (seconds < 60) return 'less than a minute left';
+    return `about ${Math.ceil(seconds / 60)} min left`;
+};
@@ -0,0 +1,146 @@
+import { forgetProgress } from './flashcards';
+
+// Episode library: every finished podcast, audio included, kept in IndexedDB
+const DB_NAME = 'notecast';
+const EPISODES = 'episodes';
+// Listening progress lives apart from episodes so frequent position saves don't rewrite the audio
+const PLAYBACK = 'playback';
+// Conversions asked for while offline, sent once the connection is back
+const OUTBOX = 'outbox';
+
+// One entry per schema version; each runs once when upgrading past it
+const MIGRATIONS = [
+    (db) => {
+        const store = db.createObjectStore(EPISODES, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+    },
+    (db) => {
+        db.createObjectStore(PLAYBACK, { keyPath: 'episodeId' });
+    },
+    (db) => {
+        db.createObjectStore(OUTBOX, { keyPath: 'id' });
+    }
+];
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+            request.onupgradeneeded = (e) => {
+                MIGRATIONS.slice(e.oldVersion).forEach(migrate => migrate(request.result, request.transaction));
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const withStore = async (storeName, mode, fn) => {
+    const db = await openDb();
+    return promisify(fn(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+export const titleFromFileName = (name = '') => name.replace(/\.[^.]+$/, '') || 'untitled episode';
+
+/**
+ * Stores a finished episode. `audio` is the podcast Blob; the rest is what's needed to replay it:
+ * `{ title, sourceName, preferences, transcript, audio, duration }`.
+ */
+export const saveEpisode = async (episode) => {
+    const record = { id: newId(), createdAt: Date.now(), duration: 0, ...episode };
+    await withStore(EPISODES, 'readwrite', store => store.put(record));
+    return record;
+};
+
+// Downloads the finished audio once and keeps it, so replays never hit the backend again
+export const fetchAndSaveEpisode = async (audioUrl, details) => {
+    const response = await fetch(audioUrl);
+    if (!response.ok) throw new Error(`Download failed with status: ${response.status}`);
+    return saveEpisode({ ...details, audio: await response.blob() });
+};
+
+// Newest first
+export const listEpisodes = async () => {
+    const episodes = await withStore(EPISODES, 'readonly', store => store.getAll());
+    return episodes.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getEpisode = (id) => withStore(EPISODES, 'readonly', store => store.get(id));
+
+export const updateEpisode = async (id, changes) => {
+    const existing = await getEpisode(id);
+    if (!existing) return null;
+    const updated = { ...existing, ...changes, id };
+    await withStore(EPISODES, 'readwrite', store => store.put(updated));
+    return updated;
+};
+
+export const deleteEpisode = async (id) => {
+    await withStore(EPISODES, 'readwrite', store => store.delete(id));
+    await clearPlayback(id);
+    forgetProgress(id);
+};
+
+/**
+ * Where a listener is in an episode: `{ episodeId, position, speed, status, updatedAt }`,
+ * with `status` one of 'started' or 'finished'. Episodes without a record are unplayed.
+ */
+export const getPlayback = (episodeId) => withStore(PLAYBACK, 'readonly', store => store.get(episodeId));
+
+export const savePlayback = async (episodeId, playback) => {
+    const record = { ...playback, episodeId, updatedAt: Date.now() };
+    await withStore(PLAYBACK, 'readwrite', store => store.put(record));
+    return record;
+};
+
+export const clearPlayback = (episodeId) => withStore(PLAYBACK, 'readwrite', store => store.delete(episodeId));
+
+// Playback records by episode id
+export const listPlayback = async () => {
+    const records = await withStore(PLAYBACK, 'readonly', store => store.getAll());
+    return Object.fromEntries(records.map(record => [record.episodeId, record]));
+};
+
+export const playbackStatus = (playback) => playback?.status || 'unplayed';
+
+/**
+ * Queues a conversion for later: `{ source, preferences, pages, title, sourceName }`, where
+ * `source` is as for buildSourceForm (uploaded files are stored as they are).
+ */
+export const addToOutbox = async (conversion) => {
+    const record = { id: newId(), createdAt: Date.now(), ...conversion };
+    await withStore(OUTBOX, 'readwrite', store => store.put(record));
+    return record;
+};
+
+// Oldest first, the order they were asked for
+export const listOutbox = async () => {
+    const records = await withStore(OUTBOX, 'readonly', store => store.getAll());
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const removeFromOutbox = (id) => withStore(OUTBOX, 'readwrite', store => store.delete(id));
+
+export const audioExtension = (blob) => (blob?.type.includes('wav') ? 'wav' : 'mp3');
+
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
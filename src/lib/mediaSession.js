@@ -0,0 +1,103 @@
+// Lock screens and headsets skip by these amounts unless they ask for something else
+const DEFAULT_SKIP_BACK = 15;
+const DEFAULT_SKIP_FORWARD = 30;
+const ARTWORK_SIZE = 512;
+
+export const mediaSessionSupported = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+const wrapLines = (ctx, text, maxWidth, maxLines) => {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s+\S*$/, '')}…`;
+    }
+    return lines;
+};
+
+/** Draws a square cover with the episode title, as a PNG data URL. */
+export const coverArtUrl = (title, size = ARTWORK_SIZE) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+    const unit = size / 16;
+
+    ctx.fillStyle = '#18181b';
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = '#f4f4f5';
+    ctx.font = `300 ${unit * 1.6}px Inter, sans-serif`;
+    wrapLines(ctx, title || 'untitled', size - unit * 3, 4)
+        .forEach((line, i) => ctx.fillText(line, unit * 1.5, unit * 3.5 + i * unit * 2));
+    ctx.fillStyle = '#a1a1aa';
+    ctx.font = `400 ${unit * 0.9}px Inter, sans-serif`;
+    ctx.fillText('notecast', unit * 1.5, size - unit * 1.5);
+    return canvas.toDataURL('image/png');
+};
+
+/** Shows the episode on the lock screen and in the OS media controls. */
+export const setMediaMetadata = ({ title, artist = 'NoteCast', artwork }) => {
+    if (!mediaSessionSupported() || typeof MediaMetadata === 'undefined') return;
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title,
+        artist,
+        album: 'NoteCast',
+        artwork: artwork ? [{ src: artwork, sizes: `${ARTWORK_SIZE}x${ARTWORK_SIZE}`, type: 'image/png' }] : []
+    });
+};
+
+/**
+ * Routes hardware and lock-screen controls to the player. `player` needs `play`,
+ * `pause`, `skip(seconds)` and `seek(time)`. Returns a function that detaches them.
+ */
+export const bindMediaSession = (player) => {
+    if (!mediaSessionSupported()) return () => {};
+    const handlers = {
+        play: () => player.play(),
+        pause: () => player.pause(),
+        stop: () => player.pause(),
+        seekbackward: (details) => player.skip(-(details.seekOffset || DEFAULT_SKIP_BACK)),
+        seekforward: (details) => player.skip(details.seekOffset || DEFAULT_SKIP_FORWARD),
+        seekto: (details) => player.seek(details.seekTime)
+    };
+    const bound = Object.entries(handlers).filter(([action, handler]) => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+            return true;
+        } catch {
+            // Browsers throw for actions they don't know about
+            return false;
+        }
+    });
+    return () => {
+        bound.forEach(([action]) => navigator.mediaSession.setActionHandler(action, null));
+        navigator.mediaSession.metadata = null;
+    };
+};
+
+/** Keeps the lock-screen scrubber in step with the audio element. */
+export const updatePositionState = (audio) => {
+    if (!mediaSessionSupported() || !navigator.mediaSession.setPositionState) return;
+    if (!(audio.duration > 0) || !isFinite(audio.duration)) return;
+    navigator.mediaSession.playbackState = audio.paused ? 'paused' : 'playing';
+    try {
+        navigator.mediaSession.setPositionState({
+            duration: audio.duration,
+            playbackRate: audio.playbackRate,
+            position: Math.min(audio.currentTime, audio.duration)
+        });
+    } catch {
+        // Position can briefly run past the duration while seeking
+    }
+};
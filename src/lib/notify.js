@@ -0,0 +1,22 @@
+// Jobs shorter than this finish before anyone wanders off to another tab
+const LONG_JOB_MS = 20000;
+
+const supported = () => typeof Notification !== 'undefined';
+
+// Asked when a conversion starts, since browsers only allow it after a click
+export const requestNotifications = () => {
+    if (supported() && Notification.permission === 'default') {
+        Notification.requestPermission().catch(() => {});
+    }
+};
+
+/** Shows a system notification if the tab is in the background and the job took a while. */
+export const notifyJobDone = ({ title, body, startedAt }) => {
+    if (!supported() || Notification.permission !== 'granted' || !document.hidden) return;
+    if (startedAt && Date.now() - startedAt < LONG_JOB_MS) return;
+    const notification = new Notification(title, { body, tag: 'notecast-job' });
+    notification.onclick = () => {
+        window.focus();
+        notification.close();
+    };
+};
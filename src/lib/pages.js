@@ -0,0 +1,33 @@
+// Page selections are sorted arrays of 1-based page numbers
+
+/**
+ * Parses "1-3, 7, 10-" into sorted page numbers within 1..pageCount.
+ * Throws an Error with a user-facing message on bad input.
+ */
+export const parsePageRanges = (input, pageCount) => {
+    const pages = new Set();
+    input.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = /^(\d*)\s*(-?)\s*(\d*)$/.exec(part);
+        if (!match || (!match[1] && !match[3])) throw new Error(`"${part}" isn't a page or range`);
+        const from = match[1] ? Number(match[1]) : 1;
+        const to = match[2] ? (match[3] ? Number(match[3]) : pageCount) : from;
+        if (from > to) throw new Error(`"${part}" runs backwards`);
+        if (from < 1 || to > pageCount) throw new Error(`"${part}" is outside pages 1-${pageCount}`);
+        for (let page = from; page <= to; page++) pages.add(page);
+    });
+    return [...pages].sort((a, b) => a - b);
+};
+
+// Inverse of parsePageRanges: [1, 2, 3, 7] -> "1-3, 7"
+export const formatPageRanges = (pages) => {
+    const ranges = [];
+    pages.forEach(page => {
+        const last = ranges[ranges.length - 1];
+        if (last && page === last[1] + 1) {
+            last[1] = page;
+        } else {
+            ranges.push([page, page]);
+        }
+    });
+    return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+};
@@ -0,0 +1,173 @@
+import * as pdfjs from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+import { findPassageItems } from './citations';
+
+pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+// Heading detection reads text page by page; cap it so huge PDFs stay responsive
+const HEADING_SCAN_PAGES = 100;
+// A line counts as a heading when its font is this much larger than the body text
+const HEADING_SIZE_RATIO = 1.3;
+
+export const loadPdf = async (file) => pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+
+export const renderPage = async (pdf, pageNumber, canvas, width) => {
+    const page = await pdf.getPage(pageNumber);
+    const unscaled = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: width / unscaled.width });
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return viewport;
+};
+
+const resolvePageNumber = async (pdf, dest) => {
+    try {
+        const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+        if (!explicit) return null;
+        return (await pdf.getPageIndex(explicit[0])) + 1;
+    } catch {
+        return null;
+    }
+};
+
+// Flattens the PDF bookmarks into [{ title, pageNumber, level }]
+const readOutline = async (pdf) => {
+    const outline = await pdf.getOutline();
+    if (!outline?.length) return [];
+
+    const entries = [];
+    const walk = async (items, level) => {
+        for (const item of items) {
+            const pageNumber = await resolvePageNumber(pdf, item.dest);
+            if (pageNumber) entries.push({ title: item.title.trim(), pageNumber, level });
+            if (item.items?.length) await walk(item.items, level + 1);
+        }
+    };
+    await walk(outline, 0);
+    return entries;
+};
+
+// No bookmarks: treat lines set noticeably larger than the body text as headings
+const detectHeadings = async (pdf) => {
+    const lines = [];
+    const pages = Math.min(pdf.numPages, HEADING_SCAN_PAGES);
+
+    for (let pageNumber = 1; pageNumber <= pages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const { items } = await page.getTextContent();
+        items.forEach(item => {
+            const text = item.str.trim();
+            if (text) lines.push({ text, size: Math.abs(item.transform[3]), pageNumber });
+        });
+    }
+    if (!lines.length) return [];
+
+    const sizes = lines.map(line => line.size).sort((a, b) => a - b);
+    const bodySize = sizes[Math.floor(sizes.length / 2)];
+
+    return lines
+        .filter(line => line.size >= bodySize * HEADING_SIZE_RATIO && line.text.length > 2 && line.text.length < 120)
+        .filter((line, idx, all) => idx === 0 || all[idx - 1].pageNumber !== line.pageNumber || all[idx - 1].text !== line.text)
+        .map(line => ({ title: line.text, pageNumber: line.pageNumber, level: 0 }));
+};
+
+/**
+ * Sections of the document with the pages they span: `[{ title, level, from, to }]`.
+ * Uses the PDF outline when it has one, otherwise headings guessed from font sizes.
+ */
+export const readSections = async (pdf) => {
+    let entries = await readOutline(pdf);
+    const source = entries.length ? 'outline' : 'headings';
+    if (!entries.length) entries = await detectHeadings(pdf);
+
+    const sections = entries.map((entry, idx) => {
+        const next = entries.slice(idx + 1).find(other => other.level <= entry.level);
+        const to = next ? Math.max(next.pageNumber - 1, entry.pageNumber) : pdf.numPages;
+        return { title: entry.title, level: entry.level, from: entry.pageNumber, to };
+    });
+
+    return { source, sections };
+};
+
+/**
+ * Section titles of a PDF file for chapters: `[{ title, from, to }]` at the shallowest level
+ * that has more than one entry, limited to sections overlapping `pages` when given.
+ */
+export const readDocumentSections = async (file, pages = null) => {
+    const pdf = await loadPdf(file);
+    try {
+        const { sections } = await readSections(pdf);
+        const levels = [...new Set(sections.map(section => section.level))].sort((a, b) => a - b);
+        const level = levels.find(candidate => sections.filter(section => section.level === candidate).length > 1) ?? levels[0];
+        return sections
+            .filter(section => section.level === level)
+            .filter(section => !pages || pages.some(page => page >= section.from && page <= section.to))
+            .map(({ title, from, to }) => ({ title, from, to }));
+    } finally {
+        pdf.destroy();
+    }
+};
+
+// Pages checked for selectable text before a PDF is accepted
+const TEXT_CHECK_PAGES = 5;
+
+/**
+ * Quick health check of a PDF before upload: `{ encrypted, pageCount, hasText }`.
+ * Scanned documents without a text layer come back with `hasText: false`.
+ */
+export const inspectPdf = async (file) => {
+    let pdf;
+    try {
+        pdf = await loadPdf(file);
+    } catch (error) {
+        if (error?.name === 'PasswordException') return { encrypted: true, pageCount: 0, hasText: false };
+        throw error;
+    }
+
+    try {
+        let hasText = false;
+        for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, TEXT_CHECK_PAGES) && !hasText; pageNumber++) {
+            const { items } = await (await pdf.getPage(pageNumber)).getTextContent();
+            hasText = items.some(item => item.str.trim());
+        }
+        return { encrypted: false, pageCount: pdf.numPages, hasText };
+    } finally {
+        pdf.destroy();
+    }
+};
+
+/**
+ * Plain text of each page, for matching transcript lines to their source:
+ * `[{ page, text }]`, limited to `pages` when given.
+ */
+export const readPageTexts = async (file, pages = null) => {
+    const pdf = await loadPdf(file);
+    try {
+        const numbers = pages
+            ? pages.filter(page => page <= pdf.numPages)
+            : Array.from({ length: pdf.numPages }, (_, idx) => idx + 1);
+        const texts = [];
+        for (const page of numbers) {
+            const { items } = await (await pdf.getPage(page)).getTextContent();
+            texts.push({ page, text: items.map(item => item.str).join(' ') });
+        }
+        return texts;
+    } finally {
+        pdf.destroy();
+    }
+};
+
+/**
+ * Boxes around `excerpt` on a page rendered at `viewport` (as returned by renderPage),
+ * in the viewport's pixels: `[{ left, top, width, height }]`. Empty when it isn't on the page.
+ */
+export const passageRects = async (pdf, pageNumber, viewport, excerpt) => {
+    const { items } = await (await pdf.getPage(pageNumber)).getTextContent();
+    return findPassageItems(items.map(item => item.str), excerpt).map(idx => {
+        const item = items[idx];
+        const [, , c, d, x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+        const height = Math.hypot(c, d);
+        return { left: x, top: y - height, width: item.width * viewport.scale, height };
+    });
+};
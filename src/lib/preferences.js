@@ -0,0 +1,200 @@
+// Generation options sent with every conversion as the `preferences` JSON field,
+// plus named presets kept in localStorage and settings links for sharing them.
+
+import { DEFAULT_SPEAKERS, formatFor, normalizeSpeakers } from './speakers';
+
+const PRESETS_KEY = 'notecast:presets';
+// The options last used, so a reload doesn't start from scratch
+const LAST_USED_KEY = 'notecast:preferences';
+export const SETTINGS_PARAM = 'settings';
+const MAX_TEXT_LENGTH = 500;
+
+export const TONES = ['casual', 'conversational', 'professional'];
+export const LENGTHS = ['short', 'medium', 'long'];
+export const DEPTHS = [
+    { key: 'overview', label: 'quick' },
+    { key: 'balanced', label: 'balanced' },
+    { key: 'deep-dive', label: 'deep' }
+];
+
+export const LANGUAGES = [
+    { key: 'en', label: 'English' },
+    { key: 'es', label: 'Español' },
+    { key: 'fr', label: 'Français' },
+    { key: 'de', label: 'Deutsch' },
+    { key: 'it', label: 'Italiano' },
+    { key: 'pt', label: 'Português' },
+    { key: 'nl', label: 'Nederlands' },
+    { key: 'pl', label: 'Polski' },
+    { key: 'ja', label: '日本語' },
+    { key: 'zh', label: '中文' }
+];
+
+export const AUDIENCES = [
+    { key: 'general', label: 'anyone' },
+    { key: 'students', label: 'students' },
+    { key: 'experts', label: 'specialists' },
+    { key: 'executives', label: 'executives' },
+    { key: 'kids', label: 'kids' }
+];
+
+export const DEFAULT_PREFERENCES = {
+    tone: 'conversational',
+    length: 'medium',
+    humor: true,
+    depth: 'balanced',
+    language: 'en',
+    audience: 'general',
+    focus: '',
+    // Derived from the number of speakers; sent so the backend knows what to write
+    format: formatFor(DEFAULT_SPEAKERS.length),
+    speakers: DEFAULT_SPEAKERS
+};
+
+export const BUILT_IN_PRESETS = [
+    {
+        name: 'lecture recap',
+        preferences: {
+            ...DEFAULT_PREFERENCES,
+            humor: false,
+            audience: 'students',
+            focus: 'recap the key concepts, definitions and examples someone needs before an exam'
+        }
+    },
+    {
+        name: 'exec summary',
+        preferences: {
+            ...DEFAULT_PREFERENCES,
+            tone: 'professional',
+            length: 'short',
+            depth: 'overview',
+            humor: false,
+            audience: 'executives',
+            focus: 'lead with the decisions, numbers and risks; skip background'
+        }
+    }
+];
+
+const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+const text = (value, fallback = '') => (typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : fallback);
+
+/**
+ * Fills in anything missing or invalid from the defaults, so preferences from old
+ * episodes, links and imported files are always complete.
+ */
+export const normalizePreferences = (input) => {
+    const value = input && typeof input === 'object' ? input : {};
+    const speakers = normalizeSpeakers(value.speakers);
+    return {
+        tone: pick(value.tone, TONES, DEFAULT_PREFERENCES.tone),
+        length: pick(value.length, LENGTHS, DEFAULT_PREFERENCES.length),
+        humor: typeof value.humor === 'boolean' ? value.humor : DEFAULT_PREFERENCES.humor,
+        depth: pick(value.depth, DEPTHS.map(depth => depth.key), DEFAULT_PREFERENCES.depth),
+        language: pick(value.language, LANGUAGES.map(language => language.key), DEFAULT_PREFERENCES.language),
+        audience: pick(value.audience, AUDIENCES.map(audience => audience.key), DEFAULT_PREFERENCES.audience),
+        focus: text(value.focus),
+        format: formatFor(speakers.length),
+        speakers
+    };
+};
+
+const readJson = (key, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+export const loadLastUsed = () => normalizePreferences(readJson(LAST_USED_KEY, null));
+
+export const saveLastUsed = (preferences) => localStorage.setItem(LAST_USED_KEY, JSON.stringify(preferences));
+
+/** Saved presets, `[{ name, preferences }]`, built-in ones first. */
+export const listPresets = () => {
+    const saved = readJson(PRESETS_KEY, []);
+    const custom = Array.isArray(saved) ? saved.filter(preset => typeof preset?.name === 'string') : [];
+    return [
+        ...BUILT_IN_PRESETS.filter(builtIn => !custom.some(preset => preset.name === builtIn.name)).map(preset => ({ ...preset, builtIn: true })),
+        ...custom.map(preset => ({ name: preset.name, preferences: normalizePreferences(preset.preferences) }))
+    ];
+};
+
+const writePresets = (presets) => localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+
+const customPresets = () => listPresets().filter(preset => !preset.builtIn);
+
+// Saving under an existing name replaces that preset
+export const savePreset = (name, preferences) => {
+    const trimmed = name.trim();
+    writePresets([...customPresets().filter(preset => preset.name !== trimmed), { name: trimmed, preferences }]);
+    return listPresets();
+};
+
+export const deletePreset = (name) => {
+    writePresets(customPresets().filter(preset => preset.name !== name));
+    return listPresets();
+};
+
+export const exportPresets = () => JSON.stringify({
+    app: 'notecast',
+    version: 1,
+    presets: customPresets().map(({ name, preferences }) => ({ name, preferences }))
+}, null, 2) + '\n';
+
+/**
+ * Merges presets from an exported file into the saved ones and resolves with how many
+ * were added. Throws an Error with a user-facing message on anything else.
+ */
+export const importPresets = async (file) => {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch {
+        throw new Error(`${file.name} isn't valid JSON`);
+    }
+    const incoming = (Array.isArray(data) ? data : data?.presets || [])
+        .filter(preset => typeof preset?.name === 'string' && preset.name.trim());
+    if (!incoming.length) throw new Error(`${file.name} has no presets in it`);
+    incoming.forEach(preset => savePreset(preset.name, normalizePreferences(preset.preferences)));
+    return incoming.length;
+};
+
+// base64url of the JSON, UTF-8 safe so speaker names in any script survive
+const toBase64Url = (value) => {
+    const binary = Array.from(new TextEncoder().encode(value), byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value) => {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/** A link to the app that opens with these preferences. */
+export const settingsUrl = (preferences) => {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(SETTINGS_PARAM, toBase64Url(JSON.stringify(preferences)));
+    return url.toString();
+};
+
+/** Preferences from a settings link in the current URL, or null. */
+export const readSettingsFromUrl = () => {
+    const encoded = new URLSearchParams(window.location.search).get(SETTINGS_PARAM);
+    if (!encoded) return null;
+    try {
+        return normalizePreferences(JSON.parse(fromBase64Url(encoded)));
+    } catch {
+        return null;
+    }
+};
+
+// Drops the settings parameter so a reload doesn't undo later changes
+export const clearSettingsFromUrl = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SETTINGS_PARAM);
+    window.history.replaceState(null, '', url.toString());
+};
@@ -0,0 +1,45 @@
+import { ApiError } from './api';
+
+// Gateway errors and timeouts are what a sleeping backend looks like from the browser
+export const WAKING_STATUSES = [408, 502, 503, 504];
+export const MAX_RETRIES = 5;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 30000;
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+    };
+    // Polling sleeps on the same signal for as long as a job runs; don't leave a listener per nap
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// 2s, 4s, 8s, 16s, then every 30s
+export const backoffDelay = (attempt) => Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+
+// Network failures count too: a parked backend often just drops the connection
+export const isWakingError = (error) => error instanceof TypeError
+    || (error instanceof ApiError && WAKING_STATUSES.includes(error.status));
+
+/**
+ * Runs `task` and retries it with exponential backoff while it fails the way a waking
+ * backend does. `onRetry` receives `{ attempt, retries, delay, error }` before each wait.
+ * Other errors, aborts and the last failure are rethrown.
+ */
+export const withRetry = async (task, { retries = MAX_RETRIES, signal, onRetry } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (error.name === 'AbortError' || !isWakingError(error) || attempt >= retries) throw error;
+            const delay = backoffDelay(attempt);
+            onRetry?.({ attempt: attempt + 1, retries, delay, error });
+            await sleep(delay, signal);
+        }
+    }
+};
@@ -0,0 +1,49 @@
+// Line-level diff between two scripts of `{ speaker, text }`
+
+const sameLine = (a, b) => a.speaker === b.speaker && a.text.trim() === b.text.trim();
+
+/**
+ * Returns diff entries in order: `{ type: 'same' | 'added' | 'removed' | 'changed', before, after, index }`,
+ * where `index` is the position in `edited` (null for removed lines). A removal directly followed
+ * by an addition is reported as one 'changed' line.
+ */
+export const diffScripts = (original, edited) => {
+    const n = original.length;
+    const m = edited.length;
+    // lcs[i][j] = longest common subsequence of original[i..] and edited[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = sameLine(original[i], edited[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const raw = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && sameLine(original[i], edited[j])) {
+            raw.push({ type: 'same', before: original[i++], after: edited[j], index: j++ });
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            raw.push({ type: 'removed', before: original[i++], after: null, index: null });
+        } else {
+            raw.push({ type: 'added', before: null, after: edited[j], index: j++ });
+        }
+    }
+
+    const entries = [];
+    raw.forEach(entry => {
+        const prev = entries[entries.length - 1];
+        if (entry.type === 'added' && prev?.type === 'removed') {
+            entries[entries.length - 1] = { type: 'changed', before: prev.before, after: entry.after, index: entry.index };
+        } else {
+            entries.push(entry);
+        }
+    });
+    return entries;
+};
+
+// Indices in `edited` whose audio has to be regenerated
+export const changedLineIndices = (original, edited) => diffScripts(original, edited)
+    .filter(entry => entry.type === 'added' || entry.type === 'changed')
+    .map(entry => entry.index);
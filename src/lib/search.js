@@ -0,0 +1,156 @@
+import { castFor } from './speakers';
+
+// Client-side full-text search over the library: every transcript line and each episode's
+// title and source name. Matching is per word and forgiving: exact words rank first, then
+// words that start with what was typed, then words a typo or two away.
+
+const MAX_RESULTS = 50;
+// Characters of context kept either side of the first match in a snippet
+const SNIPPET_RADIUS = 70;
+
+const EXACT = 3;
+const PREFIX = 2;
+const FUZZY = 1;
+// Matches in a title or source name count this much extra
+const META_BONUS = 1;
+
+// Case and accents don't matter: "Resume" finds "résumé"
+const fold = (word) => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Words of `text` with where they sit in it
+const tokenize = (text) => [...(text || '').matchAll(/[\p{L}\p{M}\p{N}]+/gu)]
+    .map(match => ({ term: fold(match[0]), start: match.index, end: match.index + match[0].length }));
+
+const allowedEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// Levenshtein distance, giving up as soon as it must exceed `max`
+const withinEdits = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return false;
+    let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            best = Math.min(best, current[j]);
+        }
+        if (best > max) return false;
+        previous = current;
+    }
+    return previous[b.length] <= max;
+};
+
+/** How well `term` (a folded word of the text) matches `query` (a folded query word); 0 for not at all. */
+const matchScore = (query, term) => {
+    if (term === query) return EXACT;
+    if (query.length >= 2 && term.startsWith(query)) return PREFIX;
+    const edits = allowedEdits(query.length);
+    if (!edits) return 0;
+    // A half-typed word is compared against the start of longer ones
+    if (withinEdits(query, term, edits) || (term.length > query.length && withinEdits(query, term.slice(0, query.length), edits))) {
+        return FUZZY;
+    }
+    return 0;
+};
+
+export const queryTerms = (query) => [...new Set(tokenize(query).map(token => token.term))];
+
+/**
+ * Where `query` matches in `text`, as sorted `[{ start, end }]` character ranges, using the
+ * same forgiving rules as the library search.
+ */
+export const highlightRanges = (text, query) => {
+    const terms = Array.isArray(query) ? query : queryTerms(query);
+    if (!terms.length) return [];
+    return tokenize(text)
+        .filter(token => terms.some(term => matchScore(term, token.term) > 0))
+        .map(({ start, end }) => ({ start, end }));
+};
+
+/**
+ * A window of `text` around its first highlighted range, with the ranges moved to match:
+ * `{ text, ranges }`. Short texts come back whole.
+ */
+export const snippet = (text, ranges) => {
+    if (text.length <= SNIPPET_RADIUS * 2 || !ranges.length) return { text, ranges };
+    let from = Math.max(ranges[0].start - SNIPPET_RADIUS, 0);
+    let to = Math.min(ranges[0].end + SNIPPET_RADIUS, text.length);
+    // Cut between words
+    if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+    if (to < text.length) to = text.lastIndexOf(' ', to) > ranges[0].end ? text.lastIndexOf(' ', to) : to;
+    const prefix = from > 0 ? '…' : '';
+    const shift = prefix.length - from;
+    return {
+        text: `${prefix}${text.slice(from, to)}${to < text.length ? '…' : ''}`,
+        ranges: ranges.filter(range => range.start >= from && range.end <= to).map(range => ({ start: range.start + shift, end: range.end + shift }))
+    };
+};
+
+/**
+ * Builds the search index for library `episodes`. Lines are indexed under their speaker's
+ * display name, so filters work across episodes whose speakers were set up differently.
+ */
+export const buildSearchIndex = (episodes) => {
+    const docs = [];
+    // Folded word -> indices of the docs that contain it
+    const postings = new Map();
+
+    const add = (doc) => {
+        const idx = docs.push(doc) - 1;
+        new Set(tokenize(doc.text).map(token => token.term)).forEach(term => {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(idx);
+        });
+    };
+
+    episodes.forEach(episode => {
+        const transcript = episode.transcript || [];
+        const cast = castFor(episode.preferences?.speakers, transcript);
+        add({ episode, line: null, speaker: null, text: [episode.title, episode.sourceName].filter(Boolean).join(' · ') });
+        transcript.forEach((line, idx) => add({ episode, line: idx, speaker: cast.name(line.speaker), text: line.text || '' }));
+    });
+
+    const speakers = [...new Set(docs.map(doc => doc.speaker).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    return { docs, postings, speakers };
+};
+
+/**
+ * Lines and episodes matching every word of `query`, best first:
+ * `[{ episode, line, speaker, text, ranges }]`, with `line` null for title and source matches.
+ * `speaker` limits results to lines said by that name; `from` and `to` (timestamps)
+ * limit them to episodes made in that span.
+ */
+export const searchLibrary = (index, query, { speaker = null, from = null, to = null, limit = MAX_RESULTS } = {}) => {
+    const terms = queryTerms(query);
+    if (!terms.length) return [];
+
+    // For each query word, the best score every document gets from any of its words
+    const perTerm = terms.map(query => {
+        const scores = new Map();
+        index.postings.forEach((docIds, term) => {
+            const score = matchScore(query, term);
+            if (!score) return;
+            docIds.forEach(id => scores.set(id, Math.max(scores.get(id) || 0, score)));
+        });
+        return scores;
+    });
+
+    const [first, ...rest] = perTerm;
+    const results = [];
+    first.forEach((score, id) => {
+        if (!rest.every(scores => scores.has(id))) return;
+        const doc = index.docs[id];
+        if (speaker && doc.speaker !== speaker) return;
+        if (from !== null && doc.episode.createdAt < from) return;
+        if (to !== null && doc.episode.createdAt > to) return;
+        const total = rest.reduce((sum, scores) => sum + scores.get(id), score) + (doc.line === null ? META_BONUS : 0);
+        results.push({ doc, score: total });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score
+            || b.doc.episode.createdAt - a.doc.episode.createdAt
+            || (a.doc.line ?? -1) - (b.doc.line ?? -1))
+        .slice(0, limit)
+        .map(({ doc }) => ({ ...doc, ranges: highlightRanges(doc.text, terms) }));
+};
@@ -0,0 +1,8 @@
+// The worker only exists in production builds (see serviceWorkerPlugin in vite.config.js)
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .catch(error => console.error('Could not register the service worker:', error));
+    });
+};
@@ -0,0 +1,262 @@
+import { formatBytes } from './format';
+import { titleFromFileName } from './library';
+import { normalizePreferences } from './preferences';
+
+// Everything the converter can read. PDFs go to the backend as-is; the text formats
+// are normalized here so the backend only ever sees a PDF, plain text or a URL.
+export const SOURCE_TYPES = [
+    { key: 'pdf', label: 'pdf', extensions: ['pdf'], mimeTypes: ['application/pdf'] },
+    {
+        key: 'docx',
+        label: 'word',
+        extensions: ['docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+    },
+    { key: 'markdown', label: 'markdown', extensions: ['md', 'markdown'], mimeTypes: ['text/markdown', 'text/x-markdown'] },
+    { key: 'text', label: 'text', extensions: ['txt'], mimeTypes: ['text/plain'] }
+];
+
+// Anything shorter doesn't give two people enough to talk about
+export const MIN_TEXT_LENGTH = 200;
+// Matches the backend's upload limit
+export const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+export const ACCEPTED_EXTENSIONS = SOURCE_TYPES.flatMap(type => type.extensions.map(ext => `.${ext}`)).join(',');
+
+const extensionOf = (name = '') => (name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+// Extensions win over MIME types: browsers report .md as anything from text/plain to ''
+export const sourceType = (file) => {
+    const ext = extensionOf(file.name);
+    return SOURCE_TYPES.find(type => type.extensions.includes(ext))
+        || SOURCE_TYPES.find(type => type.mimeTypes.includes(file.type))
+        || null;
+};
+
+/**
+ * Checks a picked file before it is accepted. Returns a user-facing message, or null when
+ * the file looks usable.
+ */
+export const validateFile = (file) => {
+    if (!sourceType(file)) {
+        if (extensionOf(file.name) === 'doc') {
+            return `${file.name} is an old Word file; save it as .docx and try again`;
+        }
+        return `${file.name} isn't something we can read yet; try a pdf, word (.docx), markdown or text file`;
+    }
+    if (file.size === 0) return `${file.name} is empty`;
+    if (file.size > MAX_FILE_SIZE) {
+        return `${file.name} is ${formatBytes(file.size)}; the limit is ${formatBytes(MAX_FILE_SIZE)}`;
+    }
+    return null;
+};
+
+/**
+ * The slower checks that need to read the file: PDFs must be real, unlocked and have
+ * selectable text. Resolves with a user-facing message, or null when the file is fine.
+ */
+export const inspectFile = async (file) => {
+    const quick = validateFile(file);
+    if (quick || sourceType(file).key !== 'pdf') return quick;
+
+    const header = await file.slice(0, 1024).text();
+    if (!header.includes('%PDF-')) return `${file.name} doesn't look like a real pdf`;
+
+    // pdf.js is only worth loading once a PDF actually shows up
+    let inspectPdf;
+    try {
+        ({ inspectPdf } = await import('./pdf'));
+    } catch (error) {
+        console.error('Could not load the PDF reader:', error);
+        return `${file.name} couldn't be checked because the pdf reader didn't load; try again`;
+    }
+    try {
+        const { encrypted, pageCount, hasText } = await inspectPdf(file);
+        if (encrypted) return `${file.name} is password protected; remove the password and try again`;
+        if (pageCount === 0) return `${file.name} has no pages`;
+        if (!hasText) return `${file.name} has no selectable text; scanned pages can't be read yet`;
+    } catch (error) {
+        console.error('Could not inspect PDF:', error);
+        return `${file.name} looks damaged and couldn't be opened`;
+    }
+    return null;
+};
+
+export const normalizeText = (text) => text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Keeps the words and the structure (headings, lists, paragraphs), drops the syntax
+export const markdownToText = (markdown) => normalizeText(markdown)
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/^```.*$/gm, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)[ \t]*#*$/gm, '$1')
+    .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+    .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+    .replace(/^[ \t]*[-*+]\s+\[[ xX]\]\s+/gm, '- ')
+    .replace(/^[ \t]*[*+]\s+/gm, '- ')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+    // Underscores only count at word edges, so snake_case survives
+    .replace(/(^|\W)_(\S(?:.*?\S)?)_(?!\w)/gm, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Paragraph texts from word/document.xml; list items keep a dash
+const docxParagraphs = (xml) => {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    return Array.from(doc.getElementsByTagNameNS(WORD_NS, 'p')).map(paragraph => {
+        let text = '';
+        for (const node of paragraph.getElementsByTagNameNS(WORD_NS, '*')) {
+            if (node.localName === 't') text += node.textContent;
+            else if (node.localName === 'tab') text += '\t';
+            else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+        }
+        const listItem = paragraph.getElementsByTagNameNS(WORD_NS, 'numPr').length > 0;
+        return listItem && text.trim() ? `- ${text}` : text;
+    });
+};
+
+export const docxToText = async (file) => {
+    // Only Word documents need the zip reader, so keep it out of the main bundle
+    const { default: JSZip } = await import('jszip');
+    let xml;
+    try {
+        const zip = await JSZip.loadAsync(file);
+        xml = await zip.file('word/document.xml')?.async('string');
+    } catch {
+        xml = null;
+    }
+    if (!xml) throw new Error(`${file.name} doesn't look like a Word document, or it is password protected`);
+    return normalizeText(docxParagraphs(xml).join('\n\n'));
+};
+
+const checkLength = (text, name) => {
+    if (!text) throw new Error(`${name} has no text in it`);
+    if (text.length < MIN_TEXT_LENGTH) {
+        throw new Error(`${name} is a bit short for a podcast; give us at least ${MIN_TEXT_LENGTH} characters`);
+    }
+    return text;
+};
+
+/** Text of a non-PDF file, normalized to plain text. Throws user-facing errors. */
+export const readFileText = async (file) => {
+    const type = sourceType(file);
+    if (type?.key === 'docx') return checkLength(await docxToText(file), file.name);
+    if (type?.key === 'markdown') return checkLength(markdownToText(await file.text()), file.name);
+    return checkLength(normalizeText(await file.text()), file.name);
+};
+
+export const validatePastedText = (text) => {
+    const normalized = normalizeText(text);
+    if (!normalized) return 'paste some notes first';
+    if (normalized.length < MIN_TEXT_LENGTH) {
+        return `that's a bit short for a podcast; paste at least ${MIN_TEXT_LENGTH} characters (${normalized.length} so far)`;
+    }
+    return null;
+};
+
+// Bare domains get https:// so "example.com/post" works
+export const normalizeUrl = (input) => {
+    const trimmed = input.trim();
+    return /^[a-z][a-z\d+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+};
+
+export const validateUrl = (input) => {
+    if (!input.trim()) return 'enter a link first';
+    let url;
+    try {
+        url = new URL(normalizeUrl(input));
+    } catch {
+        return 'that doesn\'t look like a web address';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'only http and https links work';
+    if (!url.hostname.includes('.') && url.hostname !== 'localhost') return 'that doesn\'t look like a web address';
+    return null;
+};
+
+// Top-level markdown headings; pasted notes often have them too
+const markdownSections = (text) => {
+    const headings = [...normalizeText(text).matchAll(/^[ \t]{0,3}(#{1,3})[ \t]+(.*?)[ \t]*#*$/gm)]
+        .map(([, hashes, title]) => ({ title, level: hashes.length }));
+    const level = Math.min(...headings.map(heading => heading.level));
+    return headings.filter(heading => heading.level === level).map(({ title }) => ({ title }));
+};
+
+/**
+ * The source's own sections in reading order (`[{ title }]`), used to name chapters.
+ * PDFs give their outline or headings, markdown its headings; other sources have none.
+ */
+export const readSourceSections = async (source, { pages } = {}) => {
+    if (source.kind === 'text') return markdownSections(source.text);
+    if (source.kind !== 'file') return [];
+    const type = sourceType(source.file)?.key;
+    if (type === 'markdown') return markdownSections(await source.file.text());
+    if (type !== 'pdf') return [];
+    const { readDocumentSections } = await import('./pdf');
+    return readDocumentSections(source.file, pages);
+};
+
+// A stray "%" in a typed link isn't valid percent-encoding; show it as typed
+const decodeSlug = (slug) => {
+    try {
+        return decodeURIComponent(slug);
+    } catch {
+        return slug;
+    }
+};
+
+/** A readable name for a source, shown in the library next to the episode. */
+export const sourceName = (source) => {
+    if (source.kind === 'file') return source.file.name;
+    if (source.kind === 'text') return 'pasted notes';
+    if (validateUrl(source.url)) return source.url.trim();
+    const url = new URL(normalizeUrl(source.url));
+    const slug = url.pathname.split('/').filter(Boolean).pop();
+    return slug ? `${url.hostname} · ${decodeSlug(slug)}` : url.hostname;
+};
+
+// The PDF behind a source, kept with the episode so citations can open it later
+export const sourcePdf = (source) => (source?.kind === 'file' && sourceType(source.file)?.key === 'pdf' ? source.file : null);
+
+// Episode title for a source; file names lose their extension
+export const sourceTitle = (source) => (source.kind === 'file' ? titleFromFileName(source.file.name) : sourceName(source));
+
+/**
+ * Builds the conversion request for a source: `{ kind: 'file', file }`, `{ kind: 'text', text }`
+ * or `{ kind: 'url', url }`. PDFs are sent as `pdf`; other files and pasted notes as normalized
+ * `text`; links as `url` for the backend to fetch, since most sites block cross-origin reads.
+ */
+export const buildSourceForm = async (source, { preferences, pages } = {}) => {
+    const formData = new FormData();
+    if (source.kind === 'file' && sourceType(source.file)?.key === 'pdf') {
+        formData.append('pdf', source.file);
+        if (pages) formData.append('pages', pages);
+    } else if (source.kind === 'file') {
+        formData.append('text', await readFileText(source.file));
+        formData.append('sourceType', sourceType(source.file).key);
+    } else if (source.kind === 'text') {
+        const error = validatePastedText(source.text);
+        if (error) throw new Error(error);
+        formData.append('text', normalizeText(source.text));
+        formData.append('sourceType', 'text');
+    } else {
+        const error = validateUrl(source.url);
+        if (error) throw new Error(error);
+        formData.append('url', normalizeUrl(source.url));
+    }
+    formData.append('sourceName', sourceName(source));
+    formData.append('preferences', JSON.stringify(normalizePreferences(preferences)));
+    return formData;
+};
@@ -0,0 +1,113 @@
+// Who talks in an episode. Transcript lines carry a speaker id (`HOST`, `EXPERT`, ...);
+// the configured speakers give each id a display name, color and voice.
+
+export const MAX_SPEAKERS = 4;
+
+// Ids the backend writes into `line.speaker`, in the order speakers are added
+export const SPEAKER_IDS = ['HOST', 'EXPERT', 'GUEST', 'PANELIST'];
+
+// Text colors for light and dark mode; the transcript, editor and waveform all use these
+export const SPEAKER_COLORS = [
+    { key: 'blue', light: '#2563eb', dark: '#60a5fa' },
+    { key: 'emerald', light: '#059669', dark: '#34d399' },
+    { key: 'orange', light: '#ea580c', dark: '#fb923c' },
+    { key: 'violet', light: '#7c3aed', dark: '#a78bfa' },
+    { key: 'rose', light: '#e11d48', dark: '#fb7185' },
+    { key: 'cyan', light: '#0891b2', dark: '#22d3ee' }
+];
+
+export const VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+export const FORMATS = [
+    { key: 'monologue', label: 'monologue', min: 1, max: 1 },
+    { key: 'interview', label: 'interview', min: 2, max: 2 },
+    { key: 'panel', label: 'panel', min: 3, max: MAX_SPEAKERS }
+];
+
+const MAX_NAME_LENGTH = 40;
+const MAX_PERSONA_LENGTH = 500;
+
+const SPEAKER_DEFAULTS = [
+    { name: 'Host', persona: 'curious, asks the questions a listener would', voice: 'nova' },
+    { name: 'Expert', persona: 'knows the material well and explains it simply', voice: 'onyx' },
+    { name: 'Guest', persona: 'brings a practical, real-world angle', voice: 'fable' },
+    { name: 'Panelist', persona: 'skeptical, pushes back on weak arguments', voice: 'shimmer' }
+];
+
+// "GUEST_2" reads as "Guest 2"; anything that isn't an id code is already a name
+const nameFromId = (id) => (/^[A-Z0-9_]+$/.test(id)
+    ? id.toLowerCase().split('_').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ')
+    : id);
+
+const unusedColor = (taken) => SPEAKER_COLORS.find(color => !taken.includes(color.key))?.key
+    || SPEAKER_COLORS[taken.length % SPEAKER_COLORS.length].key;
+
+const unusedId = (taken) => SPEAKER_IDS.find(id => !taken.includes(id)) || `SPEAKER_${taken.length + 1}`;
+
+const defaultsFor = (id) => SPEAKER_DEFAULTS[SPEAKER_IDS.indexOf(id)] || { name: nameFromId(id), persona: '', voice: VOICES[0] };
+
+/** A new speaker that doesn't clash with `speakers` on id or color. */
+export const newSpeaker = (speakers = []) => {
+    const id = unusedId(speakers.map(speaker => speaker.id));
+    const { name, voice, persona } = defaultsFor(id);
+    return { id, name, color: unusedColor(speakers.map(speaker => speaker.color)), voice, persona };
+};
+
+/**
+ * Cleans up a speaker list from stored preferences, a settings link or an import:
+ * one to four speakers with unique ids and colors and known voices.
+ */
+export const normalizeSpeakers = (input) => {
+    const speakers = [];
+    (Array.isArray(input) ? input : []).forEach(speaker => {
+        if (!speaker || typeof speaker !== 'object' || speakers.length === MAX_SPEAKERS) return;
+        const ids = speakers.map(item => item.id);
+        const colors = speakers.map(item => item.color);
+        // Presets saved before speakers had ids used `role: 'host' | 'expert'`
+        const requested = typeof speaker.id === 'string' ? speaker.id : typeof speaker.role === 'string' ? speaker.role.toUpperCase() : '';
+        const id = /^[A-Z][A-Z0-9_]{0,19}$/.test(requested) && !ids.includes(requested) ? requested : unusedId(ids);
+        const defaults = defaultsFor(id);
+        speakers.push({
+            id,
+            name: (typeof speaker.name === 'string' ? speaker.name.trim().slice(0, MAX_NAME_LENGTH) : '') || defaults.name,
+            color: SPEAKER_COLORS.some(color => color.key === speaker.color) && !colors.includes(speaker.color) ? speaker.color : unusedColor(colors),
+            voice: VOICES.includes(speaker.voice) ? speaker.voice : defaults.voice,
+            persona: typeof speaker.persona === 'string' ? speaker.persona.slice(0, MAX_PERSONA_LENGTH) : defaults.persona
+        });
+    });
+    return speakers.length ? speakers : withFormat([], 'interview');
+};
+
+export const formatFor = (count) => FORMATS.find(format => count >= format.min && count <= format.max)?.key || 'panel';
+
+// Switching format keeps the speakers already set up and adds or drops from the end
+export const withFormat = (speakers, formatKey) => {
+    const format = FORMATS.find(item => item.key === formatKey);
+    const next = speakers.slice(0, format.max);
+    while (next.length < format.min) next.push(newSpeaker(next));
+    return next;
+};
+
+export const DEFAULT_SPEAKERS = withFormat([], 'interview');
+
+/**
+ * Display details for the speakers in `lines`: the configured `speakers` first, then
+ * any other id the transcript uses, named after the id and given a free color.
+ * Returns `{ speakers, name(id), color(id, darkMode) }`.
+ */
+export const castFor = (speakers, lines = []) => {
+    const members = normalizeSpeakers(speakers).map(({ id, name, color }) => ({ id, name, color }));
+    lines.forEach(line => {
+        if (!line.speaker || members.some(member => member.id === line.speaker)) return;
+        members.push({ id: line.speaker, name: nameFromId(line.speaker), color: unusedColor(members.map(member => member.color)) });
+    });
+    const byId = new Map(members.map(member => [member.id, member]));
+    return {
+        speakers: members,
+        name: (id) => byId.get(id)?.name || nameFromId(id || 'speaker'),
+        color: (id, darkMode) => {
+            const color = SPEAKER_COLORS.find(item => item.key === byId.get(id)?.color) || SPEAKER_COLORS[0];
+            return darkMode ? color.dark : color.light;
+        }
+    };
+};
@@ -0,0 +1,54 @@
+// Browser text-to-speech preview of a draft script, before paying for real synthesis
+
+export const speechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Voices load asynchronously in Chrome; wait for them once
+const loadVoices = () => new Promise(resolve => {
+    const voices = speechSynthesis.getVoices();
+    if (voices.length) {
+        resolve(voices);
+        return;
+    }
+    speechSynthesis.addEventListener('voiceschanged', () => resolve(speechSynthesis.getVoices()), { once: true });
+    setTimeout(() => resolve(speechSynthesis.getVoices()), 1000);
+});
+
+// Gives each speaker a different voice in the page language where possible
+const assignVoices = (voices, speakers) => {
+    const lang = (document.documentElement.lang || navigator.language || 'en').slice(0, 2);
+    const pool = voices.filter(voice => voice.lang.startsWith(lang));
+    const candidates = pool.length ? pool : voices;
+    return Object.fromEntries(speakers.map((speaker, idx) => [speaker, candidates[idx % Math.max(candidates.length, 1)] || null]));
+};
+
+/**
+ * Reads `lines` aloud from `fromIndex`, calling `onLine(index)` as each starts and `onEnd()`
+ * when done or stopped. Returns a function that stops playback.
+ */
+export const speakScript = (lines, { fromIndex = 0, rate = 1, onLine = () => {}, onEnd = () => {} } = {}) => {
+    let stopped = false;
+    speechSynthesis.cancel();
+
+    loadVoices().then(voices => {
+        const voiceFor = assignVoices(voices, [...new Set(lines.map(line => line.speaker))]);
+        const speakLine = (idx) => {
+            if (stopped || idx >= lines.length) {
+                onEnd();
+                return;
+            }
+            const utterance = new SpeechSynthesisUtterance(lines[idx].text);
+            utterance.voice = voiceFor[lines[idx].speaker];
+            utterance.rate = rate;
+            utterance.onstart = () => onLine(idx);
+            utterance.onend = () => speakLine(idx + 1);
+            utterance.onerror = () => speakLine(idx + 1);
+            speechSynthesis.speak(utterance);
+        };
+        speakLine(fromIndex);
+    });
+
+    return () => {
+        stopped = true;
+        speechSynthesis.cancel();
+    };
+};
@@ -0,0 +1,165 @@
+import { ApiError, apiUrl, readJson } from './api';
+import { contentWords } from './words';
+import { normalizePreferences } from './preferences';
+
+// Study guides: key takeaways, a multiple-choice quiz and flashcards for an episode. `line` on
+// every item is the index of the transcript line it comes from, so the UI can seek to it.
+//
+// {
+//   takeaways: [{ text, line }],
+//   quiz: [{ question, choices, answer, explanation, line }],   // `answer` indexes `choices`
+//   flashcards: [{ front, back, line }],
+//   local: true when it was made on this device instead of by the backend
+// }
+
+const TAKEAWAY_COUNT = 5;
+const QUIZ_COUNT = 5;
+const FLASHCARD_COUNT = 12;
+const CHOICE_COUNT = 4;
+// The backend only needs enough of the source to check the episode against it
+const MAX_SOURCE_CHARS = 50000;
+// Sentences shorter than this rarely say anything worth remembering
+const MIN_SENTENCE_WORDS = 6;
+// Terms shorter than this make for guessable blanks
+const MIN_TERM_LENGTH = 5;
+// Top terms the wrong answers are drawn from
+const DISTRACTOR_POOL = 12;
+const BLANK = '____';
+
+// A backend answering with one of these has no study endpoint
+const MISSING_STATUSES = [404, 405, 501];
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const validLine = (line, lineCount) => (Number.isInteger(line) && line >= 0 && line < lineCount ? line : null);
+
+// Keeps what the UI can show from a backend response; anything malformed is dropped
+const normalizeGuide = (data, lineCount) => ({
+    takeaways: (Array.isArray(data?.takeaways) ? data.takeaways : [])
+        .filter(item => isText(item?.text))
+        .map(item => ({ text: item.text.trim(), line: validLine(item.line, lineCount) })),
+    quiz: (Array.isArray(data?.quiz) ? data.quiz : [])
+        .filter(item => isText(item?.question) && Array.isArray(item.choices) && item.choices.length >= 2 && item.choices.every(isText))
+        .filter(item => Number.isInteger(item.answer) && item.answer >= 0 && item.answer < item.choices.length)
+        .map(item => ({
+            question: item.question.trim(),
+            choices: item.choices.map(choice => choice.trim()),
+            answer: item.answer,
+            explanation: isText(item.explanation) ? item.explanation.trim() : '',
+            line: validLine(item.line, lineCount)
+        })),
+    flashcards: (Array.isArray(data?.flashcards) ? data.flashcards : [])
+        .filter(item => isText(item?.front) && isText(item?.back))
+        .map(item => ({ front: item.front.trim(), back: item.back.trim(), line: validLine(item.line, lineCount) }))
+});
+
+// The word a token counts as, or null for stopwords and short words
+const termOf = (token) => contentWords(token)[0] || null;
+
+const sentencesOf = (lines) => lines.flatMap((line, idx) => (line.text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(text => text.trim())
+    .filter(text => !text.endsWith('?') && text.split(/\s+/).length >= MIN_SENTENCE_WORDS)
+    .map(text => ({ text, line: idx })));
+
+/**
+ * A study guide made on this device, for when the backend can't make one. Sentences that use
+ * the episode's most repeated terms become takeaways; blanking a key term out of them makes
+ * the quiz questions and flashcards. Terms that also appear in `sourceText` count double.
+ */
+export const buildLocalGuide = (lines, sourceText = '') => {
+    const sourceWords = new Set(contentWords(sourceText));
+    const counts = new Map();
+    // Each term as it was first written, for showing as an answer
+    const spellings = new Map();
+    lines.forEach(line => {
+        (line.text || '').split(/\s+/).forEach(token => {
+            const term = termOf(token);
+            if (!term) return;
+            if (!spellings.has(term)) spellings.set(term, token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase());
+        });
+        new Set(contentWords(line.text || '')).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    });
+    const weight = (term) => (counts.get(term) || 0) * (sourceWords.has(term) ? 2 : 1);
+
+    const ranked = sentencesOf(lines)
+        .map(sentence => {
+            const terms = [...new Set(contentWords(sentence.text))];
+            const score = terms.reduce((sum, term) => sum + weight(term), 0) / Math.sqrt(sentence.text.split(/\s+/).length);
+            const key = terms.filter(term => term.length >= MIN_TERM_LENGTH).sort((a, b) => weight(b) - weight(a))[0];
+            return { ...sentence, terms, score, key };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    // One sentence per line, so a single long answer doesn't crowd out the rest
+    const distinct = ranked.filter((sentence, idx) => ranked.findIndex(other => other.line === sentence.line) === idx);
+    const clozes = distinct.filter(sentence => sentence.key);
+    const pool = [...counts.keys()]
+        .filter(term => term.length >= MIN_TERM_LENGTH)
+        .sort((a, b) => weight(b) - weight(a))
+        .slice(0, DISTRACTOR_POOL);
+
+    // The sentence with its key term blanked out, wherever it appears
+    const blanked = (sentence) => sentence.text.split(/(\s+)/)
+        .map(token => (termOf(token) === sentence.key ? token.replace(/[\p{L}\p{N}][\p{L}\p{N}'’-]*[\p{L}\p{N}]|[\p{L}\p{N}]/u, BLANK) : token))
+        .join('');
+
+    const quiz = clozes.flatMap((sentence, idx) => {
+        const wrong = pool.filter(term => !sentence.terms.includes(term));
+        if (wrong.length < CHOICE_COUNT - 1) return [];
+        // Rotate through the pool so questions don't all share the same wrong answers
+        const distractors = Array.from({ length: CHOICE_COUNT - 1 }, (_, offset) => wrong[(idx + offset) % wrong.length]);
+        const answer = idx % CHOICE_COUNT;
+        const choices = [...distractors];
+        choices.splice(answer, 0, sentence.key);
+        return [{
+            question: `which word completes what was said? “${blanked(sentence)}”`,
+            choices: choices.map(term => spellings.get(term) || term),
+            answer,
+            explanation: `“${sentence.text}”`,
+            line: sentence.line
+        }];
+    }).slice(0, QUIZ_COUNT);
+
+    return {
+        takeaways: distinct.slice(0, TAKEAWAY_COUNT)
+            .sort((a, b) => a.line - b.line)
+            .map(sentence => ({ text: sentence.text, line: sentence.line })),
+        quiz,
+        flashcards: clozes.slice(0, FLASHCARD_COUNT)
+            .sort((a, b) => a.line - b.line)
+            .map(sentence => ({ front: `“${blanked(sentence)}”`, back: spellings.get(sentence.key) || sentence.key, line: sentence.line })),
+        local: true
+    };
+};
+
+/**
+ * Asks the backend for a study guide of `lines` (the transcript) and, when there is one, the
+ * source's text. Falls back to buildLocalGuide while offline or when the backend has no
+ * study endpoint; other failures are thrown.
+ */
+export const makeStudyGuide = async (lines, { sourceText = '', preferences, signal } = {}) => {
+    if (!navigator.onLine) return buildLocalGuide(lines, sourceText);
+    try {
+        const response = await fetch(apiUrl('/study'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                transcript: lines.map(({ speaker, text }) => ({ speaker, text })),
+                source: sourceText ? sourceText.slice(0, MAX_SOURCE_CHARS) : null,
+                preferences: normalizePreferences(preferences)
+            }),
+            signal
+        });
+        if (MISSING_STATUSES.includes(response.status)) return buildLocalGuide(lines, sourceText);
+        const guide = normalizeGuide(await readJson(response), lines.length);
+        if (!guide.takeaways.length && !guide.quiz.length && !guide.flashcards.length) {
+            throw new ApiError('The study guide came back empty');
+        }
+        return guide;
+    } catch (error) {
+        // The connection dropped on the way; the transcript is all a local guide needs
+        if (error instanceof TypeError) return buildLocalGuide(lines, sourceText);
+        throw error;
+    }
+};
@@ -0,0 +1,39 @@
+// Rough speaking rate used when the audio duration isn't known yet
+const CHARS_PER_SECOND = 15;
+// Per-line padding so short interjections still get a visible slice of time
+const PAUSE_CHARS = 12;
+
+const hasTiming = (line) => typeof line.start === 'number' && isFinite(line.start);
+
+/**
+ * Returns the transcript with `start`/`end` (seconds) on every line.
+ * Backend timings are kept as-is; without them, time is split in proportion to text length.
+ */
+export const withTimings = (transcript, duration) => {
+    if (!transcript.length) return [];
+
+    if (transcript.every(hasTiming)) {
+        return transcript.map((line, idx) => ({
+            ...line,
+            end: typeof line.end === 'number' ? line.end : transcript[idx + 1]?.start ?? (duration > 0 ? duration : line.start)
+        }));
+    }
+
+    const weights = transcript.map(line => (line.text || '').length + PAUSE_CHARS);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const total = duration > 0 ? duration : totalWeight / CHARS_PER_SECOND;
+
+    let cursor = 0;
+    return transcript.map((line, idx) => {
+        const start = cursor;
+        cursor += total * weights[idx] / totalWeight;
+        return { ...line, start, end: cursor, estimated: true };
+    });
+};
+
+export const activeLineIndex = (lines, time) => {
+    for (let idx = lines.length - 1; idx >= 0; idx--) {
+        if (time >= lines[idx].start) return idx;
+    }
+    return -1;
+};
@@ -0,0 +1,138 @@
+import { ApiError, apiUrl, readJson } from './api';
+import { sleep } from './retry';
+
+// Files go up in slices so a dropped connection only costs the slice in flight
+export const UPLOAD_CHUNK_SIZE = 2 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 5;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 15000;
+// A backend that answers POST /uploads with one of these has no chunked upload API
+const LEGACY_STATUSES = [404, 405, 501];
+// Unfinished uploads by file fingerprint, so picking the same file again picks up where it stopped
+const SESSIONS_KEY = 'notecast:uploads';
+// `new Response` refuses a body for these, even an empty one
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+/**
+ * `fetch` with upload progress: `onUploadProgress(loaded, total)` fires in bytes as the body goes out.
+ * Resolves with a regular `Response`; network failures reject with a `TypeError` like fetch.
+ */
+export const sendWithProgress = (method, url, { body, headers = {}, signal, onUploadProgress } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(abortError());
+        return;
+    }
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    if (onUploadProgress) xhr.upload.onprogress = (e) => onUploadProgress(e.loaded, e.total);
+    xhr.onload = () => {
+        signal?.removeEventListener('abort', onAbort);
+        const body = NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.responseText;
+        resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText }));
+    };
+    xhr.onerror = () => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(new TypeError('Network request failed'));
+    };
+    xhr.onabort = () => reject(abortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+    xhr.send(body);
+});
+
+const fingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const readSessions = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SESSIONS_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const writeSession = (file, uploadId) => {
+    const sessions = readSessions();
+    if (uploadId) {
+        sessions[fingerprint(file)] = uploadId;
+    } else {
+        delete sessions[fingerprint(file)];
+    }
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+};
+
+// Worth another try: the connection dropped, the backend hiccuped or we lost track of its offset
+const isTransient = (error) => error instanceof TypeError
+    || (error instanceof ApiError && (error.status >= 500 || error.status === 409));
+
+// How much of an earlier upload the backend already has; null if it forgot about it
+const resumeOffset = async (uploadId, signal) => {
+    const response = await fetch(apiUrl(`/uploads/${uploadId}`), { signal });
+    if (response.status === 404) return null;
+    const { offset } = await readJson(response);
+    return offset;
+};
+
+const startSession = async (file, signal) => {
+    const response = await fetch(apiUrl('/uploads'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: file.name, size: file.size, type: file.type }),
+        signal
+    });
+    if (LEGACY_STATUSES.includes(response.status)) return null;
+    const { uploadId } = await readJson(response);
+    writeSession(file, uploadId);
+    return uploadId;
+};
+
+const sendChunk = async (uploadId, file, offset, onProgress, signal) => {
+    const end = Math.min(offset + UPLOAD_CHUNK_SIZE, file.size);
+    const response = await sendWithProgress('PUT', apiUrl(`/uploads/${uploadId}`), {
+        body: file.slice(offset, end),
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${offset}-${end - 1}/${file.size}`
+        },
+        signal,
+        onUploadProgress: (loaded) => onProgress({ sent: Math.min(offset + loaded, end), total: file.size })
+    });
+    const { offset: next } = await readJson(response);
+    return next;
+};
+
+/**
+ * Uploads a file in chunks and resolves with its `uploadId`, or with null when the
+ * backend has no upload API. `onProgress` receives `{ sent, total }` in bytes. Chunks
+ * that fail on the network are retried with backoff, resuming from the offset the
+ * backend reports.
+ */
+export const uploadFile = async (file, { onProgress = () => {}, signal } = {}) => {
+    let uploadId = readSessions()[fingerprint(file)] || null;
+    let offset = uploadId ? await resumeOffset(uploadId, signal) : null;
+    if (offset === null) {
+        uploadId = await startSession(file, signal);
+        if (!uploadId) return null;
+        offset = 0;
+    }
+    onProgress({ sent: offset, total: file.size });
+
+    let failures = 0;
+    while (offset < file.size) {
+        try {
+            offset = await sendChunk(uploadId, file, offset, onProgress, signal);
+            failures = 0;
+        } catch (error) {
+            if (error.name === 'AbortError' || !isTransient(error) || ++failures > MAX_CHUNK_RETRIES) throw error;
+            await sleep(Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS), signal);
+            offset = (await resumeOffset(uploadId, signal).catch(() => null)) ?? offset;
+        }
+    }
+
+    writeSession(file, null);
+    onProgress({ sent: file.size, total: file.size });
+    return uploadId;
+};
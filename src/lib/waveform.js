@@ -0,0 +1,61 @@
+// Peaks don't need full fidelity, and decoding at a low rate keeps an hour of stereo
+// audio around 230 MB in memory instead of well over a gigabyte
+const DECODE_SAMPLE_RATE = 8000;
+const PEAKS_PER_SECOND = 100;
+// Quieter than this for longer than MIN_SILENCE_SECONDS is worth pointing out
+const SILENCE_LEVEL = 0.01;
+const MIN_SILENCE_SECONDS = 2;
+
+/**
+ * Decodes the audio at `url` and reduces it to loudness peaks:
+ * `{ peaks, peaksPerSecond, duration }` with `peaks` as 0–1 maxima per slice.
+ */
+export const decodePeaks = async (url, signal) => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`Download failed with status: ${response.status}`);
+    const data = await response.arrayBuffer();
+
+    const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(data);
+    const samplesPerPeak = Math.max(Math.floor(buffer.sampleRate / PEAKS_PER_SECOND), 1);
+    const peaks = new Float32Array(Math.ceil(buffer.length / samplesPerPeak));
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const samples = buffer.getChannelData(channel);
+        for (let idx = 0; idx < samples.length; idx++) {
+            const level = Math.abs(samples[idx]);
+            const peak = (idx / samplesPerPeak) | 0;
+            if (level > peaks[peak]) peaks[peak] = level;
+        }
+    }
+
+    return { peaks, peaksPerSecond: buffer.sampleRate / samplesPerPeak, duration: buffer.duration };
+};
+
+/** Loudest peak between `from` and `to` seconds. */
+export const peakBetween = ({ peaks, peaksPerSecond }, from, to) => {
+    const first = Math.max(Math.floor(from * peaksPerSecond), 0);
+    const last = Math.min(Math.max(Math.ceil(to * peaksPerSecond), first + 1), peaks.length);
+    let highest = 0;
+    for (let idx = first; idx < last; idx++) {
+        if (peaks[idx] > highest) highest = peaks[idx];
+    }
+    return highest;
+};
+
+/** Stretches of near silence long enough to be a glitch or a dead pause: `[{ start, end }]`. */
+export const findSilences = ({ peaks, peaksPerSecond }) => {
+    const silences = [];
+    let start = null;
+    for (let idx = 0; idx <= peaks.length; idx++) {
+        const quiet = idx < peaks.length && peaks[idx] < SILENCE_LEVEL;
+        if (quiet && start === null) start = idx;
+        if (!quiet && start !== null) {
+            if ((idx - start) / peaksPerSecond >= MIN_SILENCE_SECONDS) {
+                silences.push({ start: start / peaksPerSecond, end: idx / peaksPerSecond });
+            }
+            start = null;
+        }
+    }
+    return silences;
+};
@@ -0,0 +1,24 @@
+// Content words: what's left of a text once filler and stopwords are gone, for comparing
+// lines with each other, with section titles and with the source they came from.
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between both but by
+can could did do does doing down during each even ever few for from further get gets getting go goes going gonna got had has
+have having he her here hers herself him himself his how i if in into is it its itself just know let like lot lots made make
+makes many maybe me mean might more most much must my myself no nor not now of off oh okay on once one only or other our ours
+ourselves out over own part pretty quite rather really right said same say saying says see she should so some something sort
+still such sure take talk talking than that thats the their theirs them themselves then there these they thing things think
+this those through to too totally two under until up us very want was way we well were what when where which while who whom
+why will with would yeah yes yet you your yours yourself yourselves actually basically exactly absolutely great good kind
+interesting question questions today lets dive
+`.trim().split(/\s+/));
+
+/** Content words of `text` as spoken, in order, stopwords and very short words left out. */
+export const wordsOf = (text = '') => (text.toLowerCase().replace(/['’]/g, '').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+// Light plural fold, so "networks" matches "network"
+export const stem = (word) => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+/** wordsOf with plurals folded: what chapters, citations and study guides compare. */
+export const contentWords = (text) => wordsOf(text).map(stem);
@@ -0,0 +1,80 @@
+// Service worker: keeps the app shell and fonts cached so the app opens without a
+// connection. Saved episodes live in IndexedDB and play from there; the API is never cached.
+// Built by the serviceWorker plugin in vite.config.js, which fills in the two values below.
+
+const VERSION = __BUILD_VERSION__;
+const SHELL = __PRECACHE__;
+
+const SHELL_CACHE = `notecast-shell-${VERSION}`;
+// Built assets missing from the shell (such as a page left open across a deploy), cached as they load
+const RUNTIME_CACHE = `notecast-runtime-${VERSION}`;
+const FONT_CACHE = 'notecast-fonts';
+// The stylesheet index.html links
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600&family=Cormorant+Garamond:wght@300;400;500&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// The stylesheet names font files chosen for this browser; fetch those too
+const precacheFonts = async () => {
+    const cache = await caches.open(FONT_CACHE);
+    const response = await fetch(FONT_CSS, { mode: 'cors' });
+    if (!response.ok) return;
+    await cache.put(FONT_CSS, response.clone());
+    const css = await response.text();
+    const files = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g)].map(match => match[1]);
+    await Promise.all(files.map(file => cache.add(new Request(file, { mode: 'cors' })).catch(() => {})));
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)),
+        // Fonts are nice to have; an install shouldn't fail over them
+        precacheFonts().catch(() => {})
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('notecast-') && ![SHELL_CACHE, RUNTIME_CACHE, FONT_CACHE].includes(key))
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+const cacheFirst = async (request, cacheName) => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+};
+
+// Pages come from the network when there is one, so a new deploy shows up straight away
+const networkFirstPage = async (request) => {
+    try {
+        return await fetch(request);
+    } catch {
+        return (await caches.match('/index.html')) || Response.error();
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+    } else if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (url.pathname.startsWith('/assets/')) {
+        // Built assets have content hashes in their names, so a cached copy is never stale
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    } else {
+        event.respondWith(fetch(request).catch(async () => (await caches.match(request)) || Response.error()));
+    }
+});
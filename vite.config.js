@@ -0,0 +1,51 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { defineConfig, loadEnv } from 'vite';
+import react from '@vitejs/plugin-react';
+import { mockApiPlugin, mockOptionsFromEnv } from './mock/mockApi.js';
+
+// Files from public/ the installed app needs offline
+const STATIC_SHELL = ['/index.html', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+// Emits src/sw.js as /sw.js, precaching the entry chunk and everything it can load: static
+// and lazy imports, their CSS and the assets they reference (the pdf.js worker among them).
+// A fresh install has to read a PDF dropped in while offline.
+const serviceWorkerPlugin = () => ({
+    name: 'notecast-service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+        const files = new Set();
+        const collect = (chunk) => {
+            if (files.has(chunk.fileName)) return;
+            files.add(chunk.fileName);
+            [...chunk.imports, ...chunk.dynamicImports].forEach(name => bundle[name] && collect(bundle[name]));
+            chunk.viteMetadata?.importedCss.forEach(css => files.add(css));
+            chunk.viteMetadata?.importedAssets.forEach(asset => files.add(asset));
+        };
+        collect(Object.values(bundle).find(file => file.type === 'chunk' && file.isEntry));
+        const shell = [...STATIC_SHELL, ...[...files].map(file => `/${file}`)];
+        // Asset names carry content hashes, so the list itself identifies the build
+        const version = createHash('sha256').update(shell.join('\n')).digest('hex').slice(0, 12);
+        this.emitFile({
+            type: 'asset',
+            fileName: 'sw.js',
+            source: readFileSync('src/sw.js', 'utf8')
+                .replace('__BUILD_VERSION__', JSON.stringify(version))
+                .replace('__PRECACHE__', JSON.stringify(shell))
+        });
+    }
+});
+
+// `vite --mode mock` (or MOCK_API=1) swaps the Railway backend for the offline mock in mock/
+export default defineConfig(({ mode }) => {
+    const env = { ...loadEnv(mode, process.cwd(), 'MOCK_'), ...process.env };
+    const useMock = mode === 'mock' || env.MOCK_API === '1';
+
+    return {
+        plugins: [
+            react(),
+            serviceWorkerPlugin(),
+            useMock && mockApiPlugin(mockOptionsFromEnv(env))
+        ].filter(Boolean)
+    };
+});